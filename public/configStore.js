@@ -118,6 +118,7 @@ const defaults = {
   captureFrameFileNameFormat: 'timestamp',
   enableNativeHevc: true,
   enableUpdateCheck: true,
+  exportSubtitleSidecars: false,
 };
 
 // For portable app: https://github.com/mifi/lossless-cut/issues/645
@@ -10,10 +10,12 @@ const yargsParser = require('yargs-parser');
 const JSON5 = require('json5');
 const remote = require('@electron/remote/main');
 const { stat } = require('fs/promises');
+const { resolve: resolvePath } = require('path');
 
 const logger = require('./logger');
 const menu = require('./menu');
 const configStore = require('./configStore');
+const HttpServer = require('./httpServer');
 
 const { checkNewVersion } = require('./update-checker');
 
@@ -36,6 +38,7 @@ let filesToOpen = [];
 let mainWindow;
 
 let askBeforeClose = false;
+let numActiveExportJobs = 0;
 let rendererReady = false;
 let newVersion;
 
@@ -67,9 +70,10 @@ function getSizeOptions() {
   return options;
 }
 
-function createWindow() {
+function createWindow({ show = true } = {}) {
   mainWindow = new BrowserWindow({
     ...getSizeOptions(),
+    show,
     darkTheme: true,
     webPreferences: {
       enableRemoteModule: true,
@@ -100,13 +104,15 @@ function createWindow() {
 
   // https://stackoverflow.com/questions/39574636/prompt-to-save-quit-before-closing-window/47434365
   mainWindow.on('close', (e) => {
-    if (!askBeforeClose) return;
+    if (!askBeforeClose && numActiveExportJobs === 0) return;
 
     const choice = electron.dialog.showMessageBoxSync(mainWindow, {
       type: 'question',
       buttons: ['Yes', 'No'],
       title: i18n.t('Confirm quit'),
-      message: i18n.t('Are you sure you want to quit?'),
+      message: numActiveExportJobs > 0
+        ? i18n.t('There are {{numJobs}} unfinished exports in the export queue, and they will be aborted. Are you sure you want to quit?', { numJobs: numActiveExportJobs })
+        : i18n.t('Are you sure you want to quit?'),
     });
     if (choice === 1) {
       e.preventDefault();
@@ -142,11 +148,67 @@ function parseCliArgs(rawArgv = process.argv) {
   // dev: First 2 args are electron and the electron.js
   const argsWithoutAppName = rawArgv.length > ignoreFirstArgs ? rawArgv.slice(ignoreFirstArgs) : [];
 
-  return yargsParser(argsWithoutAppName, { boolean: ['allow-multiple-instances'] });
+  // The port of --http-api is optional, so don't let it swallow a file path, e.g. `--http-api file.mp4`
+  const args = argsWithoutAppName.map((arg, i) => (arg === '--http-api' && !/^\d+$/.test(argsWithoutAppName[i + 1] || '') ? '--http-api=' : arg));
+
+  return yargsParser(args, { boolean: ['allow-multiple-instances', 'export'] });
 }
 
 const argv = parseCliArgs();
 
+const headlessExportModes = ['separate', 'merge'];
+
+// Headless CLI export: LosslessCut --export --project file.llc [--out-dir dir] [--mode separate|merge]
+const isHeadlessExport = !!argv.export;
+
+function exitHeadlessExport(code, message) {
+  if (message) (code === 0 ? process.stdout : process.stderr).write(`${message}\n`);
+  logger.info('Headless export exiting', code, message);
+  app.exit(code);
+}
+
+function getHeadlessExportParams() {
+  const { project, outDir, mode = 'separate', layer } = argv;
+  if (typeof project !== 'string') throw new Error('--project is required with --export');
+  if (!headlessExportModes.includes(mode)) throw new Error(`--mode must be one of: ${headlessExportModes.join(', ')}`);
+  return {
+    projectPath: resolvePath(project),
+    outDir: outDir != null ? resolvePath(String(outDir)) : undefined,
+    mode,
+    layer: layer != null ? String(layer) : undefined,
+  };
+}
+
+const defaultHttpApiPort = 8080;
+const apiRequestTimeout = 60 * 1000;
+
+let lastApiRequestId = 0;
+const pendingApiRequests = new Map();
+
+// Sends a request to the renderer and waits for it to reply with `apiResponse`
+function sendApiRequestToRenderer(request) {
+  if (!mainWindow || !rendererReady) return Promise.reject(Object.assign(new Error('LosslessCut is not ready'), { statusCode: 503 }));
+
+  lastApiRequestId += 1;
+  const id = lastApiRequestId;
+  return new Promise((resolve, reject) => {
+    // In case the renderer never replies (e.g. it was reloaded), so that the HTTP request doesn't hang forever
+    const timeout = setTimeout(() => {
+      pendingApiRequests.delete(id);
+      reject(Object.assign(new Error('Timed out waiting for LosslessCut'), { statusCode: 504 }));
+    }, apiRequestTimeout);
+
+    pendingApiRequests.set(id, { resolve, reject, timeout });
+    mainWindow.webContents.send('apiRequest', { ...request, id });
+  });
+}
+
+async function sendApiRequest(request) {
+  if (request.type !== 'getState') await sendApiRequestToRenderer(request);
+  // Request state separately, so that the renderer has had the chance to re-render after the request
+  return sendApiRequestToRenderer({ type: 'getState' });
+}
+
 function safeRequestSingleInstanceLock(additionalData) {
   if (process.mas) return true; // todo remove when fixed https://github.com/electron/electron/issues/35540
 
@@ -155,7 +217,7 @@ function safeRequestSingleInstanceLock(additionalData) {
   return app.requestSingleInstanceLock(additionalData);
 }
 
-if (!argv.allowMultipleInstances && !safeRequestSingleInstanceLock({ argv: process.argv })) {
+if (!argv.allowMultipleInstances && !isHeadlessExport && !safeRequestSingleInstanceLock({ argv: process.argv })) {
   app.quit();
 } else {
   // On macOS, the system enforces single instance automatically when users try to open a second instance of your app in Finder, and the open-file and open-url events will be emitted for that.
@@ -182,8 +244,18 @@ if (!argv.allowMultipleInstances && !safeRequestSingleInstanceLock({ argv: proce
     await configStore.init();
 
     logger.info('CLI arguments', argv);
+
+    if (isHeadlessExport) {
+      try {
+        getHeadlessExportParams();
+      } catch (err) {
+        exitHeadlessExport(1, err.message);
+        return;
+      }
+    }
+
     // Only if no files to open already (open-file might have already added some files)
-    if (filesToOpen.length === 0) filesToOpen = argv._;
+    if (filesToOpen.length === 0 && !isHeadlessExport) filesToOpen = argv._;
     const { settingsJson } = argv;
 
     if (settingsJson != null) {
@@ -193,6 +265,16 @@ if (!argv.allowMultipleInstances && !safeRequestSingleInstanceLock({ argv: proce
       });
     }
 
+    const { httpApi } = argv;
+    if (httpApi != null && !isHeadlessExport) {
+      const port = typeof httpApi === 'number' ? httpApi : defaultHttpApiPort;
+      try {
+        await HttpServer({ port, sendApiRequest }).startHttpServer();
+      } catch (err) {
+        logger.error('Failed to start HTTP API', err);
+      }
+    }
+
     if (isDev) {
       const { default: installExtension, REACT_DEVELOPER_TOOLS } = require('electron-devtools-installer'); // eslint-disable-line global-require,import/no-extraneous-dependencies
 
@@ -201,12 +283,16 @@ if (!argv.allowMultipleInstances && !safeRequestSingleInstanceLock({ argv: proce
         .catch(err => logger.error('Failed to add extension', err));
     }
 
-    createWindow();
+    createWindow({ show: !isHeadlessExport });
     updateMenu();
 
+    if (isHeadlessExport) {
+      mainWindow.webContents.on('render-process-gone', (e, { reason }) => exitHeadlessExport(1, `Export failed: renderer ${reason}`));
+    }
+
     const enableUpdateCheck = configStore.get('enableUpdateCheck');
 
-    if (enableUpdateCheck && !process.windowsStore && !process.mas) {
+    if (enableUpdateCheck && !isHeadlessExport && !process.windowsStore && !process.mas) {
       newVersion = await checkNewVersion();
       // newVersion = '1.2.3';
       if (newVersion) updateMenu();
@@ -228,9 +314,36 @@ if (!argv.allowMultipleInstances && !safeRequestSingleInstanceLock({ argv: proce
 
   ipcMain.on('renderer-ready', () => {
     rendererReady = true;
+    if (isHeadlessExport) {
+      mainWindow.webContents.send('headlessExport', getHeadlessExportParams());
+      return;
+    }
     if (filesToOpen.length > 0) openFiles(filesToOpen);
   });
 
+  ipcMain.on('apiResponse', (e, { id, error, statusCode, state }) => {
+    const pending = pendingApiRequests.get(id);
+    if (!pending) return;
+    pendingApiRequests.delete(id);
+    clearTimeout(pending.timeout);
+    if (error) pending.reject(Object.assign(new Error(error), { statusCode: statusCode || 400 }));
+    else pending.resolve(state);
+  });
+
+  ipcMain.on('headlessExportProgress', (e, { working, progress }) => {
+    if (!isHeadlessExport || !working) return;
+    process.stdout.write(`${working}${progress != null ? ` ${Math.floor(progress * 100)}%` : ''}\n`);
+  });
+
+  ipcMain.on('headlessExportDone', (e, { error, stderr, outFiles }) => {
+    if (!isHeadlessExport) return;
+    if (error) {
+      exitHeadlessExport(1, [`Export failed: ${error}`, stderr].filter(Boolean).join('\n'));
+      return;
+    }
+    exitHeadlessExport(0, ['Export finished', ...outFiles].join('\n'));
+  });
+
   // Mac OS open with LosslessCut
   // Emitted when the user wants to open a file with the application. The open-file event is usually emitted when the application is already open and the OS wants to reuse the application to open the file.
   app.on('open-file', (event, path) => {
@@ -242,6 +355,10 @@ if (!argv.allowMultipleInstances && !safeRequestSingleInstanceLock({ argv: proce
     askBeforeClose = val;
   });
 
+  ipcMain.on('setNumActiveExportJobs', (e, val) => {
+    numActiveExportJobs = val;
+  });
+
   ipcMain.on('setLanguage', (e, language) => {
     i18n.changeLanguage(language).then(() => updateMenu()).catch((err) => logger.error('Failed to set language', err));
   });
@@ -0,0 +1,124 @@
+const http = require('http');
+
+const logger = require('./logger');
+
+const maxBodySize = 1024 * 1024;
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > maxBodySize) {
+        reject(Object.assign(new Error('Request body too large'), { statusCode: 413 }));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (body.trim() === '') {
+        resolve({});
+        return;
+      }
+      let json;
+      try {
+        json = JSON.parse(body);
+      } catch (err) {
+        reject(Object.assign(new Error('Invalid JSON body'), { statusCode: 400 }));
+        return;
+      }
+      if (json == null || typeof json !== 'object' || Array.isArray(json)) {
+        reject(Object.assign(new Error('JSON body must be an object'), { statusCode: 400 }));
+        return;
+      }
+      resolve(json);
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+// Maps HTTP routes to requests that are handled by the renderer (see `apiRequest` in App.jsx)
+function getApiRequest({ method, pathname, body }) {
+  if (method === 'GET' && pathname === '/api/state') return { type: 'getState' };
+
+  if (method !== 'POST') return undefined;
+
+  const actionMatch = pathname.match(/^\/api\/action\/([^/]+)$/);
+  if (actionMatch) {
+    try {
+      return { type: 'action', action: decodeURIComponent(actionMatch[1]) };
+    } catch (err) {
+      if (err instanceof URIError) throw Object.assign(new Error('Invalid action name'), { statusCode: 400 });
+      throw err;
+    }
+  }
+
+  if (pathname === '/api/seek') {
+    if (typeof body.time !== 'number') throw Object.assign(new Error('`time` (seconds) must be a number'), { statusCode: 400 });
+    return { type: 'seek', time: body.time };
+  }
+  if (pathname === '/api/open-file') {
+    if (typeof body.path !== 'string') throw Object.assign(new Error('`path` must be a string'), { statusCode: 400 });
+    return { type: 'openFile', path: body.path };
+  }
+  if (pathname === '/api/load-edl') {
+    if (typeof body.path !== 'string') throw Object.assign(new Error('`path` must be a string'), { statusCode: 400 });
+    return { type: 'loadEdl', path: body.path, edlType: body.type, append: body.append !== false };
+  }
+
+  return undefined;
+}
+
+// Web pages that the user visits can also send requests to localhost, so we only accept requests that a browser would not send without CORS:
+// no `Origin`, a JSON `Content-Type` (not allowed in "simple" requests) and our own `Host` (against DNS rebinding)
+function checkRequestAllowed(req, port) {
+  if (req.headers.origin != null) throw Object.assign(new Error('Cross-origin requests are not allowed'), { statusCode: 403 });
+
+  const allowedHosts = [`127.0.0.1:${port}`, `localhost:${port}`];
+  if (!allowedHosts.includes(req.headers.host)) throw Object.assign(new Error('Invalid Host header'), { statusCode: 403 });
+
+  if (req.method === 'POST') {
+    const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (contentType !== 'application/json') throw Object.assign(new Error('Content-Type must be application/json'), { statusCode: 415 });
+  }
+}
+
+// Only listens on localhost. `sendApiRequest` must resolve with the current state after the request has been handled.
+module.exports = ({ port, sendApiRequest }) => {
+  const server = http.createServer(async (req, res) => {
+    try {
+      checkRequestAllowed(req, port);
+
+      const { pathname } = new URL(req.url, 'http://localhost');
+      const body = req.method === 'POST' ? await readJsonBody(req) : {};
+
+      const apiRequest = getApiRequest({ method: req.method, pathname, body });
+      if (!apiRequest) {
+        sendJson(res, 404, { error: 'Not found' });
+        return;
+      }
+
+      logger.info('HTTP API request', apiRequest);
+      const state = await sendApiRequest(apiRequest);
+      sendJson(res, 200, state);
+    } catch (err) {
+      logger.error('HTTP API request failed', err);
+      sendJson(res, err.statusCode || 500, { error: err.message });
+    }
+  });
+
+  async function startHttpServer() {
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', resolve);
+    });
+    logger.info('HTTP API listening on port', port);
+  }
+
+  return { startHttpServer };
+};
@@ -70,6 +70,24 @@ module.exports = (app, mainWindow, newVersion) => {
                 mainWindow.webContents.send('importEdlFile', 'mplayer');
               },
             },
+            {
+              label: t('EDL (CMX3600)'),
+              click() {
+                mainWindow.webContents.send('importEdlFile', 'cmx3600');
+              },
+            },
+            {
+              label: t('Audacity labels (TXT)'),
+              click() {
+                mainWindow.webContents.send('importEdlFile', 'audacity');
+              },
+            },
+            {
+              label: t('Adobe Audition markers (CSV)'),
+              click() {
+                mainWindow.webContents.send('importEdlFile', 'audition');
+              },
+            },
             {
               label: t('Text chapters / YouTube'),
               click() {
@@ -129,6 +147,36 @@ module.exports = (app, mainWindow, newVersion) => {
                 mainWindow.webContents.send('exportEdlFile', 'tsv-human');
               },
             },
+            {
+              label: t('EDL (CMX3600)'),
+              click() {
+                mainWindow.webContents.send('exportEdlFile', 'cmx3600');
+              },
+            },
+            {
+              label: t('Audacity labels (TXT)'),
+              click() {
+                mainWindow.webContents.send('exportEdlFile', 'audacity');
+              },
+            },
+            {
+              label: t('Adobe Audition markers (CSV)'),
+              click() {
+                mainWindow.webContents.send('exportEdlFile', 'audition');
+              },
+            },
+            {
+              label: t('DaVinci Resolve / Final Cut Pro XML'),
+              click() {
+                mainWindow.webContents.send('exportEdlFile', 'xmeml');
+              },
+            },
+            {
+              label: t('Final Cut Pro FCPX / FCPXML'),
+              click() {
+                mainWindow.webContents.send('exportEdlFile', 'fcpxml');
+              },
+            },
             {
               label: t('Start times as YouTube Chapters'),
               click() {
@@ -275,6 +323,17 @@ module.exports = (app, mainWindow, newVersion) => {
             },
           ],
         },
+        {
+          label: t('Chapters'),
+          submenu: [
+            {
+              label: t('Edit chapters'),
+              click() {
+                mainWindow.webContents.send('showChaptersEditor');
+              },
+            },
+          ],
+        },
       ],
     },
 
@@ -303,6 +362,18 @@ module.exports = (app, mainWindow, newVersion) => {
             mainWindow.webContents.send('concatCurrentBatch');
           },
         },
+        {
+          label: t('Apply segments to selected batch files'),
+          click() {
+            mainWindow.webContents.send('applyToAllBatchFiles');
+          },
+        },
+        {
+          label: t('Detect segments in all batch files'),
+          click() {
+            mainWindow.webContents.send('batchDetectSegments');
+          },
+        },
         {
           label: t('Set custom start offset/timecode'),
           click() {
@@ -315,24 +386,64 @@ module.exports = (app, mainWindow, newVersion) => {
             mainWindow.webContents.send('detectBlackScenes');
           },
         },
+        {
+          label: t('Detect frozen video'),
+          click() {
+            mainWindow.webContents.send('detectFrozenVideo');
+          },
+        },
         {
           label: t('Detect silent scenes'),
           click() {
             mainWindow.webContents.send('detectSilentScenes');
           },
         },
+        {
+          label: t('Detect loud scenes'),
+          click() {
+            mainWindow.webContents.send('detectLoudScenes');
+          },
+        },
+        {
+          label: t('Measure loudness of segments'),
+          click() {
+            mainWindow.webContents.send('measureSegmentsLoudness');
+          },
+        },
         {
           label: t('Detect scene changes'),
           click() {
             mainWindow.webContents.send('detectSceneChanges');
           },
         },
+        {
+          label: t('Detect motion'),
+          click() {
+            mainWindow.webContents.send('detectMotion');
+          },
+        },
+        {
+          label: t('Detect commercial breaks'),
+          click() {
+            mainWindow.webContents.send('detectCommercialBreaks');
+          },
+        },
         {
           label: t('Create segments from keyframes'),
           click() {
             mainWindow.webContents.send('createSegmentsFromKeyframes');
           },
         },
+        {
+          label: t('Create segments from subtitle track'),
+          click() {
+            mainWindow.webContents.send('createSegmentsFromSubtitles');
+          },
+        },
+        {
+          label: t('Export queue'),
+          click() { mainWindow.webContents.send('toggleExportQueue'); },
+        },
         {
           label: t('Last ffmpeg commands'),
           click() { mainWindow.webContents.send('toggleLastCommands'); },
@@ -20,10 +20,13 @@ import useUserSettingsRoot from './hooks/useUserSettingsRoot';
 import useFfmpegOperations from './hooks/useFfmpegOperations';
 import useKeyframes from './hooks/useKeyframes';
 import useWaveform from './hooks/useWaveform';
+import useWaveformOverviews from './hooks/useWaveformOverviews';
 import useKeyboard from './hooks/useKeyboard';
 import useFileFormatState from './hooks/useFileFormatState';
 import useFrameCapture from './hooks/useFrameCapture';
 import useSegments from './hooks/useSegments';
+import useExportQueue from './hooks/useExportQueue';
+import { isExportJobActive } from './exportQueue';
 
 import UserSettingsContext from './contexts/UserSettingsContext';
 
@@ -33,6 +36,8 @@ import TopMenu from './TopMenu';
 import Sheet from './Sheet';
 import LastCommandsSheet from './LastCommandsSheet';
 import StreamsSelector from './StreamsSelector';
+import ChaptersEditor from './ChaptersEditor';
+import ExportQueue from './ExportQueue';
 import SegmentList from './SegmentList';
 import Settings from './Settings';
 import Timeline from './Timeline';
@@ -42,6 +47,8 @@ import ValueTuners from './components/ValueTuners';
 import VolumeControl from './components/VolumeControl';
 import SubtitleControl from './components/SubtitleControl';
 import BatchFilesList from './components/BatchFilesList';
+import RegionSelector from './components/RegionSelector';
+import DetectorPreviewBar from './components/DetectorPreviewBar';
 import ConcatDialog from './components/ConcatDialog';
 import KeyboardShortcuts from './components/KeyboardShortcuts';
 import Working from './components/Working';
@@ -55,10 +62,10 @@ import {
   extractStreams, setCustomFfPath as ffmpegSetCustomFfPath,
   isIphoneHevc, isProblematicAvc1, tryMapChaptersToEdl,
   getDuration, getTimecodeFromStreams, createChaptersFromSegments, extractSubtitleTrack,
-  RefuseOverwriteError, abortFfmpegs,
+  RefuseOverwriteError, abortFfmpegs, measureLoudness,
 } from './ffmpeg';
-import { shouldCopyStreamByDefault, getAudioStreams, getRealVideoStreams, isAudioDefinitelyNotSupported, willPlayerProperlyHandleVideo, doesPlayerSupportHevcPlayback, isStreamThumbnail } from './util/streams';
-import { exportEdlFile, readEdlFile, saveLlcProject, loadLlcProject, askForEdlImport } from './edlStore';
+import { shouldCopyStreamByDefault, getAudioStreams, getRealVideoStreams, isAudioDefinitelyNotSupported, willPlayerProperlyHandleVideo, doesPlayerSupportHevcPlayback, isStreamThumbnail, isTextSubtitleStream } from './util/streams';
+import { exportEdlFile, readEdlFile, saveLlcProject, loadLlcProject, appendSegmentsToLlcProject, askForEdlImport, exportChaptersFile } from './edlStore';
 import { formatYouTube, getFrameCountRaw } from './edlFormats';
 import {
   getOutPath, getSuffixedOutPath, toast, errorToast, handleError, getOutDir, getFileDir,
@@ -71,10 +78,14 @@ import { formatDuration } from './util/duration';
 import { adjustRate } from './util/rate-calculator';
 import { askExtractFramesAsImages } from './dialogs/extractFrames';
 import { askForHtml5ifySpeed } from './dialogs/html5ify';
-import { askForOutDir, askForInputDir, askForImportChapters, promptTimeOffset, askForFileOpenAction, confirmExtractAllStreamsDialog, showCleanupFilesDialog, showDiskFull, showExportFailedDialog, showConcatFailedDialog, openYouTubeChaptersDialog, openAbout, showRefuseToOverwrite, openDirToast, openCutFinishedToast, openConcatFinishedToast } from './dialogs';
+import { askForOutDir, askForInputDir, askForImportChapters, promptTimeOffset, askForFileOpenAction, confirmExtractAllStreamsDialog, showCleanupFilesDialog, showDiskFull, showExportFailedDialog, showConcatFailedDialog, openYouTubeChaptersDialog, openAbout, showRefuseToOverwrite, openDirToast, openCutFinishedToast, openConcatFinishedToast, askForSegmentTemplateType, showBatchApplyFinishedDialog, askForBatchDetector, showBatchDetectFinishedDialog } from './dialogs';
+import { showParametersDialog } from './dialogs/parameters';
 import { openSendReportDialog } from './reporting';
 import { fallbackLng } from './i18n';
-import { createSegment, getCleanCutSegments, findSegmentsAtCursor, sortSegments, getSegmentTags, convertSegmentsToChapters, hasAnySegmentOverlap, isDurationValid } from './segments';
+import { createSegment, createInitialLayers, getCleanCutSegments, findSegmentsAtCursor, sortSegments, getSegmentTags, convertSegmentsToChapters, hasAnySegmentOverlap, isDurationValid, createChapter, getChaptersWithEnds, createSegmentTemplate, getSegmentsFromTemplate, getSegmentExportOptions, haveUnmergeableSegmentExportOptions } from './segments';
+import * as ffmpegParameters from './ffmpeg-parameters';
+import detectors, { askForDetectorParameters } from './detectors';
+import { formatCropRegion } from './motion';
 import { getOutSegError as getOutSegErrorRaw } from './util/outputNameTemplate';
 import { rightBarWidth, leftBarWidth, ffmpegExtractWindow, zoomMax } from './util/constants';
 
@@ -126,6 +137,8 @@ const App = memo(() => {
   const [mainFileMeta, setMainFileMeta] = useState({ streams: [], formatData: {} });
   const [mainVideoStream, setMainVideoStream] = useState();
   const [mainAudioStream, setMainAudioStream] = useState();
+  // undefined means only the main audio stream
+  const [waveformStreamIds, setWaveformStreamIds] = useState();
   const [copyStreamIdsByFile, setCopyStreamIdsByFile] = useState({});
   const [streamsSelectorShown, setStreamsSelectorShown] = useState(false);
   const [concatDialogVisible, setConcatDialogVisible] = useState(false);
@@ -137,6 +150,14 @@ const App = memo(() => {
   const [activeSubtitleStreamIndex, setActiveSubtitleStreamIndex] = useState();
   const [hideCanvasPreview, setHideCanvasPreview] = useState(false);
   const [exportConfirmVisible, setExportConfirmVisible] = useState(false);
+  const [chaptersEditorShown, setChaptersEditorShown] = useState(false);
+  // undefined means not yet edited
+  const [editedChapters, setEditedChapters] = useState();
+  // by segId. Only for information, they don't affect the export
+  const [segmentsLoudness, setSegmentsLoudness] = useState({});
+  const [motionRegionSelectorShown, setMotionRegionSelectorShown] = useState(false);
+  // Last used region (ffmpeg crop syntax), kept when opening other files, because they are often from the same camera
+  const [motionRegion, setMotionRegion] = useState();
 
   const { fileFormat, setFileFormat, detectedFileFormat, setDetectedFileFormat, isCustomFormatSelected } = useFileFormatState();
 
@@ -147,6 +168,7 @@ const App = memo(() => {
   const [cleanupChoices, setCleanupChoices] = useState({ tmpFiles: true });
   const [rememberConvertToSupportedFormat, setRememberConvertToSupportedFormat] = useState();
   const [lastCommandsVisible, setLastCommandsVisible] = useState(false);
+  const [exportQueueShown, setExportQueueShown] = useState(false);
   const [settingsVisible, setSettingsVisible] = useState(false);
   const [tunerVisible, setTunerVisible] = useState();
   const [keyboardShortcutsVisible, setKeyboardShortcutsVisible] = useState(false);
@@ -177,7 +199,7 @@ const App = memo(() => {
   const allUserSettings = useUserSettingsRoot();
 
   const {
-    captureFormat, setCaptureFormat, customOutDir, setCustomOutDir, keyframeCut, setKeyframeCut, preserveMovData, setPreserveMovData, movFastStart, setMovFastStart, avoidNegativeTs, autoMerge, timecodeFormat, invertCutSegments, setInvertCutSegments, autoExportExtraStreams, askBeforeClose, enableAskForImportChapters, enableAskForFileOpenAction, playbackVolume, setPlaybackVolume, autoSaveProjectFile, wheelSensitivity, invertTimelineScroll, language, ffmpegExperimental, hideNotifications, autoLoadTimecode, autoDeleteMergedSegments, exportConfirmEnabled, setExportConfirmEnabled, segmentsToChapters, setSegmentsToChapters, preserveMetadataOnMerge, setPreserveMetadataOnMerge, setSimpleMode, outSegTemplate, setOutSegTemplate, keyboardSeekAccFactor, keyboardNormalSeekSpeed, enableTransferTimestamps, outFormatLocked, setOutFormatLocked, safeOutputFileName, setSafeOutputFileName, enableAutoHtml5ify, segmentsToChaptersOnly, keyBindings, setKeyBindings, resetKeyBindings, enableSmartCut, customFfPath, storeProjectInWorkingDir, enableOverwriteOutput, mouseWheelZoomModifierKey, captureFrameMethod, captureFrameQuality, captureFrameFileNameFormat, enableNativeHevc,
+    captureFormat, setCaptureFormat, customOutDir, setCustomOutDir, keyframeCut, setKeyframeCut, preserveMovData, setPreserveMovData, movFastStart, setMovFastStart, avoidNegativeTs, autoMerge, timecodeFormat, invertCutSegments, setInvertCutSegments, autoExportExtraStreams, askBeforeClose, enableAskForImportChapters, enableAskForFileOpenAction, playbackVolume, setPlaybackVolume, autoSaveProjectFile, wheelSensitivity, invertTimelineScroll, language, ffmpegExperimental, hideNotifications, autoLoadTimecode, autoDeleteMergedSegments, exportConfirmEnabled, setExportConfirmEnabled, segmentsToChapters, setSegmentsToChapters, preserveMetadataOnMerge, setPreserveMetadataOnMerge, setSimpleMode, outSegTemplate, setOutSegTemplate, keyboardSeekAccFactor, keyboardNormalSeekSpeed, enableTransferTimestamps, outFormatLocked, setOutFormatLocked, safeOutputFileName, setSafeOutputFileName, enableAutoHtml5ify, segmentsToChaptersOnly, keyBindings, setKeyBindings, resetKeyBindings, enableSmartCut, customFfPath, storeProjectInWorkingDir, enableOverwriteOutput, mouseWheelZoomModifierKey, captureFrameMethod, captureFrameQuality, captureFrameFileNameFormat, enableNativeHevc, exportSubtitleSidecars,
   } = allUserSettings;
 
   useEffect(() => {
@@ -185,7 +207,7 @@ const App = memo(() => {
   }, [customFfPath]);
 
   const {
-    concatFiles, html5ifyDummy, cutMultiple, autoConcatCutSegments, html5ify, fixInvalidDuration,
+    concatFiles, html5ifyDummy, cutMultiple, autoConcatCutSegments, html5ify, fixInvalidDuration, readTextSubtitleTracks, remuxWithChapters,
   } = useFfmpegOperations({ filePath, enableTransferTimestamps });
 
   const outSegTemplateOrDefault = outSegTemplate || defaultOutSegTemplate;
@@ -300,7 +322,9 @@ const App = memo(() => {
 
   // 360 means we don't modify rotation
   const isRotationSet = rotation !== 360;
-  const effectiveRotation = useMemo(() => (isRotationSet ? rotation : (mainVideoStream && mainVideoStream.tags && mainVideoStream.tags.rotate && parseInt(mainVideoStream.tags.rotate, 10))), [isRotationSet, mainVideoStream, rotation]);
+  // The rotation stored in the file, which the player and ffmpeg (autorotate) apply. It does not include a rotation set by the user
+  const fileRotation = useMemo(() => (mainVideoStream && mainVideoStream.tags && mainVideoStream.tags.rotate && parseInt(mainVideoStream.tags.rotate, 10)), [mainVideoStream]);
+  const effectiveRotation = useMemo(() => (isRotationSet ? rotation : fileRotation), [fileRotation, isRotationSet, rotation]);
 
   const zoomRel = useCallback((rel) => setZoom((z) => Math.min(Math.max(z + (rel * (1 + (z / 10))), 1), zoomMax)), []);
   const canvasPlayerRequired = !!(mainVideoStream && usingDummyVideo);
@@ -336,8 +360,8 @@ const App = memo(() => {
   }, [isFileOpened]);
 
   const {
-    cutSegments, cutSegmentsHistory, createSegmentsFromKeyframes, shuffleSegments, detectBlackScenes, detectSilentScenes, detectSceneChanges, removeCutSegment, invertAllSegments, fillSegmentsGaps, combineOverlappingSegments, shiftAllSegmentTimes, alignSegmentTimesToKeyframes, onViewSegmentTags, updateSegOrder, updateSegOrders, reorderSegsByStartTime, addSegment, setCutStart, setCutEnd, onLabelSegment, splitCurrentSegment, createNumSegments, createFixedDurationSegments, createRandomSegments, apparentCutSegments, haveInvalidSegs, currentSegIndexSafe, currentCutSeg, currentApparentCutSeg, inverseCutSegments, clearSegments, loadCutSegments, selectedSegmentsRaw, setCutTime, getSegApparentEnd, setCurrentSegIndex, onLabelSelectedSegments, deselectAllSegments, selectAllSegments, selectOnlyCurrentSegment, toggleCurrentSegmentSelected, removeSelectedSegments, setDeselectedSegmentIds, onSelectSegmentsByLabel, toggleSegmentSelected, selectOnlySegment,
-  } = useSegments({ filePath, workingRef, setWorking, setCutProgress, mainVideoStream, duration, getCurrentTime, maxLabelLength, checkFileOpened });
+    cutSegments, cutSegmentsHistory, createSegmentsFromKeyframes, createSegmentsFromSubtitles, shuffleSegments, detectBlackScenes, detectFrozenVideo, detectSilentScenes, detectSceneChanges, detectCommercialBreaks, detectLoudScenes, runDetector, detectorPreview, rerunDetectorPreview, acceptDetectorPreview, discardDetectorPreview, removeCutSegment, invertAllSegments, fillSegmentsGaps, combineOverlappingSegments, shiftAllSegmentTimes, alignSegmentTimesToKeyframes, onViewSegmentTags, onEditSegmentExportOptions, updateSegOrder, updateSegOrders, reorderSegsByStartTime, addSegment, setCutStart, setCutEnd, onLabelSegment, splitCurrentSegment, createNumSegments, createFixedDurationSegments, createRandomSegments, apparentCutSegments, haveInvalidSegs, currentSegIndexSafe, currentCutSeg, currentApparentCutSeg, inverseCutSegments, clearSegments, loadCutSegments, selectedSegmentsRaw, setCutTime, getSegApparentEnd, setCurrentSegIndex, onLabelSelectedSegments, deselectAllSegments, selectAllSegments, selectOnlyCurrentSegment, toggleCurrentSegmentSelected, removeSelectedSegments, setDeselectedSegmentIds, onSelectSegmentsByLabel, toggleSegmentSelected, selectOnlySegment, exportedLayersSegments, audioEditSegments, setSegmentType, layers, clearLayers, currentLayerName, setCurrentLayerName, exportLayerName, setExportLayerName, getSegmentColor, addLayer, renameLayer, removeLayer, toggleLayerExportEnabled, moveSelectedSegmentsToLayer,
+  } = useSegments({ filePath, workingRef, setWorking, setCutProgress, mainVideoStream, mainStreams: mainFileMeta.streams, duration, getCurrentTime, maxLabelLength, checkFileOpened });
 
   const jumpSegStart = useCallback((index) => seekAbs(apparentCutSegments[index].start), [apparentCutSegments, seekAbs]);
   const jumpSegEnd = useCallback((index) => seekAbs(apparentCutSegments[index].end), [apparentCutSegments, seekAbs]);
@@ -386,30 +410,37 @@ const App = memo(() => {
   // Old versions of LosslessCut used CSV files and stored them in customOutDir:
   const getEdlFilePathOld = useCallback((fp) => getSuffixedOutPath({ customOutDir, filePath: fp, nameSuffix: oldProjectSuffix }), [customOutDir]);
   const projectFileSavePath = useMemo(() => getEdlFilePath(filePath, storeProjectInWorkingDir), [getEdlFilePath, filePath, storeProjectInWorkingDir]);
+  const waveformCacheFilePath = useMemo(() => getSuffixedOutPath({ customOutDir: storeProjectInWorkingDir ? customOutDir : undefined, filePath, nameSuffix: 'waveform.json' }), [customOutDir, filePath, storeProjectInWorkingDir]);
 
   const currentSaveOperation = useMemo(() => {
     if (!projectFileSavePath) return undefined;
-    return { cutSegments, projectFileSavePath, filePath };
-  }, [cutSegments, filePath, projectFileSavePath]);
+    return { cutSegments, layers, projectFileSavePath, filePath };
+  }, [cutSegments, filePath, layers, projectFileSavePath]);
 
   const [debouncedSaveOperation] = useDebounce(currentSaveOperation, isDev ? 2000 : 500);
 
+  // Apply to batch files: each of the selected batch files is loaded, gets the segments from the template, and is exported, one after another
+  const [batchApply, setBatchApply] = useState();
+
   const lastSaveOperation = useRef();
   useEffect(() => {
     async function save() {
       // NOTE: Could lose a save if user closes too fast, but not a big issue I think
       if (!autoSaveProjectFile || !debouncedSaveOperation) return;
 
+      // The template segments must not overwrite the projects of the batch files
+      if (batchApply) return;
+
       try {
         // Initial state? Don't save (same as createInitialCutSegments but without counting)
-        if (isEqual(getCleanCutSegments(debouncedSaveOperation.cutSegments), getCleanCutSegments([createSegment()]))) return;
+        if (isEqual(getCleanCutSegments(debouncedSaveOperation.cutSegments), getCleanCutSegments([createSegment()])) && isEqual(debouncedSaveOperation.layers, createInitialLayers())) return;
 
-        if (lastSaveOperation.current && lastSaveOperation.current.projectFileSavePath === debouncedSaveOperation.projectFileSavePath && isEqual(getCleanCutSegments(lastSaveOperation.current.cutSegments), getCleanCutSegments(debouncedSaveOperation.cutSegments))) {
+        if (lastSaveOperation.current && lastSaveOperation.current.projectFileSavePath === debouncedSaveOperation.projectFileSavePath && isEqual(getCleanCutSegments(lastSaveOperation.current.cutSegments), getCleanCutSegments(debouncedSaveOperation.cutSegments)) && isEqual(lastSaveOperation.current.layers, debouncedSaveOperation.layers)) {
           console.log('Segments unchanged, skipping save');
           return;
         }
 
-        await saveLlcProject({ savePath: debouncedSaveOperation.projectFileSavePath, filePath: debouncedSaveOperation.filePath, cutSegments: debouncedSaveOperation.cutSegments });
+        await saveLlcProject({ savePath: debouncedSaveOperation.projectFileSavePath, filePath: debouncedSaveOperation.filePath, cutSegments: debouncedSaveOperation.cutSegments, layers: debouncedSaveOperation.layers });
         lastSaveOperation.current = debouncedSaveOperation;
       } catch (err) {
         errorToast(i18n.t('Unable to save project file'));
@@ -417,7 +448,7 @@ const App = memo(() => {
       }
     }
     save();
-  }, [debouncedSaveOperation, autoSaveProjectFile]);
+  }, [debouncedSaveOperation, autoSaveProjectFile, batchApply]);
 
   function onPlayingChange(val) {
     setPlaying(val);
@@ -581,6 +612,7 @@ const App = memo(() => {
   }, [setWorking, subtitleStreams, subtitlesByStreamId, filePath]);
 
   const mainCopiedStreams = useMemo(() => mainStreams.filter((stream) => isCopyingStreamId(filePath, stream.index)), [filePath, isCopyingStreamId, mainStreams]);
+  const haveCopiedTextSubtitles = useMemo(() => mainCopiedStreams.some(isTextSubtitleStream), [mainCopiedStreams]);
   const mainCopiedThumbnailStreams = useMemo(() => mainCopiedStreams.filter(isStreamThumbnail), [mainCopiedStreams]);
 
   // Streams that are not copy enabled by default
@@ -671,7 +703,21 @@ const App = memo(() => {
   const shouldShowWaveform = calcShouldShowWaveform(zoomedDuration);
 
   const { neighbouringKeyFrames, findNearestKeyFrameTime } = useKeyframes({ keyframesEnabled, filePath, commandedTime, mainVideoStream, detectedFps, ffmpegExtractWindow });
-  const { waveforms } = useWaveform({ filePath, commandedTime, zoomedDuration, waveformEnabled, mainAudioStream, shouldShowWaveform, ffmpegExtractWindow });
+  const waveformStreams = useMemo(() => {
+    if (waveformStreamIds == null) return mainAudioStream ? [mainAudioStream] : [];
+    return mainStreams.filter((stream) => stream.codec_type === 'audio' && waveformStreamIds.includes(stream.index));
+  }, [mainAudioStream, mainStreams, waveformStreamIds]);
+
+  const isWaveformStreamId = useCallback((streamId) => waveformStreams.some((stream) => stream.index === streamId), [waveformStreams]);
+
+  const toggleWaveformStreamId = useCallback((streamId) => {
+    const existingIds = waveformStreams.map((stream) => stream.index);
+    setWaveformStreamIds(existingIds.includes(streamId) ? existingIds.filter((id) => id !== streamId) : [...existingIds, streamId]);
+  }, [waveformStreams]);
+
+  // Only write the waveform cache file if the user also wants project files to be stored
+  const { waveformOverviews } = useWaveformOverviews({ filePath, audioStreams: waveformStreams, waveformEnabled, cachePath: waveformCacheFilePath, writeCache: autoSaveProjectFile });
+  const { waveforms } = useWaveform({ filePath, commandedTime, zoomedDuration, waveformEnabled: waveformEnabled && waveformOverviews.length === 0, mainAudioStream, shouldShowWaveform, ffmpegExtractWindow });
 
   const resetState = useCallback(() => {
     const video = videoRef.current;
@@ -686,6 +732,7 @@ const App = memo(() => {
     setDuration();
     cutSegmentsHistory.go(0);
     clearSegments(); // TODO this will cause two history items
+    clearLayers();
     setCutStartTimeManual();
     setCutEndTimeManual();
     setFileFormat();
@@ -702,6 +749,7 @@ const App = memo(() => {
     setMainFileMeta({ streams: [], formatData: [] });
     setMainVideoStream();
     setMainAudioStream();
+    setWaveformStreamIds();
     setCopyStreamIdsByFile({});
     setStreamsSelectorShown(false);
     setZoom(1);
@@ -713,9 +761,14 @@ const App = memo(() => {
     setActiveSubtitleStreamIndex();
     setHideCanvasPreview(false);
     setExportConfirmVisible(false);
+    setChaptersEditorShown(false);
+    setEditedChapters();
+    setSegmentsLoudness({});
+    setMotionRegionSelectorShown(false);
+    discardDetectorPreview();
 
     cancelRenderThumbnails();
-  }, [cutSegmentsHistory, clearSegments, setFileFormat, setDetectedFileFormat, setDeselectedSegmentIds, cancelRenderThumbnails]);
+  }, [cutSegmentsHistory, clearSegments, clearLayers, setFileFormat, setDetectedFileFormat, setDeselectedSegmentIds, discardDetectorPreview, cancelRenderThumbnails]);
 
 
   const showUnsupportedFileMessage = useCallback(() => {
@@ -803,6 +856,88 @@ const App = memo(() => {
     }
   }, [batchFiles, ensureAccessibleDirectories, html5ify, setWorking]);
 
+  const batchDetectSegments = useCallback(async () => {
+    if (batchFiles.length < 1) return;
+    const filePaths = batchFiles.map((f) => f.path);
+
+    const detectorName = await askForBatchDetector(fromPairs(Object.entries(detectors).map(([name, detector]) => [name, detector.getTitle()])));
+    if (!detectorName) return;
+    const detector = detectors[detectorName];
+    const parameters = await askForDetectorParameters(detectorName, { context: { motionRegion } });
+    if (parameters == null) return;
+
+    const results = [];
+    let i = 0;
+    const setTotalProgress = (fileProgress = 0) => setCutProgress((i + fileProgress) / filePaths.length);
+
+    if (workingRef.current) return;
+    try {
+      setWorking(detector.getWorkingText());
+      setCutProgress(0);
+
+      // eslint-disable-next-line no-restricted-syntax
+      for (const path of filePaths) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const { newCustomOutDir, cancel } = await ensureAccessibleDirectories({ inputPath: path, checkInputDir: !storeProjectInWorkingDir });
+          if (cancel) return;
+
+          // eslint-disable-next-line no-await-in-loop
+          const fileDuration = await getDuration(path);
+          if (!isDurationValid(fileDuration)) throw new Error(i18n.t('This file does not have a valid duration.'));
+
+          // eslint-disable-next-line no-await-in-loop
+          const newSegments = (await detector.detect({ filePath: path, parameters, onProgress: setTotalProgress, from: 0, to: fileDuration }))
+            .map((segment) => ({ ...segment, layer: currentLayerName }));
+          console.log(detectorName, path, newSegments);
+
+          if (newSegments.length > 0) {
+            if (path === filePath) {
+              // The open file's segments are in memory, and will be auto saved from there
+              loadCutSegments(newSegments, true);
+            } else {
+              // eslint-disable-next-line no-await-in-loop
+              await appendSegmentsToLlcProject({ savePath: getSuffixedOutPath({ customOutDir: storeProjectInWorkingDir ? newCustomOutDir : undefined, filePath: path, nameSuffix: projectSuffix }), filePath: path, segments: newSegments });
+            }
+          }
+          results.push({ path, numSegments: newSegments.length });
+        } catch (err2) {
+          // assume execa killed (aborted by user)
+          if (err2.killed === true) return;
+          console.error(detector.getErrorText(), path, err2);
+          results.push({ path, error: err2.message });
+        }
+
+        i += 1;
+        setTotalProgress();
+      }
+
+      showBatchDetectFinishedDialog({ results });
+    } catch (err) {
+      handleError(detector.getErrorText(), err);
+    } finally {
+      setWorking();
+      setCutProgress();
+    }
+  }, [batchFiles, currentLayerName, ensureAccessibleDirectories, filePath, loadCutSegments, motionRegion, setWorking, storeProjectInWorkingDir]);
+
+  const detectMotion = useCallback(() => {
+    if (!mainVideoStream) return;
+    setMotionRegionSelectorShown(true);
+  }, [mainVideoStream]);
+
+  const onMotionRegionSelected = useCallback(async (region) => {
+    setMotionRegionSelectorShown(false);
+    const newMotionRegion = region ? formatCropRegion(region) : '';
+    setMotionRegion(newMotionRegion);
+    await runDetector('motion', { motionRegion: newMotionRegion });
+  }, [runDetector]);
+
+  const rerunDetectorPreviewInZoomWindow = useCallback(async () => {
+    if (!isDurationValid(zoomedDuration) || zoomWindowStartTime == null) return;
+    await rerunDetectorPreview({ from: zoomWindowStartTime, to: Math.min(zoomWindowStartTime + zoomedDuration, duration) });
+  }, [duration, rerunDetectorPreview, zoomWindowStartTime, zoomedDuration]);
+
   const getConvertToSupportedFormat = useCallback((fallback) => rememberConvertToSupportedFormat || fallback, [rememberConvertToSupportedFormat]);
 
   const html5ifyAndLoadWithPreferences = useCallback(async (cod, fp, speed, hv, ha) => {
@@ -1016,17 +1151,19 @@ const App = memo(() => {
   // For invertCutSegments we do not support filtering
   const selectedSegmentsOrInverseRaw = useMemo(() => (invertCutSegments ? inverseCutSegments : selectedSegmentsRaw), [inverseCutSegments, invertCutSegments, selectedSegmentsRaw]);
 
-  const nonFilteredSegments = useMemo(() => (invertCutSegments ? inverseCutSegments : apparentCutSegments), [invertCutSegments, inverseCutSegments, apparentCutSegments]);
+  const nonFilteredSegments = useMemo(() => (invertCutSegments ? inverseCutSegments : exportedLayersSegments), [invertCutSegments, inverseCutSegments, exportedLayersSegments]);
 
   // If user has selected none to export, it makes no sense, so export all instead
   const selectedSegmentsOrInverse = selectedSegmentsOrInverseRaw.length > 0 ? selectedSegmentsOrInverseRaw : nonFilteredSegments;
 
   const segmentsToExport = useMemo(() => {
+    // If there are only audio edit (mute/bleep) segments, export the full timeline with the audio edits applied
+    if (!segmentsToChaptersOnly && selectedSegmentsOrInverse.length === 0 && audioEditSegments.length > 0) return [{ start: 0, end: getSegApparentEnd({}) }];
     if (!segmentsToChaptersOnly) return selectedSegmentsOrInverse;
     // segmentsToChaptersOnly is a special mode where all segments will be simply written out as chapters to one file: https://github.com/mifi/lossless-cut/issues/993#issuecomment-1037927595
     // Chapters export mode: Emulate a single segment with no cuts (full timeline)
     return [{ start: 0, end: getSegApparentEnd({}) }];
-  }, [selectedSegmentsOrInverse, getSegApparentEnd, segmentsToChaptersOnly]);
+  }, [selectedSegmentsOrInverse, getSegApparentEnd, segmentsToChaptersOnly, audioEditSegments.length]);
 
   const areWeCutting = useMemo(() => segmentsToExport.some(({ start, end }) => isCuttingStart(start) || isCuttingEnd(end, duration)), [duration, segmentsToExport]);
 
@@ -1045,7 +1182,10 @@ const App = memo(() => {
       // https://github.com/mifi/lossless-cut/issues/583
       else if (segments.length > 1) segSuffix = `-seg${segNum}`;
 
-      const ext = getOutFileExtension({ isCustomFormatSelected, outFormat: fileFormat, filePath });
+      const { outFormat: segmentOutFormat } = getSegmentExportOptions(segment);
+      const ext = segmentOutFormat != null
+        ? getOutFileExtension({ isCustomFormatSelected: true, outFormat: segmentOutFormat, filePath })
+        : getOutFileExtension({ isCustomFormatSelected, outFormat: fileFormat, filePath });
 
       const { name: fileNameWithoutExt } = parsePath(filePath);
 
@@ -1064,42 +1204,44 @@ const App = memo(() => {
 
   const willMerge = segmentsToExport.length > 1 && autoMerge;
 
-  const onExportConfirm = useCallback(async () => {
-    if (numStreamsToCopy === 0) {
-      errorToast(i18n.t('No tracks selected for export'));
-      return;
-    }
+  const getExportError = useCallback(({ merge = willMerge } = {}) => {
+    if (numStreamsToCopy === 0) return i18n.t('No tracks selected for export');
+    if (segmentsToChaptersOnly && hasAnySegmentOverlap(sortSegments(selectedSegmentsOrInverse))) return i18n.t('Make sure you have no overlapping segments.');
+    if (merge && haveUnmergeableSegmentExportOptions(segmentsToExport)) return i18n.t('Segments with their own output format or tracks cannot be merged. Disable merging or remove these export options from the segments.');
+    return undefined;
+  }, [numStreamsToCopy, segmentsToChaptersOnly, selectedSegmentsOrInverse, willMerge, segmentsToExport]);
 
-    setStreamsSelectorShown(false);
-    setExportConfirmVisible(false);
+  // A snapshot of everything needed to export the current file, so that it can also be exported later from the export queue (when another file may be loaded)
+  const getExportParams = useCallback(({ customOutDir: exportCustomOutDir = customOutDir, merge = willMerge } = {}) => {
+    // Special segments-to-chapters mode:
+    const chaptersToAdd = segmentsToChaptersOnly ? convertSegmentsToChapters(sortSegments(selectedSegmentsOrInverse)) : undefined;
 
-    if (workingRef.current) return;
-    try {
-      setWorking(i18n.t('Exporting'));
+    console.log('outSegTemplateOrDefault', outSegTemplateOrDefault);
 
-      // Special segments-to-chapters mode:
-      let chaptersToAdd;
-      if (segmentsToChaptersOnly) {
-        const sortedSegments = sortSegments(selectedSegmentsOrInverse);
-        if (hasAnySegmentOverlap(sortedSegments)) {
-          errorToast(i18n.t('Make sure you have no overlapping segments.'));
-          return;
-        }
-        chaptersToAdd = convertSegmentsToChapters(sortedSegments);
-      }
+    let outSegFileNames = generateOutSegFileNames({ segments: segmentsToExport, template: outSegTemplateOrDefault });
+    if (getOutSegError(outSegFileNames) != null) {
+      console.warn('Output segments file name invalid, using default instead', outSegFileNames);
+      outSegFileNames = generateOutSegFileNames({ segments: segmentsToExport, template: defaultOutSegTemplate, forceSafeOutputFileName: true });
+    }
 
-      console.log('outSegTemplateOrDefault', outSegTemplateOrDefault);
+    const notices = [];
+    const warnings = [];
 
-      let outSegFileNames = generateOutSegFileNames({ segments: segmentsToExport, template: outSegTemplateOrDefault });
-      if (getOutSegError(outSegFileNames) != null) {
-        console.warn('Output segments file name invalid, using default instead', outSegFileNames);
-        outSegFileNames = generateOutSegFileNames({ segments: segmentsToExport, template: defaultOutSegTemplate, forceSafeOutputFileName: true });
-      }
+    // https://github.com/mifi/lossless-cut/issues/329
+    if (isIphoneHevc(mainFileFormatData, mainStreams)) warnings.push(i18n.t('There is a known issue with cutting iPhone HEVC videos. The output file may not work in all players.'));
+
+    // https://github.com/mifi/lossless-cut/issues/280
+    if (!ffmpegExperimental && isProblematicAvc1(fileFormat, mainStreams)) warnings.push(i18n.t('There is a known problem with this file type, and the output might not be playable. You can work around this problem by enabling the "Experimental flag" under Settings.'));
+
+    if (areWeCutting) notices.push(i18n.t('Cutpoints may be inaccurate.'));
 
-      // throw (() => { const err = new Error('test'); err.code = 'ENOENT'; return err; })();
-      const outFiles = await cutMultiple({
-        outputDir,
-        customOutDir,
+    return {
+      filePath,
+      customOutDir: exportCustomOutDir,
+      cut: {
+        filePath,
+        outputDir: getOutDir(exportCustomOutDir, filePath),
+        customOutDir: exportCustomOutDir,
         outFormat: fileFormat,
         videoDuration: duration,
         rotation: isRotationSet ? effectiveRotation : undefined,
@@ -1108,8 +1250,7 @@ const App = memo(() => {
         keyframeCut,
         segments: segmentsToExport,
         segmentsFileNames: outSegFileNames,
-        onProgress: setCutProgress,
-        appendFfmpegCommandLog,
+        audioEditSegments,
         shortestFlag,
         ffmpegExperimental,
         preserveMovData,
@@ -1123,68 +1264,107 @@ const App = memo(() => {
         detectedFps,
         enableSmartCut,
         enableOverwriteOutput,
-      });
+        exportSubtitleSidecars,
+        willMerge: merge,
+      },
+      merge: merge ? {
+        filePath,
+        customOutDir: exportCustomOutDir,
+        outFormat: fileFormat,
+        isCustomFormatSelected,
+        ffmpegExperimental,
+        preserveMovData,
+        movFastStart,
+        chapterNames: segmentsToChapters && !invertCutSegments ? segmentsToExport.map((s) => s.name) : undefined,
+        autoDeleteMergedSegments,
+        preserveMetadataOnMerge,
+        segments: segmentsToExport,
+        exportSubtitleSidecars,
+      } : undefined,
+      extraStreams: exportExtraStreams ? nonCopiedExtraStreams : [],
+      notices,
+      warnings,
+    };
+  }, [customOutDir, willMerge, segmentsToChaptersOnly, selectedSegmentsOrInverse, outSegTemplateOrDefault, generateOutSegFileNames, segmentsToExport, getOutSegError, mainFileFormatData, mainStreams, ffmpegExperimental, fileFormat, areWeCutting, filePath, duration, isRotationSet, effectiveRotation, copyFileStreams, allFilesMeta, keyframeCut, audioEditSegments, shortestFlag, preserveMovData, preserveMetadataOnMerge, movFastStart, avoidNegativeTs, customTagsByFile, customTagsByStreamId, dispositionByStreamId, detectedFps, enableSmartCut, enableOverwriteOutput, exportSubtitleSidecars, isCustomFormatSelected, segmentsToChapters, invertCutSegments, autoDeleteMergedSegments, exportExtraStreams, nonCopiedExtraStreams]);
 
-      let concatOutPath;
-      if (willMerge) {
-        setCutProgress(0);
-        setWorking(i18n.t('Merging'));
-
-        const chapterNames = segmentsToChapters && !invertCutSegments ? segmentsToExport.map((s) => s.name) : undefined;
-
-        concatOutPath = await autoConcatCutSegments({
-          customOutDir,
-          outFormat: fileFormat,
-          isCustomFormatSelected,
-          segmentPaths: outFiles,
-          ffmpegExperimental,
-          preserveMovData,
-          movFastStart,
-          onProgress: setCutProgress,
-          chapterNames,
-          autoDeleteMergedSegments,
-          preserveMetadataOnMerge,
-          appendFfmpegCommandLog,
-        });
-      }
+  // Runs an export from getExportParams. `onStatus` is called with a description of what is currently being done
+  // With an `abortSignal` (queued exports), the ffmpeg processes are only killed by that signal, see runFfmpeg
+  const runExport = useCallback(async (params, { onProgress, onStatus, abortSignal }) => {
+    const notices = [...params.notices];
+    const warnings = [...params.warnings];
 
-      const notices = [];
-      const warnings = [];
+    // Read once, because they are needed both for cutting and merging
+    const subtitleTracks = await readTextSubtitleTracks({ copyFileStreams: params.cut.copyFileStreams, allFilesMeta: params.cut.allFilesMeta, abortSignal });
 
-      if (!exportConfirmEnabled) notices.push(i18n.t('Export options are not shown. You can enable export options by clicking the icon right next to the export button.'));
+    // throw (() => { const err = new Error('test'); err.code = 'ENOENT'; return err; })();
+    const { outFiles, outFilesCopyFileStreams } = await cutMultiple({ ...params.cut, subtitleTracks, onProgress, appendFfmpegCommandLog, abortSignal });
 
-      // https://github.com/mifi/lossless-cut/issues/329
-      if (isIphoneHevc(mainFileFormatData, mainStreams)) warnings.push(i18n.t('There is a known issue with cutting iPhone HEVC videos. The output file may not work in all players.'));
+    let concatOutPath;
+    if (params.merge) {
+      onProgress(0);
+      onStatus(i18n.t('Merging'));
 
-      // https://github.com/mifi/lossless-cut/issues/280
-      if (!ffmpegExperimental && isProblematicAvc1(fileFormat, mainStreams)) warnings.push(i18n.t('There is a known problem with this file type, and the output might not be playable. You can work around this problem by enabling the "Experimental flag" under Settings.'));
+      concatOutPath = await autoConcatCutSegments({ ...params.merge, segmentPaths: outFiles, segmentsCopyFileStreams: outFilesCopyFileStreams, subtitleTracks, onProgress, appendFfmpegCommandLog, abortSignal });
+    }
 
-      if (exportExtraStreams) {
-        try {
-          setCutProgress(); // If extracting extra streams takes a long time, prevent loader from being stuck at 100%
-          setWorking(i18n.t('Extracting {{numTracks}} unprocessable tracks(s)', { numTracks: nonCopiedExtraStreams.length }));
-          await extractStreams({ filePath, customOutDir, streams: nonCopiedExtraStreams, enableOverwriteOutput });
-          notices.push(i18n.t('Unprocessable streams were exported as separate files.'));
-        } catch (err) {
-          console.error('Extra stream export failed', err);
-          warnings.push(i18n.t('Unable to export unprocessable streams.'));
-        }
+    if (params.extraStreams.length > 0) {
+      try {
+        onProgress(); // If extracting extra streams takes a long time, prevent loader from being stuck at 100%
+        onStatus(i18n.t('Extracting {{numTracks}} unprocessable tracks(s)', { numTracks: params.extraStreams.length }));
+        await extractStreams({ filePath: params.filePath, customOutDir: params.customOutDir, streams: params.extraStreams, enableOverwriteOutput: params.cut.enableOverwriteOutput, abortSignal });
+        notices.push(i18n.t('Unprocessable streams were exported as separate files.'));
+      } catch (err) {
+        if (err.killed) throw err;
+        console.error('Extra stream export failed', err);
+        warnings.push(i18n.t('Unable to export unprocessable streams.'));
       }
+    }
+
+    return { outFiles, concatOutPath, notices, warnings };
+  }, [autoConcatCutSegments, cutMultiple, readTextSubtitleTracks]);
+
+  const {
+    exportJobs, enqueueExport, cancelExportJob, retryFailedExportJobs, clearFinishedExportJobs, exportQueuePaused, setExportQueuePaused,
+  } = useExportQueue({ runExport });
+
+  // Overrides are used by the headless CLI export, which must not persist its options to the user's settings
+  // `cleanup: false` is for unattended exports, which must never delete files because of the "cleanup after export" setting
+  const onExportConfirm = useCallback(async ({ customOutDir: exportCustomOutDir = customOutDir, merge = willMerge, throwOnError = false, showFinishedToast = true, cleanup = true } = {}) => {
+    const exportError = getExportError({ merge });
+    if (exportError) {
+      if (throwOnError) throw new Error(exportError);
+      errorToast(exportError);
+      return undefined;
+    }
+
+    setStreamsSelectorShown(false);
+    setExportConfirmVisible(false);
+
+    // Another operation is running. Callers that need the result (batch/headless export) must check `skipped`
+    if (workingRef.current) return { skipped: true };
+    try {
+      setWorking(i18n.t('Exporting'));
+
+      const { outFiles, concatOutPath, notices, warnings } = await runExport(getExportParams({ customOutDir: exportCustomOutDir, merge }), { onProgress: setCutProgress, onStatus: setWorking });
 
-      if (areWeCutting) notices.push(i18n.t('Cutpoints may be inaccurate.'));
+      if (!exportConfirmEnabled) notices.unshift(i18n.t('Export options are not shown. You can enable export options by clicking the icon right next to the export button.'));
 
       const revealPath = concatOutPath || outFiles[0];
-      if (!hideAllNotifications) openCutFinishedToast({ filePath: revealPath, warnings, notices });
+      if (showFinishedToast && !hideAllNotifications) openCutFinishedToast({ filePath: revealPath, warnings, notices });
 
-      if (cleanupChoices.cleanupAfterExport) await cleanupFiles(cleanupChoices);
+      if (cleanup && cleanupChoices.cleanupAfterExport) await cleanupFiles(cleanupChoices);
+
+      return { outFiles, concatOutPath };
     } catch (err) {
+      if (throwOnError) throw err;
+
       if (err.killed === true) {
         // assume execa killed (aborted by user)
-        return;
+        return undefined;
       }
       if (err instanceof RefuseOverwriteError) {
         showRefuseToOverwrite();
-        return;
+        return undefined;
       }
 
       console.error('stdout:', err.stdout);
@@ -1193,18 +1373,35 @@ const App = memo(() => {
       if (isExecaFailure(err)) {
         if (isOutOfSpaceError(err)) {
           showDiskFull();
-          return;
+          return undefined;
         }
         handleExportFailed(err);
-        return;
+        return undefined;
       }
 
       handleError(err);
+      return undefined;
     } finally {
       setWorking();
       setCutProgress();
     }
-  }, [numStreamsToCopy, setWorking, segmentsToChaptersOnly, outSegTemplateOrDefault, generateOutSegFileNames, segmentsToExport, getOutSegError, cutMultiple, outputDir, customOutDir, fileFormat, duration, isRotationSet, effectiveRotation, copyFileStreams, allFilesMeta, keyframeCut, shortestFlag, ffmpegExperimental, preserveMovData, preserveMetadataOnMerge, movFastStart, avoidNegativeTs, customTagsByFile, customTagsByStreamId, dispositionByStreamId, detectedFps, enableSmartCut, enableOverwriteOutput, willMerge, exportConfirmEnabled, mainFileFormatData, mainStreams, exportExtraStreams, areWeCutting, hideAllNotifications, cleanupChoices, cleanupFiles, selectedSegmentsOrInverse, segmentsToChapters, invertCutSegments, autoConcatCutSegments, isCustomFormatSelected, autoDeleteMergedSegments, nonCopiedExtraStreams, filePath, handleExportFailed]);
+  }, [customOutDir, willMerge, getExportError, setWorking, runExport, getExportParams, exportConfirmEnabled, hideAllNotifications, cleanupChoices, cleanupFiles, handleExportFailed]);
+
+  const numActiveExportJobs = useMemo(() => exportJobs.filter(isExportJobActive).length, [exportJobs]);
+
+  const onEnqueueExport = useCallback(() => {
+    const exportError = getExportError();
+    if (exportError) {
+      errorToast(exportError);
+      return;
+    }
+
+    setStreamsSelectorShown(false);
+    setExportConfirmVisible(false);
+
+    enqueueExport({ filePath, params: getExportParams() });
+    toast.fire({ icon: 'info', text: i18n.t('Export has been added to the queue') });
+  }, [enqueueExport, filePath, getExportError, getExportParams]);
 
   const onExportPress = useCallback(async () => {
     if (!filePath || workingRef.current || segmentsToExport.length < 1) return;
@@ -1259,6 +1456,29 @@ const App = memo(() => {
 
   const extractCurrentSegmentFramesAsImages = useCallback(() => extractSegmentFramesAsImages(currentSegIndexSafe), [currentSegIndexSafe, extractSegmentFramesAsImages]);
 
+  const measureSegmentsLoudness = useCallback(async () => {
+    if (!filePath || !hasAudio || workingRef.current) return;
+
+    try {
+      setWorking(i18n.t('Measuring loudness'));
+      setCutProgress(0);
+
+      // eslint-disable-next-line no-restricted-syntax
+      for (const [i, { segId, start, end }] of apparentCutSegments.entries()) {
+        // eslint-disable-next-line no-await-in-loop
+        const loudness = await measureLoudness({ filePath, from: start, to: end });
+        // The times are stored so that we know when the measurement is outdated
+        setSegmentsLoudness((existing) => ({ ...existing, [segId]: { start, end, ...loudness } }));
+        setCutProgress((i + 1) / apparentCutSegments.length);
+      }
+    } catch (err) {
+      if (err.killed !== true) handleError(i18n.t('Failed to measure loudness'), err);
+    } finally {
+      setWorking();
+      setCutProgress();
+    }
+  }, [apparentCutSegments, filePath, hasAudio, setWorking]);
+
   const changePlaybackRate = useCallback((dir, rateMultiplier) => {
     if (canvasPlayerEnabled) {
       toast.fire({ title: i18n.t('Unable to change playback rate right now'), timer: 1000 });
@@ -1284,6 +1504,12 @@ const App = memo(() => {
 
   const loadEdlFile = useCallback(async ({ path, type, append }) => {
     console.log('Loading EDL file', type, path, append);
+    if (type === 'llc') {
+      // Project files also contain the layers
+      const project = await loadLlcProject(path);
+      loadCutSegments(project.cutSegments, append, Array.isArray(project.layers) ? project.layers : undefined);
+      return;
+    }
     loadCutSegments(await readEdlFile({ type, path }), append);
   }, [loadCutSegments]);
 
@@ -1402,8 +1628,123 @@ const App = memo(() => {
   }, [resetState, setWorking, showPreviewFileLoadedMessage, loadEdlFile, getEdlFilePath, getEdlFilePathOld, enableAskForImportChapters, loadCutSegments, autoLoadTimecode, enableNativeHevc, setCopyStreamIdsForPath, setFileFormat, outFormatLocked, setDetectedFileFormat, html5ifyAndLoadWithPreferences]);
 
   const toggleLastCommands = useCallback(() => setLastCommandsVisible(val => !val), []);
+  const toggleExportQueue = useCallback(() => setExportQueueShown(val => !val), []);
   const toggleSettings = useCallback(() => setSettingsVisible(val => !val), []);
 
+  const applyToAllBatchFiles = useCallback(async () => {
+    if (workingRef.current || batchApply) return;
+    const paths = batchFiles.map(({ path }) => path).filter((path) => selectedBatchFiles.includes(path));
+    if (paths.length < 1) {
+      errorToast(i18n.t('Please select the batch files to apply the segments to'));
+      return;
+    }
+
+    const type = await askForSegmentTemplateType({ haveSegments: isFileOpened });
+    if (!type) return;
+
+    let template;
+    if (type === 'trim') {
+      const parameters = await showParametersDialog({ title: i18n.t('Enter parameters'), parameters: ffmpegParameters.trimSegmentTemplate() });
+      if (parameters == null) return;
+      const trimStart = parseFloat(parameters.trimStart);
+      const trimEnd = parseFloat(parameters.trimEnd);
+      if (!(trimStart >= 0) || !(trimEnd >= 0)) {
+        errorToast(i18n.t('Invalid number entered'));
+        return;
+      }
+      template = { type, trimStart, trimEnd };
+    } else {
+      template = { ...createSegmentTemplate({ type, segments: getCleanCutSegments(cutSegments), duration }), layers };
+    }
+
+    setBatchApply({ template, paths, index: 0, failedFiles: [], step: 'load' });
+  }, [batchApply, batchFiles, cutSegments, duration, isFileOpened, layers, selectedBatchFiles]);
+
+  // Also called when the batch was aborted, so the user knows which files were done
+  const finishBatchApply = useCallback(({ paths, index, failedFiles }) => {
+    setBatchApply();
+    // The currently loaded file still has the template segments, and they should not be auto saved to its project after the batch either
+    lastSaveOperation.current = currentSaveOperation;
+    showBatchApplyFinishedDialog({ numFiles: paths.length, numProcessed: Math.min(index, paths.length), failedFiles });
+  }, [currentSaveOperation]);
+
+  const batchApplyNextFile = useCallback((error) => setBatchApply((existing) => ({
+    ...existing,
+    index: existing.index + 1,
+    failedFiles: error != null ? [...existing.failedFiles, { path: existing.paths[existing.index], error }] : existing.failedFiles,
+    step: 'load',
+  })), []);
+
+  useEffect(() => {
+    if (batchApply?.step !== 'load') return;
+    const { template, paths: batchApplyPaths, index } = batchApply;
+
+    if (index >= batchApplyPaths.length) {
+      finishBatchApply(batchApply);
+      return;
+    }
+
+    const path = batchApplyPaths[index];
+    setBatchApply((existing) => ({ ...existing, step: 'loading' }));
+
+    (async () => {
+      try {
+        setWorking(i18n.t('Loading file'));
+        const { newCustomOutDir, cancel } = await ensureAccessibleDirectories({ inputPath: path });
+        if (cancel) {
+          finishBatchApply(batchApply);
+          return;
+        }
+
+        const fileDuration = await getDuration(path);
+        if (!isDurationValid(fileDuration)) throw new Error(i18n.t('This file does not have a valid duration.'));
+        const segments = getSegmentsFromTemplate(template, fileDuration);
+        if (segments.length < 1) throw new Error(i18n.t('None of the segments are within this file'));
+
+        await loadMedia({ filePath: path, customOutDir: newCustomOutDir });
+        setBatchApply((existing) => ({ ...existing, step: 'apply', segments, customOutDir: newCustomOutDir }));
+      } catch (err) {
+        console.error('Batch apply failed to load file', path, err);
+        batchApplyNextFile(err.message);
+      } finally {
+        setWorking();
+      }
+    })();
+  }, [batchApply, batchApplyNextFile, ensureAccessibleDirectories, finishBatchApply, loadMedia, setWorking]);
+
+  useEffect(() => {
+    // Wait until the file has finished loading, so that the segments are not overwritten by the file's own project
+    if (batchApply?.step !== 'apply' || filePath !== batchApply.paths[batchApply.index] || working) return;
+
+    try {
+      loadCutSegments(batchApply.segments, false, batchApply.template.layers);
+      setBatchApply((existing) => ({ ...existing, step: 'export' }));
+    } catch (err) {
+      batchApplyNextFile(err.message);
+    }
+  }, [batchApply, batchApplyNextFile, filePath, loadCutSegments, working]);
+
+  useEffect(() => {
+    if (batchApply?.step !== 'export' || working) return;
+    setBatchApply((existing) => ({ ...existing, step: 'exporting' }));
+
+    (async () => {
+      try {
+        const result = await onExportConfirm({ customOutDir: batchApply.customOutDir, throwOnError: true, showFinishedToast: false, cleanup: false });
+        if (result == null || result.skipped) throw new Error(i18n.t('The file was not exported because another operation was in progress'));
+        batchApplyNextFile();
+      } catch (err) {
+        if (err.killed === true) {
+          // assume execa killed (aborted by user), so stop the whole batch
+          finishBatchApply(batchApply);
+          return;
+        }
+        console.error('Batch apply failed to export', err);
+        batchApplyNextFile(err.message);
+      }
+    })();
+  }, [batchApply, batchApplyNextFile, finishBatchApply, onExportConfirm, working]);
+
   const jumpSeg = useCallback((val) => setCurrentSegIndex((old) => Math.max(Math.min(old + val, cutSegments.length - 1), 0)), [cutSegments.length, setCurrentSegIndex]);
 
   const seekClosestKeyframe = useCallback((direction) => {
@@ -1596,6 +1937,40 @@ const App = memo(() => {
     }
   }, [checkFileOpened, customOutDir, fileFormat, fixInvalidDuration, loadMedia, setWorking]);
 
+  const resetEditedChapters = useCallback(async () => {
+    setEditedChapters((await tryMapChaptersToEdl(mainFileChapters || [])).map(createChapter));
+  }, [mainFileChapters]);
+
+  const showChaptersEditor = useCallback(async () => {
+    if (!checkFileOpened()) return;
+    if (editedChapters == null) await resetEditedChapters();
+    setChaptersEditorShown(true);
+  }, [checkFileOpened, editedChapters, resetEditedChapters]);
+
+  const saveEditedChapters = useCallback(async () => {
+    if (!checkFileOpened() || workingRef.current) return;
+    try {
+      setWorking(i18n.t('Writing chapters'));
+      const path = await remuxWithChapters({ chapters: getChaptersWithEnds(editedChapters, durationSafe), fileFormat, customOutDir, appendFfmpegCommandLog });
+      toast.fire({ icon: 'info', text: i18n.t('Chapters have been written to a new file') });
+      await loadMedia({ filePath: path, customOutDir });
+    } catch (err) {
+      errorToast(i18n.t('Failed to write chapters'));
+      console.error('Failed to write chapters', err);
+    } finally {
+      setWorking();
+    }
+  }, [checkFileOpened, customOutDir, durationSafe, editedChapters, fileFormat, loadMedia, remuxWithChapters, setWorking]);
+
+  const exportEditedChapters = useCallback(async (type) => {
+    try {
+      await exportChaptersFile({ type, chapters: getChaptersWithEnds(editedChapters, durationSafe), customOutDir, filePath });
+    } catch (err) {
+      errorToast(i18n.t('Failed to export chapters'));
+      console.error('Failed to export chapters', type, err);
+    }
+  }, [customOutDir, durationSafe, editedChapters, filePath]);
+
   const addStreamSourceFile = useCallback(async (path) => {
     if (allFilesMeta[path]) return undefined; // Already added?
     const fileMeta = await readFileMeta(path);
@@ -1739,7 +2114,8 @@ const App = memo(() => {
     setConcatDialogVisible(true);
   }, [batchFiles.length, openFilesDialog]);
 
-  const onKeyPress = useCallback(({ action, keyup }) => {
+  // `throwOnUnknownAction` is used by the HTTP API, where the action name comes from the user
+  const onKeyPress = useCallback(({ action, keyup, throwOnUnknownAction = false }) => {
     function seekReset() {
       seekAccelerationRef.current = 1;
     }
@@ -1873,6 +2249,8 @@ const App = memo(() => {
     const { match, bubble } = tryMainActions();
     if (match) return bubble;
 
+    if (throwOnUnknownAction) throw Object.assign(new Error(`Unknown action ${action}`), { statusCode: 404 });
+
     return true; // bubble the event
   }, [addSegment, askSetStartTimeOffset, batchFileJump, batchOpenSelectedFile, captureSnapshot, captureSnapshotAsCoverArt, changePlaybackRate, cleanupFilesDialog, clearSegments, closeBatch, closeExportConfirm, combineOverlappingSegments, concatCurrentBatch, concatDialogVisible, convertFormatBatch, createFixedDurationSegments, createNumSegments, createRandomSegments, currentSegIndexSafe, cutSegmentsHistory, deselectAllSegments, exportConfirmVisible, extractAllStreams, extractCurrentSegmentFramesAsImages, fillSegmentsGaps, goToTimecode, increaseRotation, invertAllSegments, jumpCutEnd, jumpCutStart, jumpSeg, jumpTimelineEnd, jumpTimelineStart, keyboardNormalSeekSpeed, keyboardSeekAccFactor, keyboardShortcutsVisible, onExportConfirm, onExportPress, onLabelSegment, pause, play, removeCutSegment, removeSelectedSegments, reorderSegsByStartTime, seekClosestKeyframe, seekRel, seekRelPercent, selectAllSegments, selectOnlyCurrentSegment, setCutEnd, setCutStart, setPlaybackVolume, shortStep, shuffleSegments, splitCurrentSegment, timelineToggleComfortZoom, toggleCaptureFormat, toggleCurrentSegmentSelected, toggleKeyboardShortcuts, toggleKeyframeCut, toggleLastCommands, togglePlay, toggleSegmentsList, toggleStreamsSelector, toggleStripAudio, tryFixInvalidDuration, userHtml5ifyCurrentFile, zoomRel]);
 
@@ -1889,6 +2267,120 @@ const App = memo(() => {
     electron.ipcRenderer.send('setAskBeforeClose', askBeforeClose && isFileOpened);
   }, [askBeforeClose, isFileOpened]);
 
+  // Quitting would kill the queued exports, so always ask
+  useEffect(() => {
+    electron.ipcRenderer.send('setNumActiveExportJobs', numActiveExportJobs);
+  }, [numActiveExportJobs]);
+
+  // Headless CLI export (--export): load the project, then export as soon as the media has finished loading
+  const [headlessExport, setHeadlessExport] = useState();
+  const headlessExportStartedRef = useRef(false);
+
+  useEffect(() => {
+    async function onHeadlessExport(event, { projectPath, outDir, mode, layer }) {
+      try {
+        setWorking(i18n.t('Loading file'));
+        const { mediaFileName } = await loadLlcProject(projectPath);
+        if (!mediaFileName) throw new Error(`Project file has no media file: ${projectPath}`);
+        const mediaPath = pathJoin(dirname(projectPath), mediaFileName);
+        const cod = outDir || dirname(mediaPath);
+        await loadMedia({ filePath: mediaPath, customOutDir: cod, projectPath });
+        if (layer != null) setExportLayerName(layer);
+        setHeadlessExport({ customOutDir: cod, mode, layer });
+      } catch (err) {
+        console.error('Headless export failed to load', err);
+        electron.ipcRenderer.send('headlessExportDone', { error: err.message });
+      } finally {
+        setWorking();
+      }
+    }
+
+    electron.ipcRenderer.on('headlessExport', onHeadlessExport);
+    return () => electron.ipcRenderer.removeListener('headlessExport', onHeadlessExport);
+  }, [loadMedia, setExportLayerName, setWorking]);
+
+  useEffect(() => {
+    if (!headlessExport || !isFileOpened || working || headlessExportStartedRef.current) return;
+    headlessExportStartedRef.current = true;
+
+    (async () => {
+      try {
+        if (headlessExport.layer != null && !layers.some((layer) => layer.name === headlessExport.layer)) throw new Error(`Layer not found in project: ${headlessExport.layer}`);
+        if (segmentsToExport.length < 1) throw new Error('No segments to export');
+        if (haveInvalidSegs) throw new Error(i18n.t('Start time must be before end time'));
+
+        const result = await onExportConfirm({
+          customOutDir: headlessExport.customOutDir,
+          merge: headlessExport.mode === 'merge' && segmentsToExport.length > 1,
+          throwOnError: true,
+          cleanup: false,
+        });
+        if (result == null || result.skipped) throw new Error('The file was not exported because another operation was in progress');
+        const { outFiles, concatOutPath } = result;
+        electron.ipcRenderer.send('headlessExportDone', { outFiles: concatOutPath ? [concatOutPath] : outFiles });
+      } catch (err) {
+        console.error('Headless export failed', err);
+        electron.ipcRenderer.send('headlessExportDone', { error: err.message, stderr: err.stderr });
+      }
+    })();
+  }, [haveInvalidSegs, headlessExport, isFileOpened, layers, onExportConfirm, segmentsToExport.length, working]);
+
+  useEffect(() => {
+    if (!headlessExport) return;
+    electron.ipcRenderer.send('headlessExportProgress', { working, progress: cutProgress });
+  }, [cutProgress, headlessExport, working]);
+
+  // Requests from the local HTTP API (--http-api), see public/httpServer.js
+  useEffect(() => {
+    async function handleApiRequest(request) {
+      const { type } = request;
+
+      if (type === 'getState') {
+        return {
+          filePath,
+          playerTime: filePath ? getCurrentTime() : undefined,
+          duration,
+          working: working || undefined,
+          currentSegIndex: currentSegIndexSafe,
+          cutSegments: cutSegments.map((seg) => ({ segId: seg.segId, start: seg.start, end: seg.end, name: seg.name, tags: seg.tags, layer: seg.layer, type: seg.type })),
+          batchFiles: batchFiles.map(({ path }) => path),
+        };
+      }
+      if (type === 'action') {
+        onKeyPress({ action: request.action, throwOnUnknownAction: true });
+        return undefined;
+      }
+      if (type === 'seek') {
+        if (!checkFileOpened()) throw new Error('No file is loaded');
+        seekAbs(request.time);
+        return undefined;
+      }
+      if (type === 'openFile') {
+        await userOpenFiles([resolvePathIfNeeded(request.path)]);
+        return undefined;
+      }
+      if (type === 'loadEdl') {
+        if (!checkFileOpened()) throw new Error('No file is loaded');
+        await loadEdlFile({ path: resolvePathIfNeeded(request.path), type: request.edlType || 'llc', append: request.append });
+        return undefined;
+      }
+      throw new Error(`Unknown request type ${type}`);
+    }
+
+    async function onApiRequest(event, request) {
+      try {
+        const state = await handleApiRequest(request);
+        electron.ipcRenderer.send('apiResponse', { id: request.id, state });
+      } catch (err) {
+        console.error('API request failed', request, err);
+        electron.ipcRenderer.send('apiResponse', { id: request.id, error: err.message, statusCode: err.statusCode });
+      }
+    }
+
+    electron.ipcRenderer.on('apiRequest', onApiRequest);
+    return () => electron.ipcRenderer.removeListener('apiRequest', onApiRequest);
+  }, [batchFiles, checkFileOpened, currentSegIndexSafe, cutSegments, duration, filePath, getCurrentTime, loadEdlFile, onKeyPress, seekAbs, userOpenFiles, working]);
+
   const extractSingleStream = useCallback(async (index) => {
     if (!filePath) return;
 
@@ -1951,10 +2443,31 @@ const App = memo(() => {
   }, [fileUri, usingPreviewFile, hasVideo, hasAudio, html5ifyAndLoadWithPreferences, customOutDir, filePath, setWorking]);
 
   useEffect(() => {
+    // Use the user's start time offset if set, else the timecode embedded in the file
+    const getEdlTimecodeOffset = () => (startTimeOffset !== 0 ? startTimeOffset : (getTimecodeFromStreams(mainStreams) ?? 0));
+
     async function exportEdlFile2(e, type) {
       if (!checkFileOpened()) return;
       try {
-        await exportEdlFile({ type, cutSegments, customOutDir, filePath, getFrameCount });
+        if (type === 'cmx3600') {
+          // An EDL is a list of the exported clips, with the source in/out points in the media's own timecode. Audio-only files have no detectedFps, then a default timebase is used
+          const reelName = mainStreams.find((stream) => stream.tags?.reel_name)?.tags.reel_name;
+          // eslint-disable-next-line no-nested-ternary
+          const trackType = hasVideo && hasAudio ? 'AA/V' : hasVideo ? 'V' : 'AA';
+          await exportEdlFile({ type, cutSegments: selectedSegmentsOrInverse, customOutDir, filePath, fps: detectedFps, timecodeOffset: getEdlTimecodeOffset(), reelName, trackType });
+          return;
+        }
+        if (type === 'xmeml' || type === 'fcpxml') {
+          // A sequence of the exported clips, referencing the source media. Audio-only files have no detectedFps, then a default timebase is used
+          await exportEdlFile({ type, cutSegments: selectedSegmentsOrInverse, customOutDir, filePath, fps: detectedFps, duration, width: mainVideoStream?.width, height: mainVideoStream?.height, hasVideo, hasAudio });
+          return;
+        }
+        if (type === 'audacity' || type === 'audition') {
+          // Labels / markers cannot extend to the end of the file, so they need the actual start and end times
+          await exportEdlFile({ type, cutSegments: apparentCutSegments, customOutDir, filePath });
+          return;
+        }
+        await exportEdlFile({ type, cutSegments, layers, customOutDir, filePath, getFrameCount });
       } catch (err) {
         errorToast(i18n.t('Failed to export project'));
         console.error('Failed to export project', type, err);
@@ -1971,7 +2484,7 @@ const App = memo(() => {
       if (!checkFileOpened()) return;
 
       try {
-        const edl = await askForEdlImport({ type, fps: detectedFps });
+        const edl = await askForEdlImport({ type, fps: detectedFps, timecodeOffset: getEdlTimecodeOffset() });
         if (edl.length > 0) loadCutSegments(edl, true);
       } catch (err) {
         handleError(err);
@@ -1987,10 +2500,12 @@ const App = memo(() => {
       askSetStartTimeOffset,
       extractAllStreams,
       showStreamsSelector: () => setStreamsSelectorShown(true),
+      showChaptersEditor,
       importEdlFile,
       exportEdlFile: exportEdlFile2,
       exportEdlYouTube,
       toggleLastCommands,
+      toggleExportQueue,
       toggleKeyboardShortcuts,
       toggleSettings,
       openAbout,
@@ -2006,10 +2521,18 @@ const App = memo(() => {
       fixInvalidDuration: tryFixInvalidDuration,
       reorderSegsByStartTime,
       concatCurrentBatch,
+      applyToAllBatchFiles,
+      batchDetectSegments,
       detectBlackScenes,
+      detectFrozenVideo,
       detectSilentScenes,
       detectSceneChanges,
+      detectCommercialBreaks,
+      detectLoudScenes,
+      detectMotion,
+      measureSegmentsLoudness,
       createSegmentsFromKeyframes,
+      createSegmentsFromSubtitles,
       shiftAllSegmentTimes,
       alignSegmentTimesToKeyframes,
     };
@@ -2027,7 +2550,7 @@ const App = memo(() => {
 
     actionsWithCatch.forEach(([key, action]) => electron.ipcRenderer.on(key, action));
     return () => actionsWithCatch.forEach(([key, action]) => electron.ipcRenderer.removeListener(key, action));
-  }, [alignSegmentTimesToKeyframes, apparentCutSegments, askSetStartTimeOffset, checkFileOpened, clearSegments, closeBatch, closeFileWithConfirm, combineOverlappingSegments, concatCurrentBatch, createFixedDurationSegments, createNumSegments, createRandomSegments, createSegmentsFromKeyframes, customOutDir, cutSegments, detectBlackScenes, detectSceneChanges, detectSilentScenes, detectedFps, extractAllStreams, fileFormat, filePath, fillSegmentsGaps, getFrameCount, invertAllSegments, loadCutSegments, loadMedia, openFilesDialog, openSendReportDialogWithState, reorderSegsByStartTime, setWorking, shiftAllSegmentTimes, shuffleSegments, toggleKeyboardShortcuts, toggleLastCommands, toggleSettings, tryFixInvalidDuration, userHtml5ifyCurrentFile, userOpenFiles]);
+  }, [alignSegmentTimesToKeyframes, apparentCutSegments, applyToAllBatchFiles, batchDetectSegments, askSetStartTimeOffset, checkFileOpened, clearSegments, closeBatch, closeFileWithConfirm, combineOverlappingSegments, concatCurrentBatch, createFixedDurationSegments, createNumSegments, createRandomSegments, createSegmentsFromKeyframes, createSegmentsFromSubtitles, customOutDir, cutSegments, detectBlackScenes, detectCommercialBreaks, detectFrozenVideo, detectLoudScenes, detectMotion, detectSceneChanges, detectSilentScenes, detectedFps, duration, extractAllStreams, fileFormat, filePath, fillSegmentsGaps, getFrameCount, hasAudio, hasVideo, invertAllSegments, layers, loadCutSegments, loadMedia, mainStreams, mainVideoStream, measureSegmentsLoudness, openFilesDialog, openSendReportDialogWithState, reorderSegsByStartTime, selectedSegmentsOrInverse, setWorking, shiftAllSegmentTimes, showChaptersEditor, shuffleSegments, startTimeOffset, toggleExportQueue, toggleKeyboardShortcuts, toggleLastCommands, toggleSettings, tryFixInvalidDuration, userHtml5ifyCurrentFile, userOpenFiles]);
 
   const showAddStreamSourceDialog = useCallback(async () => {
     try {
@@ -2113,6 +2636,8 @@ const App = memo(() => {
             numStreamsTotal={numStreamsTotal}
             setStreamsSelectorShown={setStreamsSelectorShown}
             selectedSegments={selectedSegmentsOrInverse}
+            numActiveExportJobs={numActiveExportJobs}
+            toggleExportQueue={toggleExportQueue}
           />
 
           <div style={{ flexGrow: 1, display: 'flex', overflowY: 'hidden' }}>
@@ -2129,6 +2654,8 @@ const App = memo(() => {
                   closeBatch={closeBatch}
                   onMergeFilesClick={concatCurrentBatch}
                   onBatchConvertToSupportedFormatClick={convertFormatBatch}
+                  onApplyToAllClick={applyToAllBatchFiles}
+                  onDetectSegmentsClick={batchDetectSegments}
                 />
               )}
             </AnimatePresence>
@@ -2156,6 +2683,8 @@ const App = memo(() => {
                 {canvasPlayerEnabled && <Canvas rotate={effectiveRotation} filePath={filePath} width={mainVideoStream.width} height={mainVideoStream.height} streamIndex={mainVideoStream.index} playerTime={playerTime} commandedTime={commandedTime} playing={playing} />}
               </div>
 
+              {motionRegionSelectorShown && mainVideoStream && <RegionSelector videoWidth={mainVideoStream.width} videoHeight={mainVideoStream.height} rotation={fileRotation} sampleAspectRatio={mainVideoStream.sample_aspect_ratio} onConfirm={onMotionRegionSelected} onCancel={() => setMotionRegionSelectorShown(false)} />}
+
               {isRotationSet && !hideCanvasPreview && (
                 <div style={{ position: 'absolute', top: 0, right: 0, left: 0, marginTop: '1em', marginLeft: '1em', color: 'white', display: 'flex', alignItems: 'center' }}>
                   <MdRotate90DegreesCcw size={26} style={{ marginRight: 5 }} />
@@ -2210,6 +2739,8 @@ const App = memo(() => {
                   toggleSegmentsList={toggleSegmentsList}
                   splitCurrentSegment={splitCurrentSegment}
                   selectedSegmentsRaw={selectedSegmentsRaw}
+                  audioEditSegments={audioEditSegments}
+                  setSegmentType={setSegmentType}
                   selectedSegments={selectedSegmentsOrInverse}
                   onSelectSingleSegment={selectOnlySegment}
                   onToggleSegmentSelected={toggleSegmentSelected}
@@ -2219,17 +2750,40 @@ const App = memo(() => {
                   jumpSegStart={jumpSegStart}
                   jumpSegEnd={jumpSegEnd}
                   onViewSegmentTags={onViewSegmentTags}
+                  onEditSegmentExportOptions={onEditSegmentExportOptions}
                   onSelectSegmentsByLabel={onSelectSegmentsByLabel}
                   onLabelSelectedSegments={onLabelSelectedSegments}
+                  onMoveSelectedSegmentsToLayer={moveSelectedSegmentsToLayer}
+                  getSegmentColor={getSegmentColor}
+                  layers={layers}
+                  currentLayerName={currentLayerName}
+                  setCurrentLayerName={setCurrentLayerName}
+                  addLayer={addLayer}
+                  renameLayer={renameLayer}
+                  removeLayer={removeLayer}
+                  toggleLayerExportEnabled={toggleLayerExportEnabled}
+                  segmentsLoudness={segmentsLoudness}
+                  onMeasureLoudnessPress={hasAudio ? measureSegmentsLoudness : undefined}
                 />
               )}
             </AnimatePresence>
           </div>
 
           <motion.div className="no-user-select" style={bottomMotionStyle}>
+            {detectorPreview && (
+              <DetectorPreviewBar
+                detectorPreview={detectorPreview}
+                formatTimecode={formatTimecode}
+                onRerunInZoomWindowPress={rerunDetectorPreviewInZoomWindow}
+                onAcceptPress={acceptDetectorPreview}
+                onDiscardPress={discardDetectorPreview}
+              />
+            )}
+
             <Timeline
               shouldShowKeyframes={shouldShowKeyframes}
               waveforms={waveforms}
+              waveformOverviews={waveformOverviews}
               shouldShowWaveform={shouldShowWaveform}
               waveformEnabled={waveformEnabled}
               thumbnailsEnabled={thumbnailsEnabled}
@@ -2244,6 +2798,7 @@ const App = memo(() => {
               seekAbs={seekAbs}
               durationSafe={durationSafe}
               apparentCutSegments={apparentCutSegments}
+              getSegmentColor={getSegmentColor}
               setCurrentSegIndex={setCurrentSegIndex}
               currentSegIndexSafe={currentSegIndexSafe}
               inverseCutSegments={inverseCutSegments}
@@ -2253,6 +2808,7 @@ const App = memo(() => {
               isFileOpened={isFileOpened}
               onWheel={onTimelineWheel}
               goToTimecode={goToTimecode}
+              detectorPreviewSegments={detectorPreview && detectorPreview.segments}
             />
 
             <BottomBar
@@ -2272,6 +2828,7 @@ const App = memo(() => {
               currentSegIndexSafe={currentSegIndexSafe}
               cutSegments={cutSegments}
               currentCutSeg={currentCutSeg}
+              getSegmentColor={getSegmentColor}
               setCutStart={setCutStart}
               setCutEnd={setCutEnd}
               setCurrentSegIndex={setCurrentSegIndex}
@@ -2318,6 +2875,8 @@ const App = memo(() => {
                 mainFileStreams={mainStreams}
                 isCopyingStreamId={isCopyingStreamId}
                 toggleCopyStreamId={toggleCopyStreamId}
+                isWaveformStreamId={isWaveformStreamId}
+                toggleWaveformStreamId={toggleWaveformStreamId}
                 setCopyStreamIdsForPath={setCopyStreamIdsForPath}
                 onExtractAllStreamsPress={extractAllStreams}
                 onExtractStreamPress={extractSingleStream}
@@ -2335,7 +2894,43 @@ const App = memo(() => {
             )}
           </SideSheet>
 
-          <ExportConfirm filePath={filePath} areWeCutting={areWeCutting} nonFilteredSegments={nonFilteredSegments} selectedSegments={selectedSegmentsOrInverse} segmentsToExport={segmentsToExport} willMerge={willMerge} visible={exportConfirmVisible} onClosePress={closeExportConfirm} onExportConfirm={onExportConfirm} renderOutFmt={renderOutFmt} outputDir={outputDir} numStreamsTotal={numStreamsTotal} numStreamsToCopy={numStreamsToCopy} setStreamsSelectorShown={setStreamsSelectorShown} outFormat={fileFormat} setOutSegTemplate={setOutSegTemplate} outSegTemplate={outSegTemplateOrDefault} generateOutSegFileNames={generateOutSegFileNames} currentSegIndexSafe={currentSegIndexSafe} getOutSegError={getOutSegError} mainCopiedThumbnailStreams={mainCopiedThumbnailStreams} />
+          <SideSheet
+            width={600}
+            containerProps={{ style: { maxWidth: '100%' } }}
+            isShown={chaptersEditorShown}
+            onCloseComplete={() => setChaptersEditorShown(false)}
+          >
+            {editedChapters && (
+              <ChaptersEditor
+                chapters={editedChapters}
+                setChapters={setEditedChapters}
+                startTimeOffset={startTimeOffset}
+                getCurrentTime={getCurrentTime}
+                seekAbs={seekAbs}
+                onResetPress={resetEditedChapters}
+                onSavePress={saveEditedChapters}
+                onExportPress={exportEditedChapters}
+              />
+            )}
+          </SideSheet>
+
+          <SideSheet
+            width={500}
+            containerProps={{ style: { maxWidth: '100%' } }}
+            isShown={exportQueueShown}
+            onCloseComplete={() => setExportQueueShown(false)}
+          >
+            <ExportQueue
+              exportJobs={exportJobs}
+              exportQueuePaused={exportQueuePaused}
+              setExportQueuePaused={setExportQueuePaused}
+              onCancelJobPress={cancelExportJob}
+              onRetryFailedPress={retryFailedExportJobs}
+              onClearFinishedPress={clearFinishedExportJobs}
+            />
+          </SideSheet>
+
+          <ExportConfirm filePath={filePath} areWeCutting={areWeCutting} nonFilteredSegments={nonFilteredSegments} selectedSegments={selectedSegmentsOrInverse} segmentsToExport={segmentsToExport} willMerge={willMerge} visible={exportConfirmVisible} onClosePress={closeExportConfirm} onExportConfirm={onExportConfirm} onEnqueueExport={onEnqueueExport} renderOutFmt={renderOutFmt} outputDir={outputDir} numStreamsTotal={numStreamsTotal} numStreamsToCopy={numStreamsToCopy} setStreamsSelectorShown={setStreamsSelectorShown} outFormat={fileFormat} setOutSegTemplate={setOutSegTemplate} outSegTemplate={outSegTemplateOrDefault} generateOutSegFileNames={generateOutSegFileNames} currentSegIndexSafe={currentSegIndexSafe} getOutSegError={getOutSegError} mainCopiedThumbnailStreams={mainCopiedThumbnailStreams} layers={layers} exportLayerName={exportLayerName} setExportLayerName={setExportLayerName} audioEditSegments={audioEditSegments} haveCopiedTextSubtitles={haveCopiedTextSubtitles} />
 
           <LastCommandsSheet
             visible={lastCommandsVisible}
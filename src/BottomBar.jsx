@@ -17,7 +17,6 @@ import CaptureFormatButton from './components/CaptureFormatButton';
 
 import SimpleModeButton from './components/SimpleModeButton';
 import { withBlur, toast, mirrorTransform, checkAppPath } from './util';
-import { getSegColor } from './util/colors';
 import { formatDuration, parseDuration } from './util/duration';
 import useUserSettings from './hooks/useUserSettings';
 
@@ -29,7 +28,7 @@ const BottomBar = memo(({
   zoom, setZoom, timelineToggleComfortZoom,
   isRotationSet, rotation, areWeCutting, increaseRotation, cleanupFilesDialog,
   captureSnapshot, onExportPress, segmentsToExport, hasVideo,
-  seekAbs, currentSegIndexSafe, cutSegments, currentCutSeg, setCutStart, setCutEnd,
+  seekAbs, currentSegIndexSafe, cutSegments, currentCutSeg, getSegmentColor, setCutStart, setCutEnd,
   setCurrentSegIndex, cutStartTimeManual, setCutStartTimeManual, cutEndTimeManual, setCutEndTimeManual,
   jumpTimelineStart, jumpTimelineEnd, jumpCutEnd, jumpCutStart, startTimeOffset, setCutTime, currentApparentCutSeg,
   playing, shortStep, togglePlay, toggleTimelineMode, hasAudio, timelineMode,
@@ -64,7 +63,7 @@ const BottomBar = memo(({
     const newIndex = currentSegIndexSafe + direction;
     const seg = cutSegments[newIndex];
 
-    const backgroundColor = seg && getSegColor(seg).alpha(0.5).string();
+    const backgroundColor = seg && getSegmentColor(seg).alpha(0.5).string();
     const opacity = seg ? undefined : 0.3;
     const text = seg ? `${newIndex + 1}` : '-';
     const wide = text.length > 1;
@@ -93,7 +92,7 @@ const BottomBar = memo(({
 
     const isCutTimeManualSet = () => cutTimeManual !== undefined;
 
-    const border = `1px solid ${getSegColor(currentCutSeg).alpha(0.8).string()}`;
+    const border = `1px solid ${getSegmentColor(currentCutSeg).alpha(0.8).string()}`;
 
     const cutTimeInputStyle = {
       background: 'white', border, borderRadius: 5, color: 'rgba(0, 0, 0, 0.7)', fontSize: 13, textAlign: 'center', padding: '1px 5px', marginTop: 0, marginBottom: 0, marginLeft: isStart ? 0 : 5, marginRight: isStart ? 5 : 0, boxSizing: 'border-box', fontFamily: 'inherit', width: 90, outline: 'none',
@@ -0,0 +1,86 @@
+import React, { memo, useState, useCallback } from 'react';
+import { Paragraph, TextInput, IconButton, Button, Heading, Pane, PlusIcon, TrashIcon, PlayIcon, UndoIcon, SavedIcon, ExportIcon } from 'evergreen-ui';
+import { useTranslation } from 'react-i18next';
+
+import { formatDuration, parseDuration } from './util/duration';
+import { createChapter, sortSegments } from './segments';
+
+
+const tableStyle = { fontSize: 14, width: '100%' };
+
+const ChapterStartInput = memo(({ start, startTimeOffset, onChange }) => {
+  const { t } = useTranslation();
+
+  // While typing, the text is kept until it's a valid time
+  const [text, setText] = useState();
+
+  function handleChange(newText) {
+    setText(newText);
+    const timeWithOffset = parseDuration(newText);
+    if (timeWithOffset === undefined) return;
+    onChange(Math.max(timeWithOffset - startTimeOffset, 0));
+  }
+
+  return (
+    <TextInput
+      width={110}
+      title={t('Chapter start time')}
+      isInvalid={text != null && parseDuration(text) === undefined}
+      value={text != null ? text : formatDuration({ seconds: start + startTimeOffset })}
+      onChange={(e) => handleChange(e.target.value)}
+      onBlur={() => setText()}
+    />
+  );
+});
+
+const ChaptersEditor = memo(({ chapters, setChapters, startTimeOffset, getCurrentTime, seekAbs, onResetPress, onSavePress, onExportPress }) => {
+  const { t } = useTranslation();
+
+  const updateChapter = useCallback((chapterId, change) => setChapters((existing) => sortSegments(existing.map((chapter) => (chapter.chapterId === chapterId ? { ...chapter, ...change } : chapter)))), [setChapters]);
+  const removeChapter = useCallback((chapterId) => setChapters((existing) => existing.filter((chapter) => chapter.chapterId !== chapterId)), [setChapters]);
+  const addChapterAtPlayhead = useCallback(() => setChapters((existing) => sortSegments([...existing, createChapter({ start: getCurrentTime() })])), [getCurrentTime, setChapters]);
+
+  return (
+    <div style={{ color: 'black', padding: 10 }}>
+      <Heading marginBottom={10}>{t('Chapters')}</Heading>
+
+      <Paragraph marginBottom={10}>{t('Each chapter lasts until the next one starts. Saving will create a new file with the same tracks, but with these chapters.')}</Paragraph>
+
+      <Pane elevation={1} padding={5} marginBottom={10}>
+        {chapters.length > 0 ? (
+          <table style={tableStyle}>
+            <tbody>
+              {chapters.map(({ chapterId, start, name }, i) => (
+                <tr key={chapterId}>
+                  <td>{i + 1}</td>
+                  <td><ChapterStartInput start={start} startTimeOffset={startTimeOffset} onChange={(newStart) => updateChapter(chapterId, { start: newStart })} /></td>
+                  <td><TextInput width="100%" placeholder={t('Chapter title')} value={name} onChange={(e) => updateChapter(chapterId, { name: e.target.value })} /></td>
+                  <td style={{ whiteSpace: 'nowrap' }}>
+                    <IconButton icon={PlayIcon} title={t('Jump to chapter start')} appearance="minimal" onClick={() => seekAbs(start)} />
+                    <IconButton icon={TrashIcon} intent="danger" title={t('Remove chapter')} appearance="minimal" onClick={() => removeChapter(chapterId)} />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <Paragraph>{t('No chapters')}</Paragraph>
+        )}
+      </Pane>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 5, marginBottom: 10 }}>
+        <Button iconBefore={PlusIcon} onClick={addChapterAtPlayhead}>{t('Add chapter at playhead')}</Button>
+        <Button iconBefore={UndoIcon} onClick={onResetPress}>{t('Reset to chapters from file')}</Button>
+        <Button iconBefore={SavedIcon} appearance="primary" onClick={onSavePress}>{t('Save chapters to file')}</Button>
+      </div>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 5 }}>
+        <Button iconBefore={ExportIcon} onClick={() => onExportPress('ffmetadata')}>{t('Export FFmpeg metadata')}</Button>
+        <Button iconBefore={ExportIcon} onClick={() => onExportPress('matroska')}>{t('Export Matroska XML chapters')}</Button>
+        <Button iconBefore={ExportIcon} onClick={() => onExportPress('ogm')}>{t('Export OGM chapters')}</Button>
+      </div>
+    </div>
+  );
+});
+
+export default ChaptersEditor;
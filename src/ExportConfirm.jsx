@@ -18,6 +18,7 @@ import HighlightedText from './components/HighlightedText';
 import { withBlur, toast } from './util';
 import { isMov as ffmpegIsMov } from './util/streams';
 import useUserSettings from './hooks/useUserSettings';
+import { getLayerLabel } from './segments';
 
 const sheetStyle = {
   position: 'fixed',
@@ -41,14 +42,14 @@ const warningStyle = { color: '#faa', fontSize: '80%' };
 const HelpIcon = ({ onClick, style }) => <IoIosHelpCircle size={20} role="button" onClick={withBlur(onClick)} style={{ cursor: 'pointer', verticalAlign: 'middle', marginLeft: 5, ...style }} />;
 
 const ExportConfirm = memo(({
-  areWeCutting, selectedSegments, segmentsToExport, willMerge, visible, onClosePress, onExportConfirm,
+  areWeCutting, selectedSegments, segmentsToExport, willMerge, visible, onClosePress, onExportConfirm, onEnqueueExport,
   outFormat, renderOutFmt, outputDir, numStreamsTotal, numStreamsToCopy, setStreamsSelectorShown, outSegTemplate,
   setOutSegTemplate, generateOutSegFileNames, filePath, currentSegIndexSafe, getOutSegError, nonFilteredSegments,
-  mainCopiedThumbnailStreams,
+  mainCopiedThumbnailStreams, layers, exportLayerName, setExportLayerName, audioEditSegments, haveCopiedTextSubtitles,
 }) => {
   const { t } = useTranslation();
 
-  const { changeOutDir, keyframeCut, preserveMovData, movFastStart, avoidNegativeTs, setAvoidNegativeTs, autoDeleteMergedSegments, exportConfirmEnabled, toggleExportConfirmEnabled, segmentsToChapters, toggleSegmentsToChapters, preserveMetadataOnMerge, togglePreserveMetadataOnMerge, enableSmartCut, setEnableSmartCut, effectiveExportMode } = useUserSettings();
+  const { changeOutDir, keyframeCut, preserveMovData, movFastStart, avoidNegativeTs, setAvoidNegativeTs, autoDeleteMergedSegments, exportConfirmEnabled, toggleExportConfirmEnabled, segmentsToChapters, toggleSegmentsToChapters, preserveMetadataOnMerge, togglePreserveMetadataOnMerge, enableSmartCut, setEnableSmartCut, effectiveExportMode, exportSubtitleSidecars, setExportSubtitleSidecars } = useUserSettings();
 
   const isMov = ffmpegIsMov(outFormat);
   const isIpod = outFormat === 'ipod';
@@ -136,6 +137,15 @@ const ExportConfirm = memo(({
 
                 <h2 style={{ marginTop: 0, marginBottom: '.5em' }}>{t('Export options')}</h2>
                 <ul style={{ margin: 0 }}>
+                  {layers.length > 1 && (
+                    <li>
+                      {t('Export layer:')}
+                      <Select height={20} value={exportLayerName ?? ''} onChange={(e) => setExportLayerName(e.target.value !== '' ? e.target.value : undefined)} style={{ marginLeft: 5 }}>
+                        <option value="">{t('All layers with export enabled')}</option>
+                        {layers.map(({ name }) => <option key={name} value={name}>{getLayerLabel(name)}</option>)}
+                      </Select>
+                    </li>
+                  )}
                   {selectedSegments.length !== nonFilteredSegments.length && <li><FaRegCheckCircle size={12} style={{ marginRight: 3 }} />{t('{{selectedSegments}} of {{nonFilteredSegments}} segments selected', { selectedSegments: selectedSegments.length, nonFilteredSegments: nonFilteredSegments.length })}</li>}
                   <li>
                     {t('Merge {{segments}} cut segments to one file?', { segments: selectedSegments.length })} <ExportModeButton selectedSegments={selectedSegments} />
@@ -149,6 +159,7 @@ const ExportConfirm = memo(({
                   <li>
                     <Trans>Input has {{ numStreamsTotal }} tracks - <HighlightedText style={{ cursor: 'pointer' }} onClick={() => setStreamsSelectorShown(true)}>Keeping {{ numStreamsToCopy }} tracks</HighlightedText></Trans>
                     <HelpIcon onClick={onTracksHelpPress} />
+                    {audioEditSegments.length > 0 && <div style={warningStyle}>{t('The audio of the main file will be re-encoded, because {{numSegments}} segments mute or bleep the audio. Video will still be copied losslessly.', { numSegments: audioEditSegments.length })}</div>}
                     {areWeCuttingProblematicStreams && <WarningSignIcon verticalAlign="middle" color="warning" marginLeft=".3em" />}
                     {areWeCuttingProblematicStreams && <div style={warningStyle}><Trans>Warning: Cutting thumbnail tracks is known to cause problems. Consider disabling track {{ trackNumber: mainCopiedThumbnailStreams[0].index + 1 }}.</Trans></div>}
                   </li>
@@ -196,6 +207,12 @@ const ExportConfirm = memo(({
                     </>
                   )}
 
+                  {haveCopiedTextSubtitles && (
+                    <li>
+                      {t('Also export subtitles as separate SRT files?')} <Button height={20} onClick={() => setExportSubtitleSidecars((v) => !v)}>{exportSubtitleSidecars ? t('Yes') : t('No')}</Button>
+                    </li>
+                  )}
+
                   {isMov && (
                     <>
                       <li>
@@ -239,6 +256,8 @@ const ExportConfirm = memo(({
               <div style={{ fontSize: 13, marginLeft: 3, marginRight: 7, maxWidth: 120, lineHeight: '100%', color: exportConfirmEnabled ? 'white' : 'rgba(255,255,255,0.3)', cursor: 'pointer' }} role="button" onClick={toggleExportConfirmEnabled}>{t('Show this page before exporting?')}</div>
             </motion.div>
 
+            <Button height={30} marginRight={7} onClick={onEnqueueExport} title={t('Export in the background, while you continue working on other files')}>{t('Add to export queue')}</Button>
+
             <motion.div
               style={{ transformOrigin: 'bottom right' }}
               initial={{ scale: 0.7, opacity: 1 }}
@@ -0,0 +1,74 @@
+import React, { memo } from 'react';
+import { Paragraph, Button, Heading, Pane, IconButton, Badge, CrossIcon, FolderOpenIcon, PauseIcon, PlayIcon, RefreshIcon, TrashIcon } from 'evergreen-ui';
+import { useTranslation } from 'react-i18next';
+
+import { isExportJobActive } from './exportQueue';
+
+const { basename } = window.require('path');
+const { shell } = window.require('electron');
+
+
+const statusColors = { queued: 'neutral', running: 'blue', done: 'green', failed: 'red', canceled: 'orange' };
+
+const ExportJob = memo(({ job, onCancelPress }) => {
+  const { t } = useTranslation();
+
+  const statusTexts = { queued: t('Queued'), running: job.statusText, done: t('Done'), failed: t('Failed'), canceled: t('Canceled') };
+
+  return (
+    <Pane elevation={1} padding={10} marginBottom={10}>
+      <div style={{ display: 'flex', alignItems: 'center' }}>
+        <div style={{ flexGrow: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }} title={job.filePath}>{basename(job.filePath)}</div>
+        <Badge color={statusColors[job.status]} marginLeft={5}>{statusTexts[job.status]}</Badge>
+        {job.status === 'running' && job.progress != null && <span style={{ marginLeft: 5 }}>{`${Math.floor(job.progress * 100)}%`}</span>}
+        {isExportJobActive(job) && <IconButton icon={CrossIcon} intent="danger" appearance="minimal" title={t('Cancel')} marginLeft={5} onClick={() => onCancelPress(job.jobId)} />}
+      </div>
+
+      {job.status === 'running' && job.progress != null && (
+        <div style={{ height: 3, marginTop: 5, background: 'rgba(0,0,0,0.1)' }}>
+          <div style={{ height: '100%', width: `${job.progress * 100}%`, background: '#3366ff' }} />
+        </div>
+      )}
+
+      {job.error && <Paragraph color="danger" marginTop={5}>{job.error}</Paragraph>}
+
+      {job.warnings && job.warnings.map((warning) => <Paragraph key={warning} color="muted" marginTop={5}>{warning}</Paragraph>)}
+
+      {job.outPaths && job.outPaths.map((outPath) => (
+        <div key={outPath} style={{ display: 'flex', alignItems: 'center', marginTop: 5, fontSize: 13 }}>
+          <IconButton icon={FolderOpenIcon} appearance="minimal" title={t('Show in folder')} onClick={() => shell.showItemInFolder(outPath)} />
+          <span style={{ wordBreak: 'break-all' }}>{outPath}</span>
+        </div>
+      ))}
+    </Pane>
+  );
+});
+
+const ExportQueue = memo(({ exportJobs, exportQueuePaused, setExportQueuePaused, onCancelJobPress, onRetryFailedPress, onClearFinishedPress }) => {
+  const { t } = useTranslation();
+
+  const haveFailedJobs = exportJobs.some(({ status }) => ['failed', 'canceled'].includes(status));
+  const haveFinishedJobs = exportJobs.some((job) => !isExportJobActive(job));
+
+  return (
+    <div style={{ color: 'black', padding: 10 }}>
+      <Heading marginBottom={10}>{t('Export queue')}</Heading>
+
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 5, marginBottom: 10 }}>
+        <Button iconBefore={exportQueuePaused ? PlayIcon : PauseIcon} onClick={() => setExportQueuePaused((v) => !v)}>{exportQueuePaused ? t('Resume queue') : t('Pause queue')}</Button>
+        <Button iconBefore={RefreshIcon} disabled={!haveFailedJobs} onClick={onRetryFailedPress}>{t('Retry failed')}</Button>
+        <Button iconBefore={TrashIcon} disabled={!haveFinishedJobs} onClick={onClearFinishedPress}>{t('Clear finished')}</Button>
+      </div>
+
+      {exportQueuePaused && <Paragraph marginBottom={10}>{t('The queue is paused. The current export will finish, but no new exports will be started.')}</Paragraph>}
+
+      {exportJobs.length > 0 ? (
+        exportJobs.map((job) => <ExportJob key={job.jobId} job={job} onCancelPress={onCancelJobPress} />)
+      ) : (
+        <Paragraph>{t('Add exports to the queue from the export options. They will be run one after another, while you continue working on other files.')}</Paragraph>
+      )}
+    </div>
+  );
+});
+
+export default ExportQueue;
@@ -1,7 +1,8 @@
 import React, { memo, useMemo, useRef, useCallback } from 'react';
-import { FaYinYang, FaSave, FaPlus, FaMinus, FaTag, FaSortNumericDown, FaAngleRight, FaRegCheckCircle, FaRegCircle } from 'react-icons/fa';
+import { FaYinYang, FaSave, FaPlus, FaMinus, FaTag, FaSortNumericDown, FaAngleRight, FaRegCheckCircle, FaRegCircle, FaEdit, FaTrash, FaRegCheckSquare, FaRegSquare, FaVolumeMute, FaBell, FaChartBar, FaSlidersH } from 'react-icons/fa';
 import { AiOutlineSplitCells } from 'react-icons/ai';
 import { motion } from 'framer-motion';
+import { Select } from 'evergreen-ui';
 import Swal from 'sweetalert2';
 import { useTranslation, Trans } from 'react-i18next';
 import { ReactSortable } from 'react-sortablejs';
@@ -12,7 +13,8 @@ import scrollIntoView from 'scroll-into-view-if-needed';
 import useContextMenu from './hooks/useContextMenu';
 import useUserSettings from './hooks/useUserSettings';
 import { saveColor, controlsBackground, primaryTextColor } from './colors';
-import { getSegColor } from './util/colors';
+import { defaultLayerName, getLayerLabel, getSegmentExportOptions } from './segments';
+import { formatLoudness } from './loudness';
 
 const buttonBaseStyle = {
   margin: '0 3px', borderRadius: 3, color: 'white', cursor: 'pointer',
@@ -21,7 +23,7 @@ const buttonBaseStyle = {
 const neutralButtonColor = 'rgba(255, 255, 255, 0.2)';
 
 
-const Segment = memo(({ seg, index, currentSegIndex, formatTimecode, getFrameCount, updateOrder, invertCutSegments, onClick, onRemovePress, onRemoveSelected, onLabelSelectedSegments, onReorderPress, onLabelPress, enabled, onSelectSingleSegment, onToggleSegmentSelected, onDeselectAllSegments, onSelectSegmentsByLabel, onSelectAllSegments, jumpSegStart, jumpSegEnd, addSegment, onViewSegmentTags, onExtractSegmentFramesAsImages }) => {
+const Segment = memo(({ seg, index, currentSegIndex, formatTimecode, getFrameCount, updateOrder, invertCutSegments, onClick, onRemovePress, onRemoveSelected, onLabelSelectedSegments, onReorderPress, onLabelPress, enabled, onSelectSingleSegment, onToggleSegmentSelected, onDeselectAllSegments, onSelectSegmentsByLabel, onSelectAllSegments, jumpSegStart, jumpSegEnd, addSegment, onViewSegmentTags, onExtractSegmentFramesAsImages, onMoveSelectedSegmentsToLayer, getSegmentColor, onSetSegmentType, loudness, onEditSegmentExportOptions }) => {
   const { t } = useTranslation();
 
   const ref = useRef();
@@ -37,6 +39,14 @@ const Segment = memo(({ seg, index, currentSegIndex, formatTimecode, getFrameCou
       { label: t('Add segment'), click: addSegment },
       { label: t('Label segment'), click: onLabelPress },
       { label: t('Remove segment'), click: onRemovePress },
+      {
+        label: t('Segment type'),
+        submenu: [
+          { label: t('Cut (keep this part)'), type: 'radio', checked: seg.type == null, click: () => onSetSegmentType(undefined) },
+          { label: t('Mute audio'), type: 'radio', checked: seg.type === 'mute', click: () => onSetSegmentType('mute') },
+          { label: t('Bleep audio'), type: 'radio', checked: seg.type === 'bleep', click: () => onSetSegmentType('bleep') },
+        ],
+      },
 
       { type: 'separator' },
 
@@ -49,6 +59,7 @@ const Segment = memo(({ seg, index, currentSegIndex, formatTimecode, getFrameCou
 
       { label: t('Label selected segments'), click: onLabelSelectedSegments },
       { label: t('Remove selected segments'), click: onRemoveSelected },
+      { label: t('Move selected segments to layer'), click: onMoveSelectedSegmentsToLayer },
 
       { type: 'separator' },
 
@@ -59,9 +70,10 @@ const Segment = memo(({ seg, index, currentSegIndex, formatTimecode, getFrameCou
       { type: 'separator' },
 
       { label: t('Segment tags'), click: () => onViewSegmentTags(index) },
+      { label: t('Segment export options'), click: () => onEditSegmentExportOptions(index) },
       { label: t('Extract frames as image files'), click: () => onExtractSegmentFramesAsImages(index) },
     ];
-  }, [invertCutSegments, t, jumpSegStart, jumpSegEnd, addSegment, onLabelPress, onRemovePress, onReorderPress, onRemoveSelected, onLabelSelectedSegments, updateOrder, onSelectSingleSegment, seg, onSelectAllSegments, onDeselectAllSegments, onSelectSegmentsByLabel, onViewSegmentTags, index, onExtractSegmentFramesAsImages]);
+  }, [invertCutSegments, t, jumpSegStart, jumpSegEnd, addSegment, onLabelPress, onRemovePress, onReorderPress, onRemoveSelected, onLabelSelectedSegments, updateOrder, onSelectSingleSegment, seg, onSelectAllSegments, onDeselectAllSegments, onSelectSegmentsByLabel, onViewSegmentTags, index, onExtractSegmentFramesAsImages, onMoveSelectedSegmentsToLayer, onSetSegmentType, onEditSegmentExportOptions]);
 
   useContextMenu(ref, contextMenuTemplate);
 
@@ -77,11 +89,22 @@ const Segment = memo(({ seg, index, currentSegIndex, formatTimecode, getFrameCou
   function renderNumber() {
     if (invertCutSegments) return <FaSave style={{ cursor: 'grab', color: saveColor, marginRight: 5, verticalAlign: 'middle' }} size={14} />;
 
-    const segColor = getSegColor(seg);
+    const segColor = getSegmentColor(seg);
 
     return <b style={{ cursor: 'grab', color: 'white', padding: '0 4px', marginRight: 3, marginLeft: -3, background: segColor.alpha(0.5).string(), border: `1px solid ${isActive ? segColor.lighten(0.3).string() : 'transparent'}`, borderRadius: 10, fontSize: 12 }}>{index + 1}</b>;
   }
 
+  const exportOptionsStr = useMemo(() => {
+    const { keyframeCut, enableSmartCut, streamTypes, outFormat } = getSegmentExportOptions(seg);
+    const streamTypeNames = { video: t('Video'), audio: t('Audio'), subtitle: t('Subtitle') };
+    return [
+      ...(keyframeCut != null ? [keyframeCut ? t('Keyframe cut') : t('Normal cut')] : []),
+      ...(enableSmartCut != null ? [enableSmartCut ? t('Smart cut') : t('No smart cut')] : []),
+      ...(streamTypes != null ? [streamTypes.map((streamType) => streamTypeNames[streamType] ?? streamType).join(' + ')] : []),
+      ...(outFormat != null ? [outFormat] : []),
+    ].join(', ');
+  }, [seg, t]);
+
   const timeStr = useMemo(() => `${formatTimecode({ seconds: seg.start })} - ${formatTimecode({ seconds: seg.end })}`, [seg.start, seg.end, formatTimecode]);
 
   function onDoubleClick() {
@@ -118,16 +141,30 @@ const Segment = memo(({ seg, index, currentSegIndex, formatTimecode, getFrameCou
     >
       <div className="segment-handle" style={{ cursor: 'grab', color: 'white', marginBottom: 3, display: 'flex', alignItems: 'center', height: 16 }}>
         {renderNumber()}
+        {seg.type === 'mute' && <FaVolumeMute title={t('Mute audio')} style={{ marginRight: 3, flexShrink: 0 }} size={13} />}
+        {seg.type === 'bleep' && <FaBell title={t('Bleep audio')} style={{ marginRight: 3, flexShrink: 0 }} size={13} />}
         <span style={{ cursor: 'grab', fontSize: Math.min(310 / timeStr.length, 14), whiteSpace: 'nowrap' }}>{timeStr}</span>
       </div>
 
       <div style={{ fontSize: 12, color: 'white' }}>{seg.name}</div>
+      {seg.layer != null && <div style={{ fontSize: 12 }}>{t('Layer')} {getLayerLabel(seg.layer)}</div>}
       <div style={{ fontSize: 13 }}>
         {t('Duration')} {formatTimecode({ seconds: duration, shorten: true })}
       </div>
       <div style={{ fontSize: 12 }}>
         <Trans>{{ durationMsFormatted }} ms, {{ frameCount }} frames</Trans>
       </div>
+      {loudness && (
+        <div style={{ fontSize: 12 }} title={t('Integrated loudness, loudness range and true peak')}>
+          {`${formatLoudness(loudness.integrated)} LUFS, LRA ${formatLoudness(loudness.lra)} LU, TP ${formatLoudness(loudness.truePeak)} dBFS`}
+        </div>
+      )}
+
+      {exportOptionsStr && (
+        <div role="button" style={{ fontSize: 12, color: primaryTextColor, cursor: 'pointer' }} title={t('Segment export options')} onClick={(e) => { e.stopPropagation(); onEditSegmentExportOptions(index); }}>
+          <FaSlidersH style={{ marginRight: 3, verticalAlign: 'middle' }} size={11} />{exportOptionsStr}
+        </div>
+      )}
 
       {!invertCutSegments && (
         <div style={{ position: 'absolute', right: 3, bottom: 3 }}>
@@ -144,7 +181,9 @@ const SegmentList = memo(({
   updateSegOrder, updateSegOrders, addSegment, removeCutSegment, onRemoveSelected,
   onLabelSegment, currentCutSeg, segmentAtCursor, toggleSegmentsList, splitCurrentSegment,
   selectedSegments, selectedSegmentsRaw, onSelectSingleSegment, onToggleSegmentSelected, onDeselectAllSegments, onSelectAllSegments, onSelectSegmentsByLabel, onExtractSegmentFramesAsImages, onLabelSelectedSegments,
-  jumpSegStart, jumpSegEnd, onViewSegmentTags,
+  jumpSegStart, jumpSegEnd, onViewSegmentTags, onEditSegmentExportOptions, onMoveSelectedSegmentsToLayer, getSegmentColor, audioEditSegments, setSegmentType,
+  layers, currentLayerName, setCurrentLayerName, addLayer, renameLayer, removeLayer, toggleLayerExportEnabled,
+  segmentsLoudness, onMeasureLoudnessPress,
 }) => {
   const { t } = useTranslation();
 
@@ -190,9 +229,35 @@ const SegmentList = memo(({
     }
   }
 
+  function renderLayers() {
+    const currentLayer = layers.find((layer) => layer.name === currentLayerName);
+    if (!currentLayer) return null;
+    const isDefaultLayer = currentLayer.name === defaultLayerName;
+    const ExportEnabledIcon = currentLayer.exportEnabled ? FaRegCheckSquare : FaRegSquare;
+    const iconStyle = { ...buttonBaseStyle, padding: 3, flexShrink: 0, background: neutralButtonColor };
+
+    return (
+      <div style={{ display: 'flex', padding: '5px 10px', alignItems: 'center', borderBottom: '1px solid grey', fontSize: 13 }}>
+        <span style={{ marginRight: 5, width: 10, height: 10, borderRadius: 5, flexShrink: 0, background: currentLayer.color || 'rgba(255,255,255,0.5)' }} />
+        <Select height={20} style={{ flexGrow: 1, minWidth: 0 }} value={currentLayerName} title={t('Current layer (new segments are added to this layer)')} onChange={(e) => setCurrentLayerName(e.target.value)}>
+          {layers.map(({ name }) => <option key={name} value={name}>{getLayerLabel(name)}</option>)}
+        </Select>
+
+        <ExportEnabledIcon size={18} role="button" title={t('Export segments in this layer')} style={{ ...iconStyle, background: undefined }} onClick={() => toggleLayerExportEnabled(currentLayer.name)} />
+        <FaPlus size={18} role="button" title={t('Add layer')} style={iconStyle} onClick={addLayer} />
+        {!isDefaultLayer && (
+          <>
+            <FaEdit size={18} role="button" title={t('Rename layer')} style={iconStyle} onClick={() => renameLayer(currentLayer.name)} />
+            <FaTrash size={18} role="button" title={t('Remove layer')} style={iconStyle} onClick={() => removeLayer(currentLayer.name)} />
+          </>
+        )}
+      </div>
+    );
+  }
+
   function renderFooter() {
-    const currentSegColor = getSegColor(currentCutSeg).alpha(0.5).string();
-    const segAtCursorColor = getSegColor(segmentAtCursor).alpha(0.5).string();
+    const currentSegColor = getSegmentColor(currentCutSeg).alpha(0.5).string();
+    const segAtCursorColor = getSegmentColor(segmentAtCursor).alpha(0.5).string();
 
     const segmentsTotal = selectedSegments.reduce((acc, { start, end }) => (end - start) + acc, 0);
 
@@ -242,6 +307,16 @@ const SegmentList = memo(({
             style={{ ...buttonBaseStyle, padding: 1, background: segmentAtCursor ? segAtCursorColor : neutralButtonColor }}
             onClick={splitCurrentSegment}
           />
+
+          {!invertCutSegments && !simpleMode && onMeasureLoudnessPress && (
+            <FaChartBar
+              size={16}
+              title={t('Measure loudness of segments')}
+              role="button"
+              style={{ ...buttonBaseStyle, padding: 4, background: neutralButtonColor }}
+              onClick={onMeasureLoudnessPress}
+            />
+          )}
         </div>
 
         <div style={{ padding: '5px 10px', boxSizing: 'border-box', borderBottom: '1px solid grey', borderTop: '1px solid grey', display: 'flex', justifyContent: 'space-between', fontSize: 13 }}>
@@ -271,10 +346,13 @@ const SegmentList = memo(({
         {header}
       </div>
 
+      {!simpleMode && renderLayers()}
+
       <div style={{ padding: '0 10px', overflowY: 'scroll', flexGrow: 1 }} className="hide-scrollbar">
         <ReactSortable list={sortableList} setList={setSortableList} sort={!invertCutSegments} handle=".segment-handle">
           {sortableList.map(({ id, seg }, index) => {
-            const enabled = !invertCutSegments && selectedSegmentsRaw.includes(seg);
+            const enabled = !invertCutSegments && (selectedSegmentsRaw.includes(seg) || audioEditSegments.includes(seg));
+            const loudness = !invertCutSegments ? segmentsLoudness[seg.segId] : undefined;
             return (
               <Segment
                 key={id}
@@ -299,9 +377,14 @@ const SegmentList = memo(({
                 onDeselectAllSegments={onDeselectAllSegments}
                 onSelectAllSegments={onSelectAllSegments}
                 onViewSegmentTags={onViewSegmentTags}
+                onEditSegmentExportOptions={onEditSegmentExportOptions}
                 onSelectSegmentsByLabel={onSelectSegmentsByLabel}
                 onExtractSegmentFramesAsImages={onExtractSegmentFramesAsImages}
                 onLabelSelectedSegments={onLabelSelectedSegments}
+                onMoveSelectedSegmentsToLayer={onMoveSelectedSegmentsToLayer}
+                onSetSegmentType={(type) => setSegmentType(index, type)}
+                getSegmentColor={getSegmentColor}
+                loudness={loudness && loudness.start === seg.start && loudness.end === seg.end ? loudness : undefined}
               />
             );
           })}
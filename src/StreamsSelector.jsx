@@ -1,6 +1,6 @@
 import React, { memo, useState, useMemo, useCallback } from 'react';
 
-import { FaImage, FaCheckCircle, FaPaperclip, FaVideo, FaVideoSlash, FaFileImport, FaVolumeUp, FaVolumeMute, FaBan, FaFileExport } from 'react-icons/fa';
+import { FaImage, FaCheckCircle, FaPaperclip, FaVideo, FaVideoSlash, FaFileImport, FaVolumeUp, FaVolumeMute, FaBan, FaFileExport, FaWaveSquare } from 'react-icons/fa';
 import { GoFileBinary } from 'react-icons/go';
 import { FiEdit, FiCheck, FiTrash } from 'react-icons/fi';
 import { MdSubtitles } from 'react-icons/md';
@@ -182,7 +182,7 @@ function onInfoClick(json, title) {
   showJson5Dialog({ title, json });
 }
 
-const Stream = memo(({ dispositionByStreamId, setDispositionByStreamId, filePath, stream, onToggle, batchSetCopyStreamIds, copyStream, fileDuration, setEditingStream, onExtractStreamPress }) => {
+const Stream = memo(({ dispositionByStreamId, setDispositionByStreamId, filePath, stream, onToggle, batchSetCopyStreamIds, copyStream, fileDuration, setEditingStream, onExtractStreamPress, showWaveform, onToggleWaveform }) => {
   const { t } = useTranslation();
 
   const effectiveDisposition = useMemo(() => getStreamEffectiveDisposition(dispositionByStreamId, filePath, stream), [dispositionByStreamId, filePath, stream]);
@@ -268,6 +268,9 @@ const Stream = memo(({ dispositionByStreamId, setDispositionByStreamId, filePath
       <td style={{ display: 'flex' }}>
         <IconButton icon={InfoSignIcon} onClick={() => onInfoClick(stream, t('Track {{num}} info', { num: stream.index + 1 }))} appearance="minimal" iconSize={18} />
         <IconButton title={t('Extract this track as file')} icon={<FaFileExport size={18} />} onClick={onExtractStreamPress} appearance="minimal" iconSize={18} />
+        {onToggleWaveform && stream.codec_type === 'audio' && (
+          <IconButton title={t('Show waveform of this track in the timeline')} icon={<FaWaveSquare size={18} color={showWaveform ? activeColor : undefined} />} onClick={() => onToggleWaveform(stream.index)} appearance="minimal" iconSize={18} />
+        )}
 
         <Popover
           position={Position.BOTTOM_LEFT}
@@ -339,7 +342,7 @@ const tableStyle = { fontSize: 14, width: '100%' };
 const fileStyle = { marginBottom: 20, padding: 5, minWidth: '100%', overflowX: 'auto' };
 
 const StreamsSelector = memo(({
-  mainFilePath, mainFileFormatData, mainFileStreams, mainFileChapters, isCopyingStreamId, toggleCopyStreamId,
+  mainFilePath, mainFileFormatData, mainFileStreams, mainFileChapters, isCopyingStreamId, toggleCopyStreamId, isWaveformStreamId, toggleWaveformStreamId,
   setCopyStreamIdsForPath, onExtractStreamPress, onExtractAllStreamsPress, allFilesMeta, externalFilesMeta, setExternalFilesMeta,
   showAddStreamSourceDialog, shortestFlag, setShortestFlag, nonCopiedExtraStreams,
   customTagsByFile, setCustomTagsByFile, customTagsByStreamId, setCustomTagsByStreamId,
@@ -405,6 +408,8 @@ const StreamsSelector = memo(({
                   setEditingStream={setEditingStream}
                   fileDuration={getFormatDuration(mainFileFormatData)}
                   onExtractStreamPress={() => onExtractStreamPress(stream.index)}
+                  showWaveform={isWaveformStreamId(stream.index)}
+                  onToggleWaveform={toggleWaveformStreamId}
                 />
               ))}
             </tbody>
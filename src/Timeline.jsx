@@ -10,9 +10,8 @@ import useContextMenu from './hooks/useContextMenu';
 import useUserSettings from './hooks/useUserSettings';
 
 
-import { timelineBackground } from './colors';
+import { timelineBackground, waveformColor, detectorPreviewColor } from './colors';
 
-import { getSegColor } from './util/colors';
 
 const currentTimeWidth = 1;
 
@@ -42,6 +41,52 @@ const Waveforms = memo(({ calculateTimelinePercent, durationSafe, waveforms, zoo
   </div>
 ));
 
+// Draws the peaks of the part of the file that is visible in the timeline, one lane per channel
+// (the whole file can be too wide for a canvas when zoomed in). `scrollLeft` and `viewportWidth` are in pixels
+const WaveformOverview = memo(({ waveformOverview, durationSafe, zoom, timelineHeight, label, scrollLeft, viewportWidth }) => {
+  const canvasRef = useRef();
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const width = Math.max(1, Math.round(viewportWidth));
+    const height = timelineHeight;
+    canvas.width = width;
+    canvas.height = height;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = waveformColor;
+
+    const { channels, peaksPerSecond } = waveformOverview;
+    const laneHeight = height / channels.length;
+    const peaksPerPixel = (durationSafe * peaksPerSecond) / (width * zoom);
+    const firstPeak = scrollLeft * peaksPerPixel;
+
+    channels.forEach((peaks, channel) => {
+      const laneCenter = (laneHeight * channel) + (laneHeight / 2);
+      for (let x = 0; x < width; x += 1) {
+        const fromIndex = Math.floor(firstPeak + (x * peaksPerPixel));
+        if (fromIndex >= peaks.length) break;
+        const toIndex = Math.min(Math.max(fromIndex + 1, Math.floor(firstPeak + ((x + 1) * peaksPerPixel))), peaks.length);
+        let peak = 0;
+        for (let i = fromIndex; i < toIndex; i += 1) {
+          if (peaks[i] > peak) peak = peaks[i];
+        }
+        // sqrt scale, like ffmpeg showwavespic scale=sqrt
+        const barHeight = Math.max(1, Math.sqrt(peak / 255) * laneHeight);
+        ctx.fillRect(x, laneCenter - (barHeight / 2), 1, barHeight);
+      }
+    });
+  }, [durationSafe, scrollLeft, timelineHeight, viewportWidth, waveformOverview, zoom]);
+
+  return (
+    <div style={{ height: timelineHeight, width: `${zoom * 100}%`, position: 'relative' }}>
+      <canvas ref={canvasRef} style={{ position: 'absolute', left: scrollLeft, top: 0, width: viewportWidth, height: '100%' }} />
+      {label != null && <div style={{ position: 'sticky', left: 0, display: 'inline-block', fontSize: 11, padding: '0 3px', color: 'rgba(255,255,255,0.7)', background: 'rgba(0,0,0,0.4)', pointerEvents: 'none' }}>{label}</div>}
+    </div>
+  );
+});
+
 const CommandedTime = memo(({ commandedTimePercent }) => {
   const color = 'white';
   const commonStyle = { left: commandedTimePercent, position: 'absolute', zIndex: 4, pointerEvents: 'none' };
@@ -54,13 +99,22 @@ const CommandedTime = memo(({ commandedTimePercent }) => {
   );
 });
 
+// Segments from a detector, that have not yet been accepted by the user
+const DetectorPreview = memo(({ segments, durationSafe, zoom, timelineHeight }) => (
+  <div style={{ height: timelineHeight / 2, width: `${zoom * 100}%`, position: 'relative' }}>
+    {segments.map(({ start, end }) => (
+      <div key={`${start}-${end}`} style={{ position: 'absolute', top: 2, bottom: 2, left: `${(start / durationSafe) * 100}%`, width: `${((end - start) / durationSafe) * 100}%`, minWidth: 1, backgroundColor: detectorPreviewColor, pointerEvents: 'none' }} />
+    ))}
+  </div>
+));
+
 const Timeline = memo(({
   durationSafe, getCurrentTime, startTimeOffset, playerTime, commandedTime,
-  zoom, neighbouringKeyFrames, seekAbs, apparentCutSegments,
+  zoom, neighbouringKeyFrames, seekAbs, apparentCutSegments, getSegmentColor,
   setCurrentSegIndex, currentSegIndexSafe, inverseCutSegments, formatTimecode,
-  waveforms, shouldShowWaveform, shouldShowKeyframes, timelineHeight = 36, thumbnails,
+  waveforms, waveformOverviews, shouldShowWaveform, shouldShowKeyframes, timelineHeight = 36, thumbnails,
   onZoomWindowStartTimeChange, waveformEnabled, thumbnailsEnabled,
-  playing, isFileOpened, onWheel, commandedTimeRef, goToTimecode,
+  playing, isFileOpened, onWheel, commandedTimeRef, goToTimecode, detectorPreviewSegments,
 }) => {
   const { t } = useTranslation();
 
@@ -168,9 +222,23 @@ const Timeline = memo(({
     };
   }, []);
 
+  // The visible part of the timeline, for drawing the waveform overviews
+  const [scrollerViewport, setScrollerViewport] = useState({ scrollLeft: 0, width: 0 });
+  const updateScrollerViewport = useCallback(() => {
+    const scroller = timelineScrollerRef.current;
+    if (scroller) setScrollerViewport({ scrollLeft: scroller.scrollLeft, width: scroller.offsetWidth });
+  }, []);
+
+  useEffect(() => {
+    const resizeObserver = new ResizeObserver(updateScrollerViewport);
+    resizeObserver.observe(timelineScrollerRef.current);
+    return () => resizeObserver.disconnect();
+  }, [updateScrollerViewport]);
+
   const onTimelineScroll = useCallback(() => {
     onZoomWindowStartTimeChange(calcZoomWindowStartTime());
-  }, [calcZoomWindowStartTime, onZoomWindowStartTimeChange]);
+    updateScrollerViewport();
+  }, [calcZoomWindowStartTime, onZoomWindowStartTimeChange, updateScrollerViewport]);
 
   // Keep cursor in middle while scrolling
   /* const onTimelineScroll = useCallback((e) => {
@@ -252,7 +320,21 @@ const Timeline = memo(({
         onScroll={onTimelineScroll}
         ref={timelineScrollerRef}
       >
-        {waveformEnabled && shouldShowWaveform && waveforms.length > 0 && (
+        {/* One lane per audio track */}
+        {waveformEnabled && waveformOverviews.map((waveformOverview) => (
+          <WaveformOverview
+            key={waveformOverview.streamIndex}
+            waveformOverview={waveformOverview}
+            durationSafe={durationSafe}
+            zoom={zoom}
+            timelineHeight={timelineHeight}
+            scrollLeft={scrollerViewport.scrollLeft}
+            viewportWidth={scrollerViewport.width}
+            label={waveformOverviews.length > 1 ? t('Track {{num}}', { num: waveformOverview.streamIndex + 1 }) : undefined}
+          />
+        ))}
+
+        {waveformEnabled && waveformOverviews.length === 0 && shouldShowWaveform && waveforms.length > 0 && (
           <Waveforms
             calculateTimelinePercent={calculateTimelinePercent}
             durationSafe={durationSafe}
@@ -276,6 +358,10 @@ const Timeline = memo(({
           </div>
         )}
 
+        {detectorPreviewSegments && (
+          <DetectorPreview segments={detectorPreviewSegments} durationSafe={durationSafe} zoom={zoom} timelineHeight={timelineHeight} />
+        )}
+
         <div
           style={{ height: timelineHeight, width: `${zoom * 100}%`, position: 'relative', backgroundColor: timelineBackground }}
           ref={timelineWrapperRef}
@@ -288,7 +374,7 @@ const Timeline = memo(({
           )}
 
           {apparentCutSegments.map((seg, i) => {
-            const segColor = getSegColor(seg);
+            const segColor = getSegmentColor(seg);
 
             if (seg.start === 0 && seg.end === 0) return null; // No video loaded
 
@@ -303,6 +389,7 @@ const Timeline = memo(({
                 isActive={i === currentSegIndexSafe}
                 duration={durationSafe}
                 name={seg.name}
+                segType={seg.type}
                 cutStart={seg.start}
                 cutEnd={seg.end}
                 invertCutSegments={invertCutSegments}
@@ -328,7 +415,7 @@ const Timeline = memo(({
         </div>
       </div>
 
-      {(waveformEnabled && !thumbnailsEnabled && !shouldShowWaveform) && (
+      {(waveformEnabled && waveformOverviews.length === 0 && !thumbnailsEnabled && !shouldShowWaveform) && (
         <div style={{ position: 'absolute', pointerEvents: 'none', display: 'flex', alignItems: 'center', justifyContent: 'center', height: timelineHeight, bottom: timelineHeight, left: 0, right: 0, color: 'rgba(255,255,255,0.6)' }}>
           {t('Zoom in more to view waveform')}
         </div>
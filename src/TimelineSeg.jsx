@@ -1,12 +1,12 @@
 import React, { memo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { FaTrashAlt } from 'react-icons/fa';
+import { FaTrashAlt, FaVolumeMute, FaBell } from 'react-icons/fa';
 
 import { mySpring } from './animations';
 
 
 const TimelineSeg = memo(({
-  duration, cutStart, cutEnd, isActive, segNum, name,
+  duration, cutStart, cutEnd, isActive, segNum, name, segType,
   onSegClick, invertCutSegments, segBgColor, segActiveBgColor, segBorderColor, formatTimecode,
 }) => {
   const cutSectionWidth = `${((cutEnd - cutStart) / duration) * 100}%`;
@@ -57,6 +57,9 @@ const TimelineSeg = memo(({
     >
       <div style={{ alignSelf: 'flex-start', flexShrink: 1, fontSize: 10, minWidth: 0, overflow: 'hidden' }}>{segNum + 1}</div>
 
+      {segType === 'mute' && <FaVolumeMute style={{ flexShrink: 1, minWidth: 0 }} size={12} />}
+      {segType === 'bleep' && <FaBell style={{ flexShrink: 1, minWidth: 0 }} size={12} />}
+
       <AnimatePresence>
         {invertCutSegments && (
           <motion.div
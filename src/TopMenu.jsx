@@ -1,7 +1,7 @@
 import React, { memo, useCallback } from 'react';
 import { IoIosSettings } from 'react-icons/io';
 import { FaLock, FaUnlock } from 'react-icons/fa';
-import { IconButton, Button, CrossIcon, ListIcon, VolumeUpIcon, VolumeOffIcon } from 'evergreen-ui';
+import { IconButton, Button, CrossIcon, ListIcon, VolumeUpIcon, VolumeOffIcon, ExportIcon } from 'evergreen-ui';
 import { useTranslation } from 'react-i18next';
 
 import ExportModeButton from './components/ExportModeButton';
@@ -14,7 +14,7 @@ import useUserSettings from './hooks/useUserSettings';
 const TopMenu = memo(({
   filePath, fileFormat, copyAnyAudioTrack, toggleStripAudio,
   renderOutFmt, numStreamsToCopy, numStreamsTotal, setStreamsSelectorShown, toggleSettings,
-  selectedSegments, isCustomFormatSelected, clearOutDir,
+  selectedSegments, isCustomFormatSelected, clearOutDir, numActiveExportJobs, toggleExportQueue,
 }) => {
   const { t } = useTranslation();
   const { customOutDir, changeOutDir, simpleMode, outFormatLocked, setOutFormatLocked } = useUserSettings();
@@ -53,6 +53,12 @@ const TopMenu = memo(({
 
       <div style={{ flexGrow: 1 }} />
 
+      {numActiveExportJobs > 0 && (
+        <Button height={20} iconBefore={ExportIcon} onClick={withBlur(toggleExportQueue)}>
+          {t('Export queue')} ({numActiveExportJobs})
+        </Button>
+      )}
+
       {showClearWorkingDirButton && (
         <IconButton
           intent="danger"
@@ -4,3 +4,4 @@ export const primaryTextColor = 'hsla(194, 100%, 66%, 1)';
 export const waveformColor = '#ffffff'; // Must be hex because used by ffmpeg
 export const controlsBackground = '#6b6b6b';
 export const timelineBackground = '#444';
+export const detectorPreviewColor = 'hsla(45, 100%, 55%, 0.8)';
@@ -1,7 +1,7 @@
 import React, { memo, useCallback, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import { motion } from 'framer-motion';
-import { FaTimes, FaHatWizard } from 'react-icons/fa';
+import { FaTimes, FaHatWizard, FaCopy, FaSearch } from 'react-icons/fa';
 import { AiOutlineMergeCells } from 'react-icons/ai';
 import { ReactSortable } from 'react-sortablejs';
 import { SortAlphabeticalIcon, SortAlphabeticalDescIcon } from 'evergreen-ui';
@@ -18,7 +18,7 @@ const iconStyle = {
   padding: '3px 5px',
 };
 
-const BatchFilesList = memo(({ selectedBatchFiles, filePath, width, batchFiles, setBatchFiles, onBatchFileSelect, batchRemoveFile, closeBatch, onMergeFilesClick, onBatchConvertToSupportedFormatClick }) => {
+const BatchFilesList = memo(({ selectedBatchFiles, filePath, width, batchFiles, setBatchFiles, onBatchFileSelect, batchRemoveFile, closeBatch, onMergeFilesClick, onBatchConvertToSupportedFormatClick, onApplyToAllClick, onDetectSegmentsClick }) => {
   const { t } = useTranslation();
 
   const [sortDesc, setSortDesc] = useState();
@@ -53,6 +53,8 @@ const BatchFilesList = memo(({ selectedBatchFiles, filePath, width, batchFiles,
         {t('Batch file list')}
         <div style={{ flexGrow: 1 }} />
         <FaHatWizard size={17} role="button" title={`${t('Convert to supported format')}...`} style={iconStyle} onClick={onBatchConvertToSupportedFormatClick} />
+        <FaSearch size={15} role="button" title={`${t('Detect segments in all batch files')}...`} style={iconStyle} onClick={onDetectSegmentsClick} />
+        <FaCopy size={16} role="button" title={`${t('Apply segments to selected batch files')}...`} style={iconStyle} onClick={onApplyToAllClick} />
         <AiOutlineMergeCells size={20} role="button" title={`${t('Merge/concatenate files')}...`} style={iconStyle} onClick={onMergeFilesClick} />
         <SortIcon size={25} role="button" title={t('Sort items')} style={iconStyle} onClick={onSortClick} />
         <FaTimes size={20} role="button" title={t('Close batch')} style={iconStyle} onClick={closeBatch} />
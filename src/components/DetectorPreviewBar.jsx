@@ -0,0 +1,33 @@
+import React, { memo } from 'react';
+import { Button } from 'evergreen-ui';
+import { useTranslation } from 'react-i18next';
+
+import detectors from '../detectors';
+import { controlsBackground } from '../colors';
+
+
+// Shown above the timeline while the detected segments are only a preview (see useSegments)
+const DetectorPreviewBar = memo(({ detectorPreview, formatTimecode, onRerunInZoomWindowPress, onAcceptPress, onDiscardPress }) => {
+  const { t } = useTranslation();
+
+  // While `running`, the segments are those detected so far
+  const { detectorName, segments, running } = detectorPreview;
+  const totalDuration = segments.reduce((acc, { start, end }) => acc + (end - start), 0);
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: 5, padding: '3px 5px', background: controlsBackground, color: 'white', fontSize: 13 }}>
+      <div style={{ flexGrow: 1 }}>
+        {detectors[detectorName].getTitle()}: {t('{{numSegments}} segments, total duration {{duration}}', { numSegments: segments.length, duration: formatTimecode({ seconds: totalDuration, shorten: true }) })}
+        {running && ` (${t('Detecting...')})`}
+      </div>
+
+      <Button height={24} disabled={running} onClick={onRerunInZoomWindowPress}>{t('Re-run on zoomed part')}</Button>
+      <Button height={24} appearance="primary" disabled={running || segments.length === 0} onClick={() => onAcceptPress('replace')}>{t('Replace segments')}</Button>
+      <Button height={24} disabled={running || segments.length === 0} onClick={() => onAcceptPress('append')}>{t('Append')}</Button>
+      <Button height={24} disabled={running} onClick={() => onAcceptPress('invertAndAppend')}>{t('Invert and append')}</Button>
+      <Button height={24} intent="danger" disabled={running} onClick={onDiscardPress}>{t('Discard')}</Button>
+    </div>
+  );
+});
+
+export default DetectorPreviewBar;
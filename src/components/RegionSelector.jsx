@@ -0,0 +1,69 @@
+import React, { memo, useRef, useState } from 'react';
+import { Button } from 'evergreen-ui';
+import { useTranslation } from 'react-i18next';
+
+import { mapRectToVideoRegion } from '../motion';
+
+
+// Lets the user draw a rectangle on top of the player, and returns it in video pixels (or undefined for the whole frame)
+const RegionSelector = memo(({ videoWidth, videoHeight, rotation, sampleAspectRatio, onConfirm, onCancel }) => {
+  const { t } = useTranslation();
+
+  const containerRef = useRef();
+  const [rect, setRect] = useState();
+  const [drawing, setDrawing] = useState(false);
+
+  function getPos(e) {
+    const bounds = containerRef.current.getBoundingClientRect();
+    return { x: e.clientX - bounds.left, y: e.clientY - bounds.top };
+  }
+
+  function onMouseDown(e) {
+    const { x, y } = getPos(e);
+    setRect({ x1: x, y1: y, x2: x, y2: y });
+    setDrawing(true);
+  }
+
+  function onMouseMove(e) {
+    if (!drawing) return;
+    const { x, y } = getPos(e);
+    setRect((existing) => ({ ...existing, x2: x, y2: y }));
+  }
+
+  function getRegion() {
+    if (!rect) return undefined;
+    const { width: containerWidth, height: containerHeight } = containerRef.current.getBoundingClientRect();
+    return mapRectToVideoRegion({ rect, containerWidth, containerHeight, videoWidth, videoHeight, rotation, sampleAspectRatio });
+  }
+
+  const region = !drawing ? getRegion() : undefined;
+
+  return (
+    <div
+      ref={containerRef}
+      role="presentation"
+      className="no-user-select"
+      style={{ position: 'absolute', zIndex: 1, top: 0, left: 0, right: 0, bottom: 0, cursor: 'crosshair', background: 'rgba(0,0,0,0.3)' }}
+      onMouseDown={onMouseDown}
+      onMouseMove={onMouseMove}
+      onMouseUp={() => setDrawing(false)}
+    >
+      {rect && (
+        <div style={{ position: 'absolute', left: Math.min(rect.x1, rect.x2), top: Math.min(rect.y1, rect.y2), width: Math.abs(rect.x2 - rect.x1), height: Math.abs(rect.y2 - rect.y1), border: '2px dashed white', boxSizing: 'border-box', pointerEvents: 'none' }} />
+      )}
+
+      {/* Stop propagation, so that clicking the buttons doesn't start a new rectangle */}
+      <div role="presentation" style={{ position: 'absolute', top: 10, left: 0, right: 0, display: 'flex', flexDirection: 'column', alignItems: 'center', cursor: 'default' }} onMouseDown={(e) => e.stopPropagation()}>
+        <div style={{ color: 'white', marginBottom: 10, textShadow: '0 0 3px black' }}>{t('Draw a rectangle around the area where motion should be detected')}</div>
+
+        <div style={{ display: 'flex', gap: 5 }}>
+          <Button appearance="primary" disabled={!region} onClick={() => onConfirm(region)}>{t('Detect motion in this region')}</Button>
+          <Button onClick={() => onConfirm()}>{t('Use the whole frame')}</Button>
+          <Button onClick={onCancel}>{t('Cancel')}</Button>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+export default RegionSelector;
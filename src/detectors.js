@@ -0,0 +1,102 @@
+import i18n from 'i18next';
+import pick from 'lodash/pick';
+import mapValues from 'lodash/mapValues';
+
+import { blackDetect, freezeDetect, silenceDetect, loudnessDetect, detectSceneChanges, motionDetect } from './ffmpeg';
+import { showParametersDialog } from './dialogs/parameters';
+import * as ffmpegParameters from './ffmpeg-parameters';
+import { getCommercialBreaks } from './segments';
+import { isValidCropRegion } from './motion';
+
+// Detectors that create segments from a file. They can be run on the current file (see useSegments) or on all batch files.
+// `getParameters` gets the last used motion region (if any), see RegionSelector
+// `detect` may call `onSegments` with the segments found so far, while it is running
+const detectors = {
+  blackScenes: {
+    getTitle: () => i18n.t('Detect black scenes'),
+    getWorkingText: () => i18n.t('Detecting black scenes'),
+    getErrorText: () => i18n.t('Failed to detect black scenes'),
+    getParameters: () => ffmpegParameters.blackdetect(),
+    docUrl: 'https://ffmpeg.org/ffmpeg-filters.html#blackdetect',
+    detect: ({ filePath, parameters, onProgress, onSegments, from, to }) => blackDetect({ filePath, filterOptions: parameters, onProgress, onSegments, from, to }),
+  },
+  frozenVideo: {
+    getTitle: () => i18n.t('Detect frozen video'),
+    getWorkingText: () => i18n.t('Detecting frozen video'),
+    getErrorText: () => i18n.t('Failed to detect frozen video'),
+    getParameters: () => ffmpegParameters.freezedetect(),
+    getDescription: () => i18n.t('Segments are created for the frozen parts. To remove them, invert the segments before exporting.'),
+    docUrl: 'https://ffmpeg.org/ffmpeg-filters.html#freezedetect',
+    detect: ({ filePath, parameters, onProgress, onSegments, from, to }) => freezeDetect({ filePath, filterOptions: parameters, onProgress, onSegments, from, to }),
+  },
+  silentScenes: {
+    getTitle: () => i18n.t('Detect silent scenes'),
+    getWorkingText: () => i18n.t('Detecting silent scenes'),
+    getErrorText: () => i18n.t('Failed to detect silent scenes'),
+    getParameters: () => ffmpegParameters.silencedetect(),
+    docUrl: 'https://ffmpeg.org/ffmpeg-filters.html#silencedetect',
+    detect: ({ filePath, parameters, onProgress, onSegments, from, to }) => silenceDetect({ filePath, filterOptions: parameters, onProgress, onSegments, from, to }),
+  },
+  loudScenes: {
+    getTitle: () => i18n.t('Detect loud scenes'),
+    getWorkingText: () => i18n.t('Detecting loud scenes'),
+    getErrorText: () => i18n.t('Failed to detect loud scenes'),
+    getParameters: () => ffmpegParameters.loudnessDetect(),
+    docUrl: 'https://ffmpeg.org/ffmpeg-filters.html#ebur128',
+    detect: ({ filePath, parameters, onProgress, onSegments, from, to }) => {
+      const threshold = parseFloat(parameters.threshold);
+      const minDuration = parseFloat(parameters.minDuration);
+      // The threshold is in LUFS, so it is usually negative
+      if (Number.isNaN(threshold) || Number.isNaN(minDuration) || minDuration < 0) throw new Error(i18n.t('Invalid number entered'));
+      return loudnessDetect({ filePath, threshold, minDuration, onProgress, onSegments, from, to });
+    },
+  },
+  sceneChanges: {
+    getTitle: () => i18n.t('Detect scene changes'),
+    getWorkingText: () => i18n.t('Detecting scene changes'),
+    getErrorText: () => i18n.t('Failed to detect scene changes'),
+    getParameters: () => ffmpegParameters.sceneChange(),
+    detect: ({ filePath, parameters, onProgress, from, to }) => detectSceneChanges({ filePath, minChange: parameters.minChange, onProgress, from, to }),
+  },
+  motion: {
+    getTitle: () => i18n.t('Detect motion'),
+    getWorkingText: () => i18n.t('Detecting motion'),
+    getErrorText: () => i18n.t('Failed to detect motion'),
+    getParameters: ({ motionRegion }) => ffmpegParameters.motionDetect({ motionRegion }),
+    detect: ({ filePath, parameters, onProgress, from, to }) => {
+      const [sensitivity, minDuration, prePadding, postPadding] = [parameters.sensitivity, parameters.minDuration, parameters.prePadding, parameters.postPadding].map((value) => parseFloat(value));
+      if ([sensitivity, minDuration, prePadding, postPadding].some((value) => Number.isNaN(value) || value < 0) || sensitivity > 100) throw new Error(i18n.t('Invalid number entered'));
+      const region = parameters.region.trim();
+      if (region !== '' && !isValidCropRegion(region)) throw new Error(i18n.t('Invalid region of interest'));
+      return motionDetect({ filePath, region, sensitivity, minDuration, prePadding, postPadding, onProgress, from, to });
+    },
+  },
+  commercialBreaks: {
+    getTitle: () => i18n.t('Detect commercial breaks'),
+    getWorkingText: () => i18n.t('Detecting commercial breaks'),
+    getErrorText: () => i18n.t('Failed to detect commercial breaks'),
+    getParameters: () => ffmpegParameters.commercialBreaks(),
+    getDescription: () => i18n.t('Commercial breaks are detected where black frames and silence occur at the same time.'),
+    detect: async ({ filePath, parameters, onProgress, from, to }) => {
+      const tolerance = parseFloat(parameters.tolerance);
+      const minAdDuration = parseFloat(parameters.minAdDuration);
+      const maxAdDuration = parseFloat(parameters.maxAdDuration);
+      if ([tolerance, minAdDuration, maxAdDuration].some((value) => Number.isNaN(value) || value < 0)) throw new Error(i18n.t('Invalid number entered'));
+
+      // Each detector is one half of the progress
+      const blackIntervals = await blackDetect({ filePath, filterOptions: pick(parameters, ['black_min_duration', 'picture_black_ratio_th', 'pixel_black_th']), onProgress: (progress) => onProgress(progress / 2), from, to });
+      const silenceIntervals = await silenceDetect({ filePath, filterOptions: pick(parameters, ['noise', 'duration']), onProgress: (progress) => onProgress(0.5 + progress / 2), from, to });
+
+      return getCommercialBreaks({ blackIntervals, silenceIntervals, tolerance, minAdDuration, maxAdDuration, invert: parameters.invert.trim().toLowerCase() === 'yes', from, to });
+    },
+  },
+};
+
+// Returns undefined if the user cancelled. `previousValues` (e.g. from the previous run) are used instead of the defaults
+export async function askForDetectorParameters(detectorName, { context = {}, previousValues = {} } = {}) {
+  const { getParameters, getDescription, docUrl } = detectors[detectorName];
+  const parameters = mapValues(getParameters(context), (parameter, key) => (previousValues[key] != null ? { ...parameter, value: previousValues[key] } : parameter));
+  return showParametersDialog({ title: i18n.t('Enter parameters'), description: getDescription && getDescription(), parameters, docUrl });
+}
+
+export default detectors;
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { HelpIcon, TickCircleIcon, WarningSignIcon, InfoSignIcon, Checkbox } from 'evergreen-ui';
+import { HelpIcon, TickCircleIcon, WarningSignIcon, InfoSignIcon, Checkbox, SelectField } from 'evergreen-ui';
 import Swal from 'sweetalert2';
 import i18n from 'i18next';
 import { Trans } from 'react-i18next';
@@ -7,14 +7,18 @@ import withReactContent from 'sweetalert2-react-content';
 import SyntaxHighlighter from 'react-syntax-highlighter';
 import { tomorrow as style } from 'react-syntax-highlighter/dist/esm/styles/hljs';
 import JSON5 from 'json5';
+import isEqual from 'lodash/isEqual';
 
 import { parseDuration, formatDuration } from '../util/duration';
 import { swalToastOptions, toast } from '../util';
 import { parseYouTube } from '../edlFormats';
+import { getLayerLabel } from '../segments';
 import CopyClipboardButton from '../components/CopyClipboardButton';
+import allOutFormats from '../outFormats';
 
 const { dialog, app } = window.require('@electron/remote');
 const { shell } = window.require('electron');
+const { basename } = window.require('path');
 
 const ReactSwal = withReactContent(Swal);
 
@@ -105,6 +109,30 @@ export async function askForFileOpenAction(inputOptions) {
   return value;
 }
 
+export async function askForSubtitleSource({ subtitleStreams }) {
+  let streamIndex;
+  if (subtitleStreams.length > 0) {
+    const { value } = await Swal.fire({
+      title: i18n.t('Create segments from subtitle track'),
+      showCancelButton: true,
+      input: 'select',
+      inputValue: String(subtitleStreams[0].index),
+      inputOptions: {
+        ...Object.fromEntries(subtitleStreams.map((stream) => [stream.index, [i18n.t('Track {{index}}', { index: stream.index }), stream.tags?.language, stream.tags?.title, stream.codec_name].filter((part) => part).join(' - ')])),
+        file: i18n.t('Subtitle file...'),
+      },
+    });
+    if (value == null) return undefined;
+    if (value !== 'file') streamIndex = parseInt(value, 10);
+  }
+
+  if (streamIndex != null) return { streamIndex };
+
+  const { canceled, filePaths } = await dialog.showOpenDialog({ properties: ['openFile'], filters: [{ name: i18n.t('Subtitles'), extensions: ['srt', 'vtt', 'ass', 'ssa'] }] });
+  if (canceled || filePaths.length < 1) return undefined;
+  return { filePath: filePaths[0] };
+}
+
 export async function showDiskFull() {
   await Swal.fire({
     icon: 'error',
@@ -368,6 +396,74 @@ export async function showCleanupFilesDialog(cleanupChoicesIn = {}) {
   return undefined;
 }
 
+// Maps the select values to the stored `streamTypes` (see sanitizeSegmentExportOptions)
+const segmentStreamTypesOptions = {
+  video: ['video'],
+  audio: ['audio'],
+  videoAudio: ['video', 'audio'],
+};
+
+const SegmentExportOptions = ({ exportOptionsInitial, onChange: onChangeProp }) => {
+  const [options, setOptions] = useState(exportOptionsInitial);
+
+  const onChange = (key, val) => setOptions((o) => {
+    const newOptions = { ...o, [key]: val };
+    onChangeProp(newOptions);
+    return newOptions;
+  });
+
+  const booleanToValue = (val) => (val == null ? '' : String(val));
+  const valueToBoolean = (val) => (val === '' ? undefined : val === 'true');
+
+  const streamTypesValue = Object.entries(segmentStreamTypesOptions).find(([, streamTypes]) => isEqual(streamTypes, options.streamTypes))?.[0] ?? '';
+
+  return (
+    <div style={{ textAlign: 'left' }}>
+      <p>{i18n.t('These options are used instead of the export options when exporting this segment:')}</p>
+
+      <SelectField label={i18n.t('Cut mode')} value={booleanToValue(options.keyframeCut)} onChange={(e) => onChange('keyframeCut', valueToBoolean(e.target.value))}>
+        <option value="">{i18n.t('Same as export options')}</option>
+        <option value="true">{i18n.t('Keyframe cut')}</option>
+        <option value="false">{i18n.t('Normal cut')}</option>
+      </SelectField>
+
+      <SelectField label={i18n.t('Smart cut')} value={booleanToValue(options.enableSmartCut)} onChange={(e) => onChange('enableSmartCut', valueToBoolean(e.target.value))}>
+        <option value="">{i18n.t('Same as export options')}</option>
+        <option value="true">{i18n.t('Enabled')}</option>
+        <option value="false">{i18n.t('Disabled')}</option>
+      </SelectField>
+
+      <SelectField label={i18n.t('Tracks')} hint={i18n.t('Only the selected tracks of these types will be included')} value={streamTypesValue} onChange={(e) => onChange('streamTypes', segmentStreamTypesOptions[e.target.value])}>
+        <option value="">{i18n.t('Same as export options')}</option>
+        <option value="video">{i18n.t('Video only')}</option>
+        <option value="audio">{i18n.t('Audio only')}</option>
+        <option value="videoAudio">{i18n.t('Video and audio')}</option>
+      </SelectField>
+
+      <SelectField label={i18n.t('Output format')} value={options.outFormat ?? ''} onChange={(e) => onChange('outFormat', e.target.value || undefined)}>
+        <option value="">{i18n.t('Same as export options')}</option>
+        {Object.entries(allOutFormats).map(([format, name]) => <option key={format} value={format}>{format} - {name}</option>)}
+      </SelectField>
+    </div>
+  );
+};
+
+// Returns undefined if cancelled, or else the new options (which may be empty)
+export async function askForSegmentExportOptions(exportOptionsIn = {}) {
+  let exportOptions = exportOptionsIn;
+
+  const { value } = await ReactSwal.fire({
+    title: i18n.t('Segment export options'),
+    html: <SegmentExportOptions exportOptionsInitial={exportOptions} onChange={(newOptions) => { exportOptions = newOptions; }} />,
+    showCancelButton: true,
+    confirmButtonText: i18n.t('Save'),
+    cancelButtonText: i18n.t('Cancel'),
+  });
+
+  if (value) return exportOptions;
+  return undefined;
+}
+
 export async function createFixedDurationSegments(fileDuration) {
   const segmentDuration = await askForSegmentDuration(fileDuration);
   if (segmentDuration == null) return undefined;
@@ -483,6 +579,43 @@ export async function selectSegmentsByLabelDialog(currentName) {
   return value;
 }
 
+export async function askForLayerName({ title, currentName, existingNames }) {
+  const { value } = await Swal.fire({
+    showCancelButton: true,
+    title,
+    inputValue: currentName,
+    input: 'text',
+    inputValidator: (v) => {
+      if (v.trim().length === 0) return i18n.t('Please enter a name');
+      if (v.trim() !== currentName && existingNames.includes(v.trim())) return i18n.t('A layer with this name already exists');
+      return undefined;
+    },
+  });
+  return value != null ? value.trim() : undefined;
+}
+
+export async function selectLayerDialog({ title, layerNames, currentName }) {
+  const { value } = await Swal.fire({
+    showCancelButton: true,
+    title,
+    input: 'select',
+    inputValue: currentName,
+    inputOptions: Object.fromEntries(layerNames.map((name) => [name, getLayerLabel(name)])),
+  });
+  return value;
+}
+
+export async function confirmRemoveLayer({ name, numSegments }) {
+  const { value } = await Swal.fire({
+    icon: 'warning',
+    showCancelButton: true,
+    title: i18n.t('Remove layer {{name}}?', { name }),
+    text: i18n.t('This will also remove the {{numSegments}} segments in this layer.', { numSegments }),
+    confirmButtonText: i18n.t('Remove'),
+  });
+  return value;
+}
+
 export function openAbout() {
   Swal.fire({
     icon: 'info',
@@ -571,3 +704,68 @@ export async function openConcatFinishedToast({ filePath, warnings, notices }) {
 
   await openDirToast({ filePath, html, width: 800, position: 'center', timer: 30000 });
 }
+
+export async function askForSegmentTemplateType({ haveSegments }) {
+  const { value } = await Swal.fire({
+    title: i18n.t('Apply to all batch files'),
+    text: i18n.t('Each file in the batch list will be opened, get these segments and be exported with the current export settings. Which segments do you want to apply?'),
+    icon: 'question',
+    input: 'radio',
+    inputValue: haveSegments ? 'absolute' : 'trim',
+    showCancelButton: true,
+    customClass: { input: 'swal2-losslesscut-radio' },
+    inputOptions: {
+      ...(haveSegments && {
+        absolute: i18n.t('The current segments, at the same times'),
+        relativeToEnd: i18n.t('The current segments, at the same distance from the end of the file'),
+      }),
+      trim: i18n.t('Trim a number of seconds from the start and end of each file'),
+    },
+    inputValidator: (v) => !v && i18n.t('You need to choose something!'),
+  });
+
+  return value;
+}
+
+// `numProcessed` is less than `numFiles` if the batch was aborted
+export async function showBatchApplyFinishedDialog({ numFiles, numProcessed, failedFiles }) {
+  const html = (
+    <UnorderedList>
+      <ListItem icon={TickCircleIcon} iconColor={failedFiles.length > 0 || numProcessed < numFiles ? 'warning' : 'success'} fontWeight="bold">{i18n.t('{{numExported}} of {{numFiles}} files were exported', { numExported: numProcessed - failedFiles.length, numFiles })}</ListItem>
+      {numProcessed < numFiles && <ListItem icon={WarningSignIcon} iconColor="warning">{i18n.t('Aborted. {{numRemaining}} files were not processed', { numRemaining: numFiles - numProcessed })}</ListItem>}
+      {failedFiles.map(({ path, error }) => <ListItem key={path} icon={WarningSignIcon} iconColor="warning">{`${basename(path)}: ${error}`}</ListItem>)}
+    </UnorderedList>
+  );
+
+  await ReactSwal.fire({ html, width: 800, showConfirmButton: true });
+}
+
+export async function askForBatchDetector(inputOptions) {
+  const { value } = await Swal.fire({
+    title: i18n.t('Detect segments in all batch files'),
+    text: i18n.t('The detected segments will be added to the project file of each file.'),
+    icon: 'question',
+    input: 'radio',
+    inputValue: Object.keys(inputOptions)[0],
+    showCancelButton: true,
+    customClass: { input: 'swal2-losslesscut-radio' },
+    inputOptions,
+    inputValidator: (v) => !v && i18n.t('You need to choose something!'),
+  });
+
+  return value;
+}
+
+export async function showBatchDetectFinishedDialog({ results }) {
+  const html = (
+    <UnorderedList>
+      {results.map(({ path, numSegments, error }) => (error != null ? (
+        <ListItem key={path} icon={WarningSignIcon} iconColor="warning">{`${basename(path)}: ${error}`}</ListItem>
+      ) : (
+        <ListItem key={path} icon={TickCircleIcon} iconColor="success">{`${basename(path)}: ${i18n.t('{{numSegments}} segments found', { numSegments })}`}</ListItem>
+      )))}
+    </UnorderedList>
+  );
+
+  await ReactSwal.fire({ title: i18n.t('Detection finished'), html, width: 800, showConfirmButton: true });
+}
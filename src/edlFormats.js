@@ -1,4 +1,4 @@
-import { XMLParser } from 'fast-xml-parser';
+import { XMLParser, XMLBuilder } from 'fast-xml-parser';
 import i18n from 'i18next';
 
 import csvParse from 'csv-parse/lib/browser';
@@ -66,18 +66,57 @@ export async function parseMplayerEdl(text) {
 
   const inverted = cutAwaySegments.length > 0 ? invertSegments(sortSegments(cutAwaySegments), true, true) : [];
 
-  const map = (segments, name, type) => segments.map(({ start, end }) => ({ start, end, name, tags: { mplayerEdlType: type } }));
+  // Each EDL action type gets its own layer
+  const map = (segments, name, type) => segments.map(({ start, end }) => ({ start, end, name, layer: name, type }));
 
   const out = [
-    ...map(inverted || [], 'Cut', 0),
-    ...map(muteSegments, 'Mute', 1),
-    ...map(sceneMarkers, 'Scene Marker', 2),
-    ...map(commercialBreaks, 'Commercial Break', 3),
+    ...map(inverted || [], 'Cut'),
+    ...map(muteSegments, 'Mute', 'mute'),
+    ...map(sceneMarkers, 'Scene Marker'),
+    ...map(commercialBreaks, 'Commercial Break'),
   ];
   if (out.length === 0) throw new Error(i18n.t('Invalid EDL data found'));
   return out;
 }
 
+// https://manual.audacityteam.org/man/importing_and_exporting_labels.html
+export function parseAudacityLabels(text) {
+  const labels = text.split(/\r?\n/).map((line) => {
+    // lines starting with a backslash hold the frequency range of the previous label (spectral selection)
+    const match = line.match(/^\s*([0-9.]+)\t([0-9.]+)\t?(.*)$/);
+    if (!match) return undefined;
+    const start = parseFloat(match[1]);
+    const end = parseFloat(match[2]);
+    if (Number.isNaN(start) || Number.isNaN(end) || end < start) return undefined;
+    // Point labels have no duration
+    return { start, end: end > start ? end : undefined, name: match[3] };
+  }).filter((it) => it);
+
+  if (labels.length === 0) throw new Error(i18n.t('Invalid EDL data found'));
+  return labels;
+}
+
+// Audition times are formatted as [h:]m:ss.mmm (the "decimal" time format)
+function parseAuditionTime(str) {
+  const parts = str.trim().split(':').map((part) => parseFloat(part));
+  if (parts.length === 0 || parts.length > 3 || parts.some((part) => Number.isNaN(part))) return undefined;
+  return parts.reduce((acc, part) => acc * 60 + part, 0);
+}
+
+// Audition's "Export marker CSV" is actually tab separated, with a header row
+export async function parseAuditionMarkers(text) {
+  const [header, ...rows] = await csvParseAsync(text, { delimiter: '\t', relax_column_count: true });
+  if (!header || header[0] !== 'Name' || header[1] !== 'Start') throw new Error(i18n.t('Invalid EDL data found'));
+
+  return rows.map(([name, startStr, durationStr = '', timeFormat, , description]) => {
+    if (timeFormat && timeFormat !== 'decimal') throw new Error(i18n.t('Unsupported time format: {{timeFormat}}. Please export the markers with the decimal time format', { timeFormat }));
+    const start = parseAuditionTime(startStr);
+    const duration = parseAuditionTime(durationStr);
+    if (start == null) throw new Error(i18n.t('Invalid start or end value. Must contain a number of seconds'));
+    return { start, end: duration ? start + duration : undefined, name, ...(description && { tags: { description } }) };
+  });
+}
+
 export function parseCuesheet(cuesheet) {
   // There are 75 such frames per second of audio.
   // https://en.wikipedia.org/wiki/Cue_sheet_(computing)
@@ -174,6 +213,165 @@ export function parseFcpXml(xmlStr) {
     return { start, end };
   });
 }
+
+// Audio-only media has no framerate, but the XML and CMX3600 formats count time in frames, so we use a common timebase instead
+const audioOnlyFps = 30;
+
+function getEdlFps({ fps, hasVideo }) {
+  if (fps) return fps;
+  if (!hasVideo) return audioOnlyFps;
+  throw new Error('The loaded file has an unknown framerate');
+}
+
+// FCP / Premiere express rates as an integer timebase plus an NTSC flag (e.g. 29.97 is timebase 30, NTSC)
+// Like in CMX3600 EDLs, only 29.97 and 59.94 use drop frame timecode (23.976 does not)
+function getXmlFrameRate(fps) {
+  const timebase = Math.round(fps);
+  const ntsc = Math.abs(fps - (timebase * 1000) / 1001) < 0.01;
+  const dropFrame = ntsc && timebase % 30 === 0;
+  if (ntsc) return { timebase, ntsc, dropFrame, frameDuration: [1001, timebase * 1000] };
+  if (fps === timebase) return { timebase, ntsc, dropFrame, frameDuration: [1, timebase] };
+  return { timebase, ntsc, dropFrame, frameDuration: [1000, Math.round(fps * 1000)] };
+}
+
+const formatXmlNotes = ({ tags }) => Object.entries(tags || {}).map(([key, value]) => `${key}: ${value}`).join('\n') || undefined;
+
+const buildXml = ({ doctype, root }) => {
+  const builder = new XMLBuilder({ ignoreAttributes: false, format: true, suppressEmptyNode: true });
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE ${doctype}>\n${builder.build(root)}`;
+};
+
+// Each segment becomes a clip in a sequence that references the source media. `duration` is the duration of the source media
+export function formatXmeml({ cutSegments, fps: mediaFps, mediaName, fileUrl, duration, hasVideo = true, hasAudio = true, title = mediaName }) {
+  const fps = getEdlFps({ fps: mediaFps, hasVideo });
+  const { timebase, ntsc, dropFrame } = getXmlFrameRate(fps);
+  const toFrames = (seconds) => Math.round(seconds * fps);
+  const rate = { timebase, ntsc: ntsc ? 'TRUE' : 'FALSE' };
+  const mediaDuration = toFrames(duration ?? Math.max(...cutSegments.map(({ end }) => end)));
+
+  let recordFrames = 0;
+  const clips = cutSegments.map((segment) => {
+    const inFrame = toFrames(segment.start);
+    const outFrame = toFrames(segment.end);
+    const start = recordFrames;
+    recordFrames += outFrame - inFrame;
+    return { segment, in: inFrame, out: outFrame, start, end: recordFrames };
+  });
+
+  const file = {
+    '@_id': 'file-1',
+    name: mediaName,
+    pathurl: fileUrl,
+    rate,
+    duration: mediaDuration,
+    media: { ...(hasVideo && { video: {} }), ...(hasAudio && { audio: {} }) },
+  };
+
+  // The file only needs to be described in full once (in the first clip), later references just use the id
+  const firstMediaType = hasVideo ? 'video' : 'audio';
+
+  const getClipItems = (mediaType) => clips.map((clip, i) => {
+    const notes = formatXmlNotes(clip.segment);
+    return {
+      '@_id': `clipitem-${mediaType}-${i + 1}`,
+      name: clip.segment.name || mediaName,
+      duration: mediaDuration,
+      rate,
+      start: clip.start,
+      end: clip.end,
+      in: clip.in,
+      out: clip.out,
+      file: mediaType === firstMediaType && i === 0 ? file : { '@_id': file['@_id'] },
+      sourcetrack: { mediatype: mediaType },
+      logginginfo: notes && { lognote: notes },
+    };
+  });
+
+  return buildXml({
+    doctype: 'xmeml',
+    root: {
+      xmeml: {
+        '@_version': 5,
+        sequence: {
+          '@_id': 'sequence-1',
+          name: title,
+          duration: recordFrames,
+          rate,
+          timecode: { rate, string: dropFrame ? '00;00;00;00' : '00:00:00:00', frame: 0, displayformat: dropFrame ? 'DF' : 'NDF' },
+          media: {
+            ...(hasVideo && { video: { track: { clipitem: getClipItems('video') } } }),
+            ...(hasAudio && { audio: { track: { clipitem: getClipItems('audio') } } }),
+          },
+        },
+      },
+    },
+  });
+}
+
+export function formatFcpXml({ cutSegments, fps: mediaFps, mediaName, fileUrl, duration, width, height, hasVideo = true, hasAudio = true, title = mediaName }) {
+  const fps = getEdlFps({ fps: mediaFps, hasVideo });
+  const { dropFrame, frameDuration: [frameDurationNum, frameDurationDen] } = getXmlFrameRate(fps);
+  const tcFormat = dropFrame ? 'DF' : 'NDF';
+  const toFrames = (seconds) => Math.round(seconds * fps);
+  // FCPXML times are rationals, which must be a whole number of frames
+  const formatTime = (frames) => `${frames * frameDurationNum}/${frameDurationDen}s`;
+
+  let offset = 0;
+  const assetClips = cutSegments.map((segment) => {
+    const start = toFrames(segment.start);
+    const clipDuration = toFrames(segment.end) - start;
+    const assetClip = {
+      '@_ref': 'r2',
+      '@_name': segment.name || mediaName,
+      '@_offset': formatTime(offset),
+      '@_start': formatTime(start),
+      '@_duration': formatTime(clipDuration),
+      '@_format': 'r1',
+      '@_tcFormat': tcFormat,
+      note: formatXmlNotes(segment),
+    };
+    offset += clipDuration;
+    return assetClip;
+  });
+
+  return buildXml({
+    doctype: 'fcpxml',
+    root: {
+      fcpxml: {
+        '@_version': '1.9',
+        resources: {
+          format: { '@_id': 'r1', '@_frameDuration': `${frameDurationNum}/${frameDurationDen}s`, '@_width': width, '@_height': height },
+          asset: {
+            '@_id': 'r2',
+            '@_name': mediaName,
+            '@_start': formatTime(0),
+            '@_duration': formatTime(toFrames(duration ?? Math.max(...cutSegments.map(({ end }) => end)))),
+            '@_hasVideo': hasVideo ? 1 : 0,
+            '@_hasAudio': hasAudio ? 1 : 0,
+            '@_format': 'r1',
+            'media-rep': { '@_kind': 'original-media', '@_src': fileUrl },
+          },
+        },
+        library: {
+          event: {
+            '@_name': title,
+            project: {
+              '@_name': title,
+              sequence: {
+                '@_format': 'r1',
+                '@_duration': formatTime(offset),
+                '@_tcStart': formatTime(0),
+                '@_tcFormat': tcFormat,
+                spine: { 'asset-clip': assetClips },
+              },
+            },
+          },
+        },
+      },
+    },
+  });
+}
+
 export function parseYouTube(str) {
   function parseLine(match) {
     if (!match) return undefined;
@@ -211,6 +409,51 @@ export function formatYouTube(segments) {
   }).join('\n');
 }
 
+// Chapter files: each chapter must have a start, end and name (see getChaptersWithEnds)
+
+// Special characters in ffmetadata values must be escaped, see https://ffmpeg.org/ffmpeg-formats.html#Metadata-1
+const escapeFfmetadata = (str) => str.replace(/[=;#\\\n]/g, (char) => `\\${char}`);
+
+export function formatFfmetadataChapters(chapters) {
+  return [
+    ';FFMETADATA1',
+    ...chapters.map(({ start, end, name }) => (
+      `[CHAPTER]\nTIMEBASE=1/1000\nSTART=${Math.floor(start * 1000)}\nEND=${Math.floor(end * 1000)}\ntitle=${escapeFfmetadata(name || '')}`
+    )),
+  ].join('\n\n');
+}
+
+// https://www.matroska.org/technical/chapters.html
+export function formatMatroskaChapters(chapters) {
+  const formatTime = (seconds) => `${formatDuration({ seconds })}000000`;
+
+  return buildXml({
+    doctype: 'Chapters SYSTEM "matroskachapters.dtd"',
+    root: {
+      Chapters: {
+        EditionEntry: {
+          ChapterAtom: chapters.map(({ start, end, name }) => ({
+            ChapterTimeStart: formatTime(start),
+            ChapterTimeEnd: formatTime(end),
+            ChapterDisplay: {
+              ChapterString: name || '',
+              ChapterLanguage: 'und',
+            },
+          })),
+        },
+      },
+    },
+  });
+}
+
+// OGM chapters only have start times
+export function formatOgmChapters(chapters) {
+  return chapters.map(({ start, name }, i) => {
+    const num = String(i + 1).padStart(2, '0');
+    return `CHAPTER${num}=${formatDuration({ seconds: start })}\nCHAPTER${num}NAME=${name || ''}\n`;
+  }).join('');
+}
+
 // because null/undefined is also valid values (start/end of timeline)
 const safeFormatDuration = (duration) => (duration != null ? formatDuration({ seconds: duration }) : '');
 
@@ -244,3 +487,140 @@ export async function formatCsvHuman(cutSegments) {
 export async function formatTsv(cutSegments) {
   return csvStringifyAsync(formatSegmentsTimes(cutSegments), { delimiter: '\t' });
 }
+
+export function formatAudacityLabels(cutSegments) {
+  return cutSegments.map(({ start, end, name }) => `${start.toFixed(6)}\t${(end ?? start).toFixed(6)}\t${name || ''}\n`).join('');
+}
+
+function formatAuditionTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const hours = Math.floor(ms / 3600000);
+  const minutes = Math.floor((ms % 3600000) / 60000);
+  const secondsStr = ((ms % 60000) / 1000).toFixed(3).padStart(6, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secondsStr}` : `${minutes}:${secondsStr}`;
+}
+
+export async function formatAuditionMarkers(cutSegments) {
+  const rows = cutSegments.map(({ start, end, name, tags }) => {
+    const duration = end != null ? end - start : 0;
+    return [name || '', formatAuditionTime(start), formatAuditionTime(duration), 'decimal', duration > 0 ? 'Subclip' : 'Cue', tags?.description || ''];
+  });
+  return csvStringifyAsync([['Name', 'Start', 'Duration', 'Time Format', 'Type', 'Description'], ...rows], { delimiter: '\t' });
+}
+
+// CMX3600 EDL timecodes are counted in frames (HH:MM:SS:FF). 29.97 and 59.94 fps use drop frame timecode (HH:MM:SS;FF)
+function getCmx3600Timebase(fps) {
+  const timebase = Math.round(fps);
+  const dropFrame = timebase % 30 === 0 && Math.abs(fps - (timebase * 1000) / 1001) < 0.01;
+  return { timebase, dropFrame, numDropFrames: dropFrame ? timebase / 15 : 0 };
+}
+
+function formatCmx3600Timecode(frames, { timebase, dropFrame, numDropFrames }) {
+  let frameNumber = frames;
+  if (dropFrame) {
+    // https://www.davidheidelberger.com/2010/06/10/drop-frame-timecode/
+    const framesPer10Minutes = timebase * 600 - numDropFrames * 9;
+    const framesPerMinute = timebase * 60 - numDropFrames;
+    const tenMinutes = Math.floor(frameNumber / framesPer10Minutes);
+    const remainder = frameNumber % framesPer10Minutes;
+    frameNumber += numDropFrames * 9 * tenMinutes;
+    if (remainder > numDropFrames) frameNumber += numDropFrames * Math.floor((remainder - numDropFrames) / framesPerMinute);
+  }
+
+  const pad = (n) => String(n).padStart(2, '0');
+  const ff = frameNumber % timebase;
+  const ss = Math.floor(frameNumber / timebase) % 60;
+  const mm = Math.floor(frameNumber / (timebase * 60)) % 60;
+  const hh = Math.floor(frameNumber / (timebase * 3600)) % 24;
+  return `${pad(hh)}:${pad(mm)}:${pad(ss)}${dropFrame ? ';' : ':'}${pad(ff)}`;
+}
+
+// Timecode labels count `timebase` frames per second, so at e.g. 23.976 fps they run slower than the wall clock
+function getCmx3600FramesFromLabel(labelFrames, { timebase, numDropFrames }) {
+  const totalMinutes = Math.floor(labelFrames / (timebase * 60));
+  return labelFrames - numDropFrames * (totalMinutes - Math.floor(totalMinutes / 10));
+}
+
+function parseCmx3600Timecode(str, timebase) {
+  const [hh, mm, ss, ff] = str.split(/[:;.]/).map((part) => parseInt(part, 10));
+  return getCmx3600FramesFromLabel((((hh * 60) + mm) * 60 + ss) * timebase.timebase + ff, timebase);
+}
+
+// `timecodeOffset` is the media's start timecode in seconds (as labelled, see parseTimecode in ffmpeg.js), so it must be converted with the timebase, not the real fps
+const getCmx3600OffsetFrames = (timecodeOffset, timebase) => getCmx3600FramesFromLabel(Math.round(timecodeOffset * timebase.timebase), timebase);
+
+const cmx3600RecordStart = '01:00:00:00';
+
+// Reel names are max 8 characters in CMX3600
+const getCmx3600ReelName = (reelName) => (reelName || 'AX').replace(/[^A-Za-z0-9_]/g, '').slice(0, 8).toUpperCase().padEnd(8, ' ');
+
+// `timecodeOffset` (seconds) is the timecode of the start of the source media, so that source in/out match the media's timecode
+export function formatCmx3600({ cutSegments, fps: mediaFps, timecodeOffset = 0, title, reelName, clipName, trackType = 'AA/V' }) {
+  const fps = getEdlFps({ fps: mediaFps, hasVideo: trackType.includes('V') });
+
+  const timebase = getCmx3600Timebase(fps);
+  const offsetFrames = getCmx3600OffsetFrames(timecodeOffset, timebase);
+  const toFrames = (seconds) => offsetFrames + Math.round(seconds * fps);
+
+  let recordFrames = parseCmx3600Timecode(cmx3600RecordStart, timebase);
+
+  const lines = [
+    `TITLE: ${title}`,
+    `FCM: ${timebase.dropFrame ? 'DROP FRAME' : 'NON-DROP FRAME'}`,
+    '',
+  ];
+
+  cutSegments.forEach(({ start, end, name }, i) => {
+    const sourceIn = toFrames(start);
+    const sourceOut = toFrames(end);
+    const recordIn = recordFrames;
+    const recordOut = recordIn + (sourceOut - sourceIn);
+    recordFrames = recordOut;
+
+    const timecodes = [sourceIn, sourceOut, recordIn, recordOut].map((frames) => formatCmx3600Timecode(frames, timebase));
+    lines.push(`${String(i + 1).padStart(3, '0')}  ${getCmx3600ReelName(reelName)} ${trackType.padEnd(5, ' ')} C        ${timecodes.join(' ')}`);
+    if (clipName) lines.push(`* FROM CLIP NAME: ${clipName}`);
+    if (name) lines.push(`* COMMENT: ${name}`);
+    lines.push('');
+  });
+
+  return lines.join('\n');
+}
+
+export function parseCmx3600(text, { fps, timecodeOffset = 0 }) {
+  if (!fps) throw new Error('The loaded file has an unknown framerate');
+
+  const isDropFrame = /^FCM:\s*DROP FRAME/m.test(text) || /\d;\d/.test(text);
+  const defaultTimebase = getCmx3600Timebase(fps);
+  if (isDropFrame && !defaultTimebase.dropFrame) throw new Error(i18n.t('The EDL uses drop frame timecode, but the framerate of the loaded file is {{fps}}', { fps }));
+  // 29.97 and 59.94 fps EDLs may also use non-drop frame timecode
+  const timebase = isDropFrame ? defaultTimebase : { ...defaultTimebase, dropFrame: false, numDropFrames: 0 };
+  const offsetFrames = getCmx3600OffsetFrames(timecodeOffset, timebase);
+  const fromFrames = (frames) => (frames - offsetFrames) / fps;
+
+  const timecodeRegex = '(\\d{2}:\\d{2}:\\d{2}[:;.]\\d{2})';
+  const eventRegex = new RegExp(`^\\s*(\\d+)\\s+\\S+\\s+\\S+\\s+\\S+.*?${timecodeRegex}\\s+${timecodeRegex}\\s+${timecodeRegex}\\s+${timecodeRegex}\\s*$`);
+
+  // Dissolves have two lines with the same event number, the last one is the incoming clip
+  const events = new Map();
+  let lastEvent;
+  text.split(/\r?\n/).forEach((line) => {
+    const match = line.match(eventRegex);
+    if (match) {
+      const [, eventNum, sourceIn, sourceOut] = match;
+      lastEvent = {
+        start: fromFrames(parseCmx3600Timecode(sourceIn, timebase)),
+        end: fromFrames(parseCmx3600Timecode(sourceOut, timebase)),
+        name: events.get(eventNum)?.name || '',
+      };
+      events.set(eventNum, lastEvent);
+      return;
+    }
+    const commentMatch = line.match(/^\*\s*COMMENT:\s*(.*)$/);
+    if (commentMatch && lastEvent) lastEvent.name = commentMatch[1].trim();
+  });
+
+  const edl = [...events.values()].filter(({ start, end }) => start >= 0 && end > start);
+  if (edl.length === 0) throw new Error(i18n.t('Invalid EDL data found'));
+  return edl;
+}
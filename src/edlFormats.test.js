@@ -1,7 +1,8 @@
 import fs from 'fs/promises';
 import { join } from 'path';
 
-import { parseYouTube, formatYouTube, parseMplayerEdl, parseXmeml, parseFcpXml, parseCsv, getTimeFromFrameNum, formatCsvFrames, getFrameCountRaw, parsePbf } from './edlFormats';
+import { parseYouTube, formatYouTube, parseMplayerEdl, parseXmeml, parseFcpXml, parseCsv, getTimeFromFrameNum, formatCsvFrames, getFrameCountRaw, parsePbf, formatCmx3600, parseCmx3600, formatXmeml, formatFcpXml, parseAudacityLabels, formatAudacityLabels, parseAuditionMarkers, formatAuditionMarkers, formatFfmetadataChapters, formatMatroskaChapters, formatOgmChapters } from './edlFormats';
+import { getApparentSegments } from './segments';
 
 const readFixture = async (name, encoding = 'utf-8') => fs.readFile(join(__dirname, 'fixtures', name), encoding);
 
@@ -110,30 +111,31 @@ it('parseMplayerEdl', async () => {
     { start: 0,
       end: 5.3,
       name: 'Cut',
-      tags: { mplayerEdlType: 0 },
+      layer: 'Cut',
     },
     { start: 7.1,
       end: undefined,
       name: 'Cut',
-      tags: { mplayerEdlType: 0 },
+      layer: 'Cut',
     },
     {
       end: 16.7,
       start: 15,
       name: 'Mute',
-      tags: { mplayerEdlType: 1 },
+      layer: 'Mute',
+      type: 'mute',
     },
     {
       end: 255.3,
       start: 1,
       name: 'Scene Marker',
-      tags: { mplayerEdlType: 2 },
+      layer: 'Scene Marker',
     },
     {
       end: 822,
       start: 420,
       name: 'Commercial Break',
-      tags: { mplayerEdlType: 3 },
+      layer: 'Commercial Break',
     },
   ]);
 });
@@ -145,9 +147,7 @@ it('parseMplayerEdl, starting at 0', async () => {
     start: 1.1,
     end: undefined,
     name: 'Cut',
-    tags: {
-      mplayerEdlType: 0,
-    },
+    layer: 'Cut',
   }]);
 });
 
@@ -169,6 +169,59 @@ it('parses fcpxml 1.9', async () => {
   expect(await parseFcpXml(await readFixture('FCPXML_1_9.fcpxml'))).toMatchSnapshot();
 });
 
+const xmlSegments = [{ start: 1, end: 2.48, name: 'First', tags: { performer: 'Me & you' } }, { start: 10, end: 20 }];
+
+it('formats xmeml', () => {
+  expect(formatXmeml({ cutSegments: xmlSegments, fps: 25, mediaName: 'input.mp4', fileUrl: 'file:///tmp/input.mp4', duration: 30 })).toMatchSnapshot();
+});
+
+it('round trips xmeml', async () => {
+  const cutSegments = await parseXmeml(await readFixture('Final Cut Pro XMEML 2.xml'));
+  expect(await parseXmeml(formatXmeml({ cutSegments, fps: 60, mediaName: 'input.mp4', fileUrl: 'file:///tmp/input.mp4' }))).toEqual(cutSegments);
+});
+
+it('formats fcpxml', () => {
+  expect(formatFcpXml({ cutSegments: xmlSegments, fps: 30000 / 1001, mediaName: 'input.mp4', fileUrl: 'file:///tmp/input.mp4', duration: 30, width: 1920, height: 1080 })).toMatchSnapshot();
+});
+
+it('round trips fcpxml', async () => {
+  const cutSegments = await parseFcpXml(await readFixture('FCPXML_1_9.fcpxml'));
+  expect(await parseFcpXml(formatFcpXml({ cutSegments, fps: 25, mediaName: 'input.mov', fileUrl: 'file:///tmp/input.mov' }))).toEqual(cutSegments);
+});
+
+it('formats drop frame timecode only for 29.97 and 59.94 fps in xml', () => {
+  const getTcFormat = (fps) => formatFcpXml({ cutSegments: xmlSegments, fps, mediaName: 'input.mp4', fileUrl: 'file:///tmp/input.mp4' }).match(/tcFormat="(\w+)"/)[1];
+  const getDisplayFormat = (fps) => formatXmeml({ cutSegments: xmlSegments, fps, mediaName: 'input.mp4', fileUrl: 'file:///tmp/input.mp4' }).match(/<displayformat>(\w+)<\/displayformat>/)[1];
+  expect(getTcFormat(30000 / 1001)).toBe('DF');
+  expect(getTcFormat(60000 / 1001)).toBe('DF');
+  expect(getTcFormat(24000 / 1001)).toBe('NDF');
+  expect(getTcFormat(25)).toBe('NDF');
+  expect(getDisplayFormat(30000 / 1001)).toBe('DF');
+  expect(getDisplayFormat(60000 / 1001)).toBe('DF');
+  expect(getDisplayFormat(24000 / 1001)).toBe('NDF');
+  expect(getDisplayFormat(30)).toBe('NDF');
+});
+
+it('formats xml for files without video and framerate', () => {
+  expect(formatFcpXml({ cutSegments: xmlSegments, mediaName: 'input.m4a', fileUrl: 'file:///tmp/input.m4a', hasVideo: false })).toMatch('frameDuration="1/30s"');
+  expect(formatXmeml({ cutSegments: xmlSegments, mediaName: 'input.m4a', fileUrl: 'file:///tmp/input.m4a', hasVideo: false })).toMatch('<timebase>30</timebase>');
+  expect(() => formatFcpXml({ cutSegments: xmlSegments, mediaName: 'input.mp4', fileUrl: 'file:///tmp/input.mp4' })).toThrow('unknown framerate');
+  expect(() => formatXmeml({ cutSegments: xmlSegments, mediaName: 'input.mp4', fileUrl: 'file:///tmp/input.mp4' })).toThrow('unknown framerate');
+});
+
+it('formats xml for files without video', () => {
+  const fcpXml = formatFcpXml({ cutSegments: xmlSegments, fps: 25, mediaName: 'input.m4a', fileUrl: 'file:///tmp/input.m4a', hasVideo: false });
+  expect(fcpXml).toMatch('hasVideo="0"');
+  expect(fcpXml).toMatch('hasAudio="1"');
+
+  const xmeml = formatXmeml({ cutSegments: xmlSegments, fps: 25, mediaName: 'input.m4a', fileUrl: 'file:///tmp/input.m4a', hasVideo: false });
+  expect(xmeml).not.toMatch('<video>');
+  expect(xmeml).not.toMatch('<mediatype>video</mediatype>');
+  expect(xmeml).toMatch('<mediatype>audio</mediatype>');
+  // the file must still be described in full once
+  expect(xmeml).toMatch('<pathurl>file:///tmp/input.m4a</pathurl>');
+});
+
 // https://github.com/mifi/lossless-cut/issues/1024
 const csvFramesStr = `\
 0,155,EP106_SQ010_SH0010
@@ -201,3 +254,129 @@ it('parses pbf', async () => {
   expect(parsePbf(await readFixture('test3.pbf', null))).toMatchSnapshot();
   expect(parsePbf(await readFixture('potplayer bookmark format utf16le issue 867.pbf', null))).toMatchSnapshot();
 });
+
+const roundTime = (time) => Math.round(time * 1000) / 1000;
+
+it('parses cmx3600 edl', async () => {
+  // source timecode of the media starts at 10:00:00:00
+  const edl = parseCmx3600(await readFixture('cmx3600.edl'), { fps: 25, timecodeOffset: 36000 });
+  expect(edl.map(({ start, end, name }) => ({ start: roundTime(start), end: roundTime(end), name }))).toEqual([
+    { start: 5, end: 10.48, name: 'Intro' },
+    { start: 60, end: 62, name: '' },
+    { start: 120, end: 123.24, name: 'Outro' },
+  ]);
+});
+
+it('formats cmx3600 edl', () => {
+  const cutSegments = [{ start: 1, end: 2.48, name: 'First' }, { start: 10, end: 20 }];
+  expect(formatCmx3600({ cutSegments, fps: 25, timecodeOffset: 3600, title: 'Test', reelName: 'reel-1', clipName: 'test.mp4' })).toEqual(`\
+TITLE: Test
+FCM: NON-DROP FRAME
+
+001  REEL1    AA/V  C        01:00:01:00 01:00:02:12 01:00:00:00 01:00:01:12
+* FROM CLIP NAME: test.mp4
+* COMMENT: First
+
+002  REEL1    AA/V  C        01:00:10:00 01:00:20:00 01:00:01:12 01:00:11:12
+* FROM CLIP NAME: test.mp4
+`);
+});
+
+it('formats cmx3600 edl for audio-only files without framerate', () => {
+  const cutSegments = [{ start: 1, end: 2.5 }];
+  const edl = formatCmx3600({ cutSegments, title: 'Test', trackType: 'AA' });
+  expect(edl).toMatch('FCM: NON-DROP FRAME');
+  expect(edl).toMatch('AX       AA    C        00:00:01:00 00:00:02:15 01:00:00:00 01:00:01:15');
+  expect(() => formatCmx3600({ cutSegments, title: 'Test', trackType: 'AA/V' })).toThrow('unknown framerate');
+});
+
+it('round trips cmx3600 edl with drop frame timecode', () => {
+  const fps = 30000 / 1001;
+  const cutSegments = [{ start: 1800 / fps, end: 19800 / fps, name: 'Long' }];
+  const edl = formatCmx3600({ cutSegments, fps, title: 'Test' });
+  expect(edl).toMatch('FCM: DROP FRAME');
+  // frames 0 and 1 are dropped every minute, except every tenth minute
+  expect(edl).toMatch('00:01:00;02 00:11:00;20 01:00:00;00 01:10:00;18');
+  const [{ start, end, name }] = parseCmx3600(edl, { fps });
+  expect(start).toBeCloseTo(1800 / fps);
+  expect(end).toBeCloseTo(19800 / fps);
+  expect(name).toBe('Long');
+});
+
+it('formats cmx3600 edl at 23.976 fps with a start timecode', () => {
+  const fps = 24000 / 1001;
+  const cutSegments = [{ start: 1, end: 2.5 }];
+  const edl = formatCmx3600({ cutSegments, fps, timecodeOffset: 3600, title: 'Test' });
+  expect(edl).toMatch('FCM: NON-DROP FRAME');
+  // source timecode starts at 01:00:00:00, and 24 frames are labelled as one second
+  expect(edl).toMatch('01:00:01:00 01:00:02:12 01:00:00:00 01:00:01:12');
+  const [{ start, end }] = parseCmx3600(edl, { fps, timecodeOffset: 3600 });
+  expect(start).toBeCloseTo(24 / fps);
+  expect(end).toBeCloseTo(60 / fps);
+});
+
+it('parses cmx3600 edl with 29.97 fps non-drop frame timecode', () => {
+  const fps = 30000 / 1001;
+  const edl = parseCmx3600(`\
+TITLE: Test
+FCM: NON-DROP FRAME
+
+001  AX       AA/V  C        01:00:10:00 01:01:20:00 01:00:00:00 01:01:10:00
+`, { fps, timecodeOffset: 3600 });
+  expect(edl).toHaveLength(1);
+  expect(edl[0].start).toBeCloseTo(300 / fps);
+  expect(edl[0].end).toBeCloseTo(2400 / fps);
+});
+
+it('parses audacity labels', async () => {
+  expect(parseAudacityLabels(await readFixture('audacity-labels.txt'))).toEqual([
+    { start: 1.5, end: 4.25, name: 'Intro' },
+    { start: 10, end: undefined, name: 'Marker' },
+    { start: 20.123456, end: 35, name: 'Verse 1' },
+  ]);
+});
+
+it('formats audacity labels', () => {
+  expect(formatAudacityLabels([{ start: 1.5, end: 4.25, name: 'Intro' }, { start: 10, name: 'Marker' }, { start: 20, end: 35 }])).toEqual('1.500000\t4.250000\tIntro\n10.000000\t10.000000\tMarker\n20.000000\t35.000000\t\n');
+});
+
+it('formats audacity labels and audition markers for open-ended segments', async () => {
+  const cutSegments = getApparentSegments([{ end: 5, name: 'From start' }, { start: 10, name: 'To end' }], 60);
+  expect(formatAudacityLabels(cutSegments)).toEqual('0.000000\t5.000000\tFrom start\n10.000000\t60.000000\tTo end\n');
+  const rows = (await formatAuditionMarkers(cutSegments)).split('\n');
+  expect(rows[1]).toEqual('From start\t0:00.000\t0:05.000\tdecimal\tSubclip\t');
+  expect(rows[2]).toEqual('To end\t0:10.000\t0:50.000\tdecimal\tSubclip\t');
+});
+
+it('parses audition markers', async () => {
+  expect(await parseAuditionMarkers(await readFixture('audition-markers.csv'))).toEqual([
+    { start: 1.5, end: 4.25, name: 'Intro' },
+    { start: 10, end: undefined, name: 'Marker 01' },
+    { start: 3723.25, end: 3783.25, name: 'Long take', tags: { description: 'keep this' } },
+  ]);
+});
+
+it('round trips audition markers', async () => {
+  const cutSegments = await parseAuditionMarkers(await readFixture('audition-markers.csv'));
+  const formatted = await formatAuditionMarkers(cutSegments);
+  expect(formatted.split('\n')[3]).toEqual('Long take\t1:02:03.250\t1:00.000\tdecimal\tSubclip\tkeep this');
+  expect(await parseAuditionMarkers(formatted)).toEqual(cutSegments);
+});
+
+const chapters = [
+  { start: 0, end: 61.5, name: 'Intro' },
+  { start: 61.5, end: 3723.25, name: 'Part 1; the = #beginning' },
+  { start: 3723.25, end: 3800, name: '' },
+];
+
+it('formats ffmetadata chapters', () => {
+  expect(formatFfmetadataChapters(chapters)).toMatchSnapshot();
+});
+
+it('formats matroska chapters', () => {
+  expect(formatMatroskaChapters(chapters)).toMatchSnapshot();
+});
+
+it('formats ogm chapters', () => {
+  expect(formatOgmChapters(chapters)).toEqual('CHAPTER01=00:00:00.000\nCHAPTER01NAME=Intro\nCHAPTER02=00:01:01.500\nCHAPTER02NAME=Part 1; the = #beginning\nCHAPTER03=01:02:03.250\nCHAPTER03NAME=\n');
+});
@@ -1,13 +1,14 @@
 import JSON5 from 'json5';
 import i18n from 'i18next';
 
-import { parseCuesheet, parseXmeml, parseFcpXml, parseCsv, parsePbf, parseMplayerEdl, formatCsvHuman, formatTsv, formatCsvFrames, formatCsvSeconds, getTimeFromFrameNum } from './edlFormats';
+import { parseCuesheet, parseXmeml, parseFcpXml, parseCsv, parsePbf, parseMplayerEdl, parseCmx3600, parseAudacityLabels, parseAuditionMarkers, formatCsvHuman, formatTsv, formatCsvFrames, formatCsvSeconds, formatCmx3600, formatXmeml, formatFcpXml, formatAudacityLabels, formatAuditionMarkers, formatFfmetadataChapters, formatMatroskaChapters, formatOgmChapters, getTimeFromFrameNum } from './edlFormats';
 import { askForYouTubeInput } from './dialogs';
 import { getOutPath } from './util';
 
 const fs = window.require('fs-extra');
 const cueParser = window.require('cue-parser');
 const { basename } = window.require('path');
+const { pathToFileURL } = window.require('url');
 
 const { dialog } = window.require('@electron/remote');
 
@@ -36,6 +37,18 @@ export async function loadMplayerEdl(path) {
   return parseMplayerEdl(await fs.readFile(path, 'utf-8'));
 }
 
+export async function loadCmx3600(path, fps, timecodeOffset) {
+  return parseCmx3600(await fs.readFile(path, 'utf-8'), { fps, timecodeOffset });
+}
+
+export async function loadAudacityLabels(path) {
+  return parseAudacityLabels(await fs.readFile(path, 'utf-8'));
+}
+
+export async function loadAuditionMarkers(path) {
+  return parseAuditionMarkers(await fs.readFile(path, 'utf-8'));
+}
+
 export async function loadCue(path) {
   return parseCuesheet(cueParser.parse(path));
 }
@@ -56,11 +69,33 @@ export async function saveTsv(path, cutSegments) {
   await fs.writeFile(path, await formatTsv(cutSegments));
 }
 
-export async function saveLlcProject({ savePath, filePath, cutSegments }) {
+export async function saveAudacityLabels(path, cutSegments) {
+  await fs.writeFile(path, formatAudacityLabels(cutSegments));
+}
+
+export async function saveAuditionMarkers(path, cutSegments) {
+  await fs.writeFile(path, await formatAuditionMarkers(cutSegments));
+}
+
+export async function saveCmx3600({ path, cutSegments, fps, timecodeOffset, filePath, reelName, trackType }) {
+  const clipName = basename(filePath);
+  await fs.writeFile(path, formatCmx3600({ cutSegments, fps, timecodeOffset, title: clipName, reelName, clipName, trackType }));
+}
+
+export async function saveXmeml({ path, cutSegments, fps, filePath, duration, hasVideo, hasAudio }) {
+  await fs.writeFile(path, formatXmeml({ cutSegments, fps, mediaName: basename(filePath), fileUrl: pathToFileURL(filePath).href, duration, hasVideo, hasAudio }));
+}
+
+export async function saveFcpXml({ path, cutSegments, fps, filePath, duration, width, height, hasVideo, hasAudio }) {
+  await fs.writeFile(path, formatFcpXml({ cutSegments, fps, mediaName: basename(filePath), fileUrl: pathToFileURL(filePath).href, duration, width, height, hasVideo, hasAudio }));
+}
+
+export async function saveLlcProject({ savePath, filePath, cutSegments, layers }) {
   const projectData = {
     version: 1,
     mediaFileName: basename(filePath),
-    cutSegments: cutSegments.map(({ start, end, name, tags }) => ({ start, end, name, tags })),
+    cutSegments: cutSegments.map(({ start, end, name, tags, layer, type, exportOptions }) => ({ start, end, name, tags, layer, type, exportOptions })),
+    layers: layers && layers.map(({ name, color, exportEnabled }) => ({ name, color, exportEnabled })),
   };
   await fs.writeFile(savePath, JSON5.stringify(projectData, null, 2));
 }
@@ -69,8 +104,14 @@ export async function loadLlcProject(path) {
   return JSON5.parse(await fs.readFile(path));
 }
 
+// Used when the file is not open, e.g. when detecting segments in all batch files. The project file is created if it doesn't exist
+export async function appendSegmentsToLlcProject({ savePath, filePath, segments }) {
+  const project = (await fs.pathExists(savePath)) ? await loadLlcProject(savePath) : {};
+  await saveLlcProject({ savePath, filePath, cutSegments: [...(project.cutSegments || []), ...segments], layers: project.layers });
+}
+
 
-export async function readEdlFile({ type, path, fps }) {
+export async function readEdlFile({ type, path, fps, timecodeOffset }) {
   if (type === 'csv') return loadCsvSeconds(path);
   if (type === 'csv-frames') return loadCsvFrames(path, fps);
   if (type === 'xmeml') return loadXmeml(path);
@@ -78,6 +119,9 @@ export async function readEdlFile({ type, path, fps }) {
   if (type === 'cue') return loadCue(path);
   if (type === 'pbf') return loadPbf(path);
   if (type === 'mplayer') return loadMplayerEdl(path);
+  if (type === 'cmx3600') return loadCmx3600(path, fps, timecodeOffset);
+  if (type === 'audacity') return loadAudacityLabels(path);
+  if (type === 'audition') return loadAuditionMarkers(path);
   if (type === 'llc') {
     const project = await loadLlcProject(path);
     return project.cutSegments;
@@ -85,7 +129,7 @@ export async function readEdlFile({ type, path, fps }) {
   throw new Error('Invalid EDL type');
 }
 
-export async function askForEdlImport({ type, fps }) {
+export async function askForEdlImport({ type, fps, timecodeOffset }) {
   if (type === 'youtube') return askForYouTubeInput();
 
   let filters;
@@ -95,14 +139,17 @@ export async function askForEdlImport({ type, fps }) {
   else if (type === 'cue') filters = [{ name: i18n.t('CUE files'), extensions: ['cue'] }];
   else if (type === 'pbf') filters = [{ name: i18n.t('PBF files'), extensions: ['pbf'] }];
   else if (type === 'mplayer') filters = [{ name: i18n.t('MPlayer EDL'), extensions: ['*'] }];
+  else if (type === 'cmx3600') filters = [{ name: i18n.t('EDL files'), extensions: ['edl'] }];
+  else if (type === 'audacity') filters = [{ name: i18n.t('TXT files'), extensions: ['txt'] }];
+  else if (type === 'audition') filters = [{ name: i18n.t('CSV files'), extensions: ['csv'] }];
   else if (type === 'llc') filters = [{ name: i18n.t('LosslessCut project'), extensions: ['llc'] }];
 
   const { canceled, filePaths } = await dialog.showOpenDialog({ properties: ['openFile'], filters });
   if (canceled || filePaths.length < 1) return [];
-  return readEdlFile({ type, path: filePaths[0], fps });
+  return readEdlFile({ type, path: filePaths[0], fps, timecodeOffset });
 }
 
-export async function exportEdlFile({ type, cutSegments, customOutDir, filePath, getFrameCount }) {
+export async function exportEdlFile({ type, cutSegments, layers, customOutDir, filePath, getFrameCount, fps, timecodeOffset, reelName, trackType, duration, width, height, hasVideo, hasAudio }) {
   let filters;
   let ext;
   if (type === 'csv') {
@@ -117,6 +164,21 @@ export async function exportEdlFile({ type, cutSegments, customOutDir, filePath,
   } else if (type === 'csv-frames') {
     ext = 'csv';
     filters = [{ name: i18n.t('TXT files'), extensions: [ext, 'txt'] }];
+  } else if (type === 'audacity') {
+    ext = 'txt';
+    filters = [{ name: i18n.t('TXT files'), extensions: [ext] }];
+  } else if (type === 'audition') {
+    ext = 'csv';
+    filters = [{ name: i18n.t('CSV files'), extensions: [ext] }];
+  } else if (type === 'cmx3600') {
+    ext = 'edl';
+    filters = [{ name: i18n.t('EDL files'), extensions: [ext] }];
+  } else if (type === 'xmeml') {
+    ext = 'xml';
+    filters = [{ name: i18n.t('XML files'), extensions: [ext] }];
+  } else if (type === 'fcpxml') {
+    ext = 'fcpxml';
+    filters = [{ name: i18n.t('FCPXML files'), extensions: [ext] }];
   } else if (type === 'llc') {
     ext = 'llc';
     filters = [{ name: i18n.t('LosslessCut project'), extensions: [ext, 'llc'] }];
@@ -131,5 +193,39 @@ export async function exportEdlFile({ type, cutSegments, customOutDir, filePath,
   else if (type === 'tsv-human') await saveTsv(savePath, cutSegments);
   else if (type === 'csv-human') await saveCsvHuman(savePath, cutSegments);
   else if (type === 'csv-frames') await saveCsvFrames({ path: savePath, cutSegments, getFrameCount });
-  else if (type === 'llc') await saveLlcProject({ savePath, filePath, cutSegments });
+  else if (type === 'audacity') await saveAudacityLabels(savePath, cutSegments);
+  else if (type === 'audition') await saveAuditionMarkers(savePath, cutSegments);
+  else if (type === 'cmx3600') await saveCmx3600({ path: savePath, cutSegments, fps, timecodeOffset, filePath, reelName, trackType });
+  else if (type === 'xmeml') await saveXmeml({ path: savePath, cutSegments, fps, filePath, duration, hasVideo, hasAudio });
+  else if (type === 'fcpxml') await saveFcpXml({ path: savePath, cutSegments, fps, filePath, duration, width, height, hasVideo, hasAudio });
+  else if (type === 'llc') await saveLlcProject({ savePath, filePath, cutSegments, layers });
+}
+
+// `chapters` must have start, end and name
+export async function exportChaptersFile({ type, chapters, customOutDir, filePath }) {
+  let ext;
+  let filters;
+  let format;
+  if (type === 'ffmetadata') {
+    ext = 'txt';
+    filters = [{ name: i18n.t('TXT files'), extensions: [ext] }];
+    format = formatFfmetadataChapters;
+  } else if (type === 'matroska') {
+    ext = 'xml';
+    filters = [{ name: i18n.t('XML files'), extensions: [ext] }];
+    format = formatMatroskaChapters;
+  } else if (type === 'ogm') {
+    ext = 'txt';
+    filters = [{ name: i18n.t('TXT files'), extensions: [ext] }];
+    format = formatOgmChapters;
+  } else {
+    throw new Error('Invalid chapters type');
+  }
+
+  const defaultPath = getOutPath({ filePath, customOutDir, fileName: `chapters-${new Date().getTime()}.${ext}` });
+
+  const { canceled, filePath: savePath } = await dialog.showSaveDialog({ defaultPath, filters });
+  if (canceled || !savePath) return;
+  console.log('Saving chapters', type, savePath);
+  await fs.writeFile(savePath, format(chapters));
 }
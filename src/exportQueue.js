@@ -0,0 +1,29 @@
+// State transitions of the export queue (see useExportQueue). A job goes from queued to running, and then to done, failed or canceled.
+// Failed and canceled jobs can be queued again.
+
+export const isExportJobActive = (job) => ['queued', 'running'].includes(job.status);
+
+export const addExportJob = (jobs, { jobId, filePath, params }) => [...jobs, { jobId, filePath, params, status: 'queued' }];
+
+export const updateExportJob = (jobs, jobId, change) => jobs.map((job) => (job.jobId === jobId ? { ...job, ...change } : job));
+
+export const getNextQueuedExportJob = (jobs) => jobs.find(({ status }) => status === 'queued');
+
+export const startExportJob = (jobs, jobId, statusText) => updateExportJob(jobs, jobId, { status: 'running', statusText, progress: 0 });
+
+// `result` is the result of runExport, `error` is set if it failed
+export function finishExportJob(jobs, jobId, { result, error, canceled = false }) {
+  let change;
+  if (canceled) change = { status: 'canceled' };
+  else if (error) change = { status: 'failed', error: error.message };
+  else change = { status: 'done', outPaths: result.concatOutPath ? [result.concatOutPath] : result.outFiles, warnings: result.warnings };
+
+  return updateExportJob(jobs, jobId, { ...change, progress: undefined, statusText: undefined });
+}
+
+// Running jobs must instead be aborted, and will then be finished as canceled
+export const cancelQueuedExportJob = (jobs, jobId) => jobs.map((job) => (job.jobId === jobId && job.status === 'queued' ? { ...job, status: 'canceled' } : job));
+
+export const retryFailedExportJobs = (jobs) => jobs.map((job) => (['failed', 'canceled'].includes(job.status) ? { ...job, status: 'queued', error: undefined, progress: undefined } : job));
+
+export const clearFinishedExportJobs = (jobs) => jobs.filter(isExportJobActive);
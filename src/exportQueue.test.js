@@ -0,0 +1,56 @@
+import { isExportJobActive, addExportJob, getNextQueuedExportJob, startExportJob, finishExportJob, cancelQueuedExportJob, retryFailedExportJobs, clearFinishedExportJobs, updateExportJob } from './exportQueue';
+
+const getQueue = () => addExportJob(addExportJob([], { jobId: 'a', filePath: 'a.mp4', params: {} }), { jobId: 'b', filePath: 'b.mp4', params: {} });
+
+it('runs queued jobs in order', () => {
+  let jobs = getQueue();
+  expect(jobs.map(({ status }) => status)).toEqual(['queued', 'queued']);
+  expect(getNextQueuedExportJob(jobs).jobId).toBe('a');
+
+  jobs = startExportJob(jobs, 'a', 'Exporting');
+  expect(jobs[0]).toMatchObject({ status: 'running', statusText: 'Exporting', progress: 0 });
+  expect(getNextQueuedExportJob(jobs).jobId).toBe('b');
+  expect(jobs.every(isExportJobActive)).toBe(true);
+});
+
+it('finishes a job as done', () => {
+  let jobs = startExportJob(getQueue(), 'a', 'Exporting');
+  jobs = updateExportJob(jobs, 'a', { progress: 0.5 });
+  jobs = finishExportJob(jobs, 'a', { result: { outFiles: ['1.mp4', '2.mp4'], warnings: [] } });
+  expect(jobs[0]).toEqual({ jobId: 'a', filePath: 'a.mp4', params: {}, status: 'done', outPaths: ['1.mp4', '2.mp4'], warnings: [], progress: undefined, statusText: undefined });
+  expect(isExportJobActive(jobs[0])).toBe(false);
+
+  jobs = finishExportJob(startExportJob(getQueue(), 'b', 'Exporting'), 'b', { result: { outFiles: ['1.mp4', '2.mp4'], concatOutPath: 'merged.mp4' } });
+  expect(jobs[1].outPaths).toEqual(['merged.mp4']);
+});
+
+it('finishes a job as failed', () => {
+  const jobs = finishExportJob(startExportJob(getQueue(), 'a', 'Exporting'), 'a', { error: new Error('ffmpeg failed') });
+  expect(jobs[0]).toMatchObject({ status: 'failed', error: 'ffmpeg failed', progress: undefined });
+  expect(getNextQueuedExportJob(jobs).jobId).toBe('b');
+});
+
+it('cancels queued and running jobs', () => {
+  let jobs = startExportJob(getQueue(), 'a', 'Exporting');
+
+  // Running jobs are not canceled directly, they must be aborted first
+  expect(cancelQueuedExportJob(jobs, 'a')).toEqual(jobs);
+  jobs = finishExportJob(jobs, 'a', { error: new Error('killed'), canceled: true });
+  expect(jobs[0].status).toBe('canceled');
+
+  jobs = cancelQueuedExportJob(jobs, 'b');
+  expect(jobs[1].status).toBe('canceled');
+  expect(getNextQueuedExportJob(jobs)).toBeUndefined();
+});
+
+it('retries failed and canceled jobs, and clears finished jobs', () => {
+  let jobs = finishExportJob(startExportJob(getQueue(), 'a', 'Exporting'), 'a', { error: new Error('ffmpeg failed') });
+  jobs = cancelQueuedExportJob(jobs, 'b');
+  jobs = retryFailedExportJobs(jobs);
+  expect(jobs.map(({ status }) => status)).toEqual(['queued', 'queued']);
+  expect(jobs[0].error).toBeUndefined();
+
+  jobs = finishExportJob(startExportJob(jobs, 'a', 'Exporting'), 'a', { result: { outFiles: ['1.mp4'] } });
+  expect(retryFailedExportJobs(jobs)[0].status).toBe('done');
+  expect(clearFinishedExportJobs(jobs).map(({ jobId }) => jobId)).toEqual(['b']);
+});
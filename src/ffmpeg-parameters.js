@@ -15,6 +15,17 @@ export const blackdetect = () => ({
   },
 });
 
+export const freezedetect = () => ({
+  noise: {
+    value: '-60dB',
+    hint: i18n.t('Set noise tolerance. Can be specified in dB (in case "dB" is appended to the specified value) or as a difference ratio between 0 and 1. Default is -60dB, or 0.001.'),
+  },
+  duration: {
+    value: '2',
+    hint: i18n.t('Set the minimum duration (in seconds) of a frozen video for it to become a segment.'),
+  },
+});
+
 export const silencedetect = () => ({
   noise: {
     value: '-60dB',
@@ -26,9 +37,104 @@ export const silencedetect = () => ({
   },
 });
 
+export const loudnessDetect = () => ({
+  threshold: {
+    value: '-18',
+    hint: i18n.t('Short-term loudness (in LUFS) that must be exceeded for a part to be considered loud. -23 LUFS is the EBU R128 broadcast target.'),
+  },
+  minDuration: {
+    value: '2.0',
+    hint: i18n.t('Minimum duration of a loud part (in seconds) for it to become a segment.'),
+  },
+});
+
 export const sceneChange = () => ({
   minChange: {
     value: '0.3',
     hint: i18n.t('Minimum change between two frames to be considered a new scene. A value between 0.3 and 0.5 is generally a sane choice.'),
   },
 });
+
+export const motionDetect = ({ motionRegion = '' } = {}) => ({
+  sensitivity: {
+    value: '50',
+    hint: i18n.t('From 0 to 100. Higher values detect smaller changes, but also more noise.'),
+  },
+  minDuration: {
+    value: '1.0',
+    hint: i18n.t('Minimum duration of motion (in seconds) for it to become a segment.'),
+  },
+  prePadding: {
+    value: '2.0',
+    hint: i18n.t('Seconds to include before the motion starts.'),
+  },
+  postPadding: {
+    value: '2.0',
+    hint: i18n.t('Seconds to include after the motion ends.'),
+  },
+  region: {
+    value: motionRegion,
+    hint: i18n.t('Region of interest in video pixels, as width:height:x:y. Leave empty to use the whole frame.'),
+  },
+});
+
+export const subtitleSegments = () => ({
+  mergeGap: {
+    value: '0',
+    hint: i18n.t('Subtitle cues closer than this many seconds will be merged into one segment.'),
+  },
+  padding: {
+    value: '0',
+    hint: i18n.t('Seconds to add before and after each segment.'),
+  },
+});
+
+export const trimSegmentTemplate = () => ({
+  trimStart: {
+    value: '0',
+    hint: i18n.t('Seconds to remove from the start of each file.'),
+  },
+  trimEnd: {
+    value: '0',
+    hint: i18n.t('Seconds to remove from the end of each file.'),
+  },
+});
+
+export const commercialBreaks = () => ({
+  black_min_duration: {
+    value: '0.1',
+    hint: i18n.t('Minimum duration (in seconds) of black frames for them to be a possible marker. Channels usually show only a few black frames between ads, so keep this short.'),
+  },
+  picture_black_ratio_th: {
+    value: '0.98',
+    hint: i18n.t('Set the threshold for considering a picture "black".'),
+  },
+  pixel_black_th: {
+    value: '0.10',
+    hint: i18n.t('Set the threshold for considering a pixel "black".'),
+  },
+  noise: {
+    value: '-50dB',
+    hint: i18n.t('Audio below this level is considered silence. Can be specified in dB (in case "dB" is appended to the specified value) or amplitude ratio. Default is -50dB, or 0.003.'),
+  },
+  duration: {
+    value: '0.1',
+    hint: i18n.t('Minimum duration (in seconds) of silence for it to be a possible marker.'),
+  },
+  tolerance: {
+    value: '0.5',
+    hint: i18n.t('Black frames and silence that are less than this many seconds apart are considered to be at the same time.'),
+  },
+  minAdDuration: {
+    value: '5',
+    hint: i18n.t('Minimum duration of one ad, in seconds. Markers closer than this are merged.'),
+  },
+  maxAdDuration: {
+    value: '120',
+    hint: i18n.t('Maximum duration of one ad, in seconds. Markers this close are joined into one commercial break, and markers that are not part of a break are left out. Set to 0 to keep all markers.'),
+  },
+  invert: {
+    value: 'no',
+    hint: i18n.t('Set to "yes" to instead create segments of the program between the commercial breaks, ready to export.'),
+  },
+});
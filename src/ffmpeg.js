@@ -5,9 +5,13 @@ import i18n from 'i18next';
 import Timecode from 'smpte-timecode';
 import minBy from 'lodash/minBy';
 
-import { pcmAudioCodecs, getMapStreamsArgs, isMov } from './util/streams';
+import { pcmAudioCodecs, getMapStreamsArgs, isMov, getVideoEncoderParamsArgs, getAudioEditArgs } from './util/streams';
 import { getSuffixedOutPath, isWindows, isMac, platform, arch, isExecaFailure } from './util';
-import { isDurationValid } from './segments';
+import { isDurationValid, getAudioEditRanges } from './segments';
+import { getKeyframeIndex, getOrCreateKeyframeIndex } from './keyframeIndex';
+import { createLoudIntervalMatcher, parseEbur128Summary } from './loudness';
+import { adjustSegmentsWithOffset, createIntervalCollector, createFreezeIntervalMatcher } from './intervalDetection';
+import { getMotionSegments, getMotionThreshold } from './motion';
 
 import isDev from './isDev';
 
@@ -46,7 +50,7 @@ function getFfPath(cmd) {
 export const getFfmpegPath = () => getFfPath('ffmpeg');
 export const getFfprobePath = () => getFfPath('ffprobe');
 
-export async function runFfprobe(args, { timeout = isDev ? 10000 : 30000 } = {}) {
+export async function runFfprobe(args, { timeout = isDev ? 10000 : 30000, abortSignal } = {}) {
   const ffprobePath = getFfprobePath();
   console.log(getFfCommandLine('ffprobe', args));
   const ps = execa(ffprobePath, args);
@@ -54,35 +58,50 @@ export async function runFfprobe(args, { timeout = isDev ? 10000 : 30000 } = {})
     console.warn('killing timed out ffprobe');
     ps.kill();
   }, timeout);
+  const onAbort = () => ps.kill();
+  if (abortSignal) {
+    if (abortSignal.aborted) onAbort();
+    else abortSignal.addEventListener('abort', onAbort);
+  }
   try {
     return await ps;
   } finally {
     clearTimeout(timer);
+    if (abortSignal) abortSignal.removeEventListener('abort', onAbort);
   }
 }
 
-export function runFfmpeg(args, execaOptions, { logCli = true } = {}) {
+const killFfmpeg = (process) => process.kill('SIGTERM', { forceKillAfterTimeout: 10000 });
+
+// Processes with an `abortSignal` (e.g. queued exports) are only killed by their own signal, and not by abortFfmpegs()
+export function runFfmpeg(args, execaOptions, { logCli = true, abortSignal } = {}) {
   const ffmpegPath = getFfmpegPath();
   if (logCli) console.log(getFfCommandLine('ffmpeg', args));
   const process = execa(ffmpegPath, args, execaOptions);
 
+  const onAbort = () => killFfmpeg(process);
+
   (async () => {
-    runningFfmpegs.add(process);
+    if (abortSignal) {
+      if (abortSignal.aborted) onAbort();
+      else abortSignal.addEventListener('abort', onAbort);
+    } else {
+      runningFfmpegs.add(process);
+    }
     try {
       await process;
     } catch (err) {
       // ignored here
     } finally {
-      runningFfmpegs.delete(process);
+      if (abortSignal) abortSignal.removeEventListener('abort', onAbort);
+      else runningFfmpegs.delete(process);
     }
   })();
   return process;
 }
 
 export function abortFfmpegs() {
-  runningFfmpegs.forEach((process) => {
-    process.kill('SIGTERM', { forceKillAfterTimeout: 10000 });
-  });
+  runningFfmpegs.forEach(killFfmpeg);
 }
 
 export function handleProgress(process, durationIn, onProgress, customMatcher = () => {}) {
@@ -148,20 +167,52 @@ export async function readFrames({ filePath, from, to, streamIndex }) {
   return sortBy(packetsFiltered, 'time');
 }
 
+// Unlike readFrames, the packets are in decode order (as they are stored in the file), not sorted by time
+export async function readPacketsInDecodeOrder({ filePath, from, to, streamIndex }) {
+  const { stdout } = await runFfprobe(['-v', 'error', '-read_intervals', `${from}%${to}`, '-show_packets', '-select_streams', streamIndex, '-show_entries', 'packet=pts_time,flags', '-of', 'json', filePath]);
+  return JSON.parse(stdout).packets
+    .map((p) => ({ keyframe: p.flags[0] === 'K', time: parseFloat(p.pts_time) }))
+    .filter((p) => !Number.isNaN(p.time));
+}
+
 export async function readFramesAroundTime({ filePath, streamIndex, aroundTime, window }) {
   if (aroundTime == null) throw new Error('aroundTime was nullish');
   const { from, to } = getIntervalAroundTime(aroundTime, window);
   return readFrames({ filePath, from, to, streamIndex });
 }
 
-export async function readKeyframesAroundTime({ filePath, streamIndex, aroundTime, window }) {
-  const frames = await readFramesAroundTime({ filePath, aroundTime, streamIndex, window });
+// Scans the whole file, so it may take a while
+async function readAllKeyframeTimes({ filePath, streamIndex, abortSignal }) {
+  const { stdout } = await runFfprobe(['-v', 'error', '-show_packets', '-select_streams', streamIndex, '-show_entries', 'packet=pts_time,flags', '-of', 'csv=p=0', filePath], { timeout: 60 * 60 * 1000, abortSignal });
+  const times = stdout.split('\n')
+    .map((line) => line.trim().split(','))
+    .filter(([, flags]) => flags != null && flags[0] === 'K')
+    .map(([ptsTime]) => parseFloat(ptsTime))
+    .filter((time) => !Number.isNaN(time));
+  return sortBy(times);
+}
+
+// `abortSignal` kills the scan of the file (the whole file is read, so it may take a long time)
+export const createKeyframeIndex = async ({ filePath, streamIndex, abortSignal }) => getOrCreateKeyframeIndex({ filePath, streamIndex, readKeyframeTimes: () => readAllKeyframeTimes({ filePath, streamIndex, abortSignal }) });
+
+// Uses the keyframe index if it has been created, else reads only the keyframes in the interval
+export async function readKeyframes({ filePath, from, to, streamIndex }) {
+  const keyframeIndex = getKeyframeIndex({ filePath, streamIndex });
+  if (keyframeIndex) return keyframeIndex.filter((keyframe) => (from == null || keyframe.time >= from) && (to == null || keyframe.time <= to));
+
+  const frames = await readFrames({ filePath, from, to, streamIndex });
   return frames.filter((frame) => frame.keyframe);
 }
 
+export async function readKeyframesAroundTime({ filePath, streamIndex, aroundTime, window }) {
+  if (aroundTime == null) throw new Error('aroundTime was nullish');
+  const { from, to } = getIntervalAroundTime(aroundTime, window);
+  return readKeyframes({ filePath, from, to, streamIndex });
+}
+
 export const findKeyframeAtExactTime = (keyframes, time) => keyframes.find((keyframe) => Math.abs(keyframe.time - time) < 0.000001);
 export const findNextKeyframe = (keyframes, time) => keyframes.find((keyframe) => keyframe.time >= time); // (assume they are already sorted)
-const findPreviousKeyframe = (keyframes, time) => keyframes.findLast((keyframe) => keyframe.time <= time);
+export const findPreviousKeyframe = (keyframes, time) => keyframes.findLast((keyframe) => keyframe.time <= time);
 const findNearestKeyframe = (keyframes, time) => minBy(keyframes, (keyframe) => Math.abs(keyframe.time - time));
 
 function findKeyframe(keyframes, time, mode) {
@@ -174,6 +225,9 @@ function findKeyframe(keyframes, time, mode) {
 }
 
 export async function findKeyframeNearTime({ filePath, streamIndex, time, mode }) {
+  const keyframeIndex = getKeyframeIndex({ filePath, streamIndex });
+  if (keyframeIndex) return findKeyframe(keyframeIndex, time, mode)?.time;
+
   let keyframes = await readKeyframesAroundTime({ filePath, streamIndex, aroundTime: time, window: 10 });
   let nearByKeyframe = findKeyframe(keyframes, time, mode);
 
@@ -440,7 +494,7 @@ function getPreferredCodecFormat(stream) {
   return undefined;
 }
 
-async function extractNonAttachmentStreams({ customOutDir, filePath, streams, enableOverwriteOutput }) {
+async function extractNonAttachmentStreams({ customOutDir, filePath, streams, enableOverwriteOutput, abortSignal }) {
   if (streams.length === 0) return [];
 
   console.log('Extracting', streams.length, 'normal streams');
@@ -464,13 +518,13 @@ async function extractNonAttachmentStreams({ customOutDir, filePath, streams, en
     ...streamArgs,
   ];
 
-  const { stdout } = await runFfmpeg(ffmpegArgs);
+  const { stdout } = await runFfmpeg(ffmpegArgs, undefined, { abortSignal });
   console.log(stdout);
 
   return outPaths;
 }
 
-async function extractAttachmentStreams({ customOutDir, filePath, streams, enableOverwriteOutput }) {
+async function extractAttachmentStreams({ customOutDir, filePath, streams, enableOverwriteOutput, abortSignal }) {
   if (streams.length === 0) return [];
 
   console.log('Extracting', streams.length, 'attachment streams');
@@ -497,7 +551,7 @@ async function extractAttachmentStreams({ customOutDir, filePath, streams, enabl
   ];
 
   try {
-    const { stdout } = await runFfmpeg(ffmpegArgs);
+    const { stdout } = await runFfmpeg(ffmpegArgs, undefined, { abortSignal });
     console.log(stdout);
   } catch (err) {
     // Unfortunately ffmpeg will exit with code 1 even though it's a success
@@ -509,7 +563,7 @@ async function extractAttachmentStreams({ customOutDir, filePath, streams, enabl
 }
 
 // https://stackoverflow.com/questions/32922226/extract-every-audio-and-subtitles-from-a-video-with-ffmpeg
-export async function extractStreams({ filePath, customOutDir, streams, enableOverwriteOutput }) {
+export async function extractStreams({ filePath, customOutDir, streams, enableOverwriteOutput, abortSignal }) {
   const attachmentStreams = streams.filter((s) => s.codec_type === 'attachment');
   const nonAttachmentStreams = streams.filter((s) => s.codec_type !== 'attachment');
 
@@ -527,8 +581,8 @@ export async function extractStreams({ filePath, customOutDir, streams, enableOv
 
   // Attachment streams are handled differently from normal streams
   return [
-    ...(await extractNonAttachmentStreams({ customOutDir, filePath, streams: outStreams, enableOverwriteOutput })),
-    ...(await extractAttachmentStreams({ customOutDir, filePath, streams: attachmentStreams, enableOverwriteOutput })),
+    ...(await extractNonAttachmentStreams({ customOutDir, filePath, streams: outStreams, enableOverwriteOutput, abortSignal })),
+    ...(await extractAttachmentStreams({ customOutDir, filePath, streams: attachmentStreams, enableOverwriteOutput, abortSignal })),
   ];
 }
 
@@ -564,6 +618,20 @@ export async function extractSubtitleTrack(filePath, streamId) {
   return URL.createObjectURL(blob);
 }
 
+// Works for embedded subtitle streams as well as external subtitle files (streamIndex undefined)
+export async function readSubtitlesAsSrt({ filePath, streamIndex, abortSignal }) {
+  const args = [
+    '-hide_banner',
+    '-i', filePath,
+    '-map', streamIndex != null ? `0:${streamIndex}` : '0:s:0',
+    '-f', 'srt',
+    '-',
+  ];
+
+  const { stdout } = await runFfmpeg(args, undefined, { abortSignal });
+  return stdout;
+}
+
 export async function renderThumbnails({ filePath, from, duration, onThumbnail }) {
   // Time first render to determine how many to render
   const startTime = new Date().getTime() / 1000;
@@ -654,13 +722,6 @@ const getInputSeekArgs = ({ filePath, from, to }) => [
   ...(to != null ? ['-t', (to - from).toFixed(5)] : []),
 ];
 
-const getSegmentOffset = (from) => (from != null ? from : 0);
-
-function adjustSegmentsWithOffset({ segments, from }) {
-  const offset = getSegmentOffset(from);
-  return segments.map(({ start, end }) => ({ start: start + offset, end: end != null ? end + offset : end }));
-}
-
 export function mapTimesToSegments(times) {
   const segments = [];
   for (let i = 0; i < times.length; i += 1) {
@@ -701,7 +762,53 @@ export async function detectSceneChanges({ filePath, minChange, onProgress, from
 }
 
 
-export async function detectIntervals({ filePath, customArgs, onProgress, from, to, matchLineTokens }) {
+// Average luma difference between consecutive frames (0-255) within `region` (ffmpeg crop syntax), for each frame
+export async function readFrameDifferences({ filePath, region, onProgress, from, to }) {
+  const filters = [
+    ...(region ? [`crop=${region}`] : []),
+    // Smaller frames are faster, and less sensitive to noise
+    "scale='min(320,iw)':-2",
+    'tblend=all_mode=difference',
+    'signalstats',
+    'metadata=print:key=lavfi.signalstats.YAVG:file=-',
+  ];
+  const args = [
+    '-hide_banner',
+    ...getInputSeekArgs({ filePath, from, to }),
+    '-vf', filters.join(','),
+    '-an', '-sn',
+    '-f', 'null', '-',
+  ];
+  const process = runFfmpeg(args, { encoding: null, buffer: false });
+
+  const samples = [];
+  let time;
+
+  handleProgress(process, to - from, onProgress);
+  const rl = readline.createInterface({ input: process.stdout });
+  rl.on('line', (line) => {
+    const frameMatch = line.match(/^frame:\d+\s+pts:-?\d+\s+pts_time:(-?[\d.]+)/);
+    if (frameMatch) {
+      time = parseFloat(frameMatch[1]);
+      return;
+    }
+    const valueMatch = line.match(/^lavfi\.signalstats\.YAVG=([\d.]+)/);
+    if (valueMatch && time != null) samples.push({ time, value: parseFloat(valueMatch[1]) });
+  });
+
+  await process;
+  return samples;
+}
+
+export async function motionDetect({ filePath, region, sensitivity, minDuration, prePadding, postPadding, onProgress, from, to }) {
+  const samples = await readFrameDifferences({ filePath, region, onProgress, from, to });
+  const segments = getMotionSegments(samples, { threshold: getMotionThreshold(sensitivity), minDuration, prePadding, postPadding, duration: to - from });
+  return adjustSegmentsWithOffset({ segments, from });
+}
+
+// See createIntervalCollector for `matchLineTokens` and `getUnfinishedInterval`
+// `onSegments` is called with all the segments detected so far, each time a new one is detected
+export async function detectIntervals({ filePath, customArgs, onProgress, onSegments = () => {}, from, to, matchLineTokens, getUnfinishedInterval }) {
   const args = [
     '-hide_banner',
     ...getInputSeekArgs({ filePath, from, to }),
@@ -710,24 +817,21 @@ export async function detectIntervals({ filePath, customArgs, onProgress, from,
   ];
   const process = runFfmpeg(args, { encoding: null, buffer: false });
 
-  const segments = [];
+  const collector = createIntervalCollector({ from, to, matchLineTokens, getUnfinishedInterval });
 
   function customMatcher(line) {
-    const { start: startStr, end: endStr } = matchLineTokens(line);
-    const start = parseFloat(startStr);
-    const end = parseFloat(endStr);
-    if (start == null || end == null || Number.isNaN(start) || Number.isNaN(end)) return;
-    segments.push({ start, end });
+    if (collector.addLine(line)) onSegments(collector.getSegments());
   }
   handleProgress(process, to - from, onProgress, customMatcher);
 
   await process;
-  return adjustSegmentsWithOffset({ segments, from });
+
+  return collector.finish();
 }
 
 const mapFilterOptions = (options) => Object.entries(options).map(([key, value]) => `${key}=${value}`).join(':');
 
-export async function blackDetect({ filePath, filterOptions, onProgress, from, to }) {
+export async function blackDetect({ filePath, filterOptions, onProgress, onSegments, from, to }) {
   function matchLineTokens(line) {
     const match = line.match(/^[blackdetect\s*@\s*0x[0-9a-f]+] black_start:([\d\\.]+) black_end:([\d\\.]+) black_duration:[\d\\.]+/);
     if (!match) return {};
@@ -737,10 +841,17 @@ export async function blackDetect({ filePath, filterOptions, onProgress, from, t
     };
   }
   const customArgs = ['-vf', `blackdetect=${mapFilterOptions(filterOptions)}`, '-an'];
-  return detectIntervals({ filePath, onProgress, from, to, matchLineTokens, customArgs });
+  return detectIntervals({ filePath, onProgress, onSegments, from, to, matchLineTokens, customArgs });
 }
 
-export async function silenceDetect({ filePath, filterOptions, onProgress, from, to }) {
+export async function freezeDetect({ filePath, filterOptions, onProgress, onSegments, from, to }) {
+  const { matchLineTokens, getUnfinishedInterval } = createFreezeIntervalMatcher();
+  const customArgs = ['-vf', `freezedetect=${mapFilterOptions(filterOptions)}`, '-an'];
+  // The video may be frozen until the end
+  return detectIntervals({ filePath, onProgress, onSegments, from, to, matchLineTokens, getUnfinishedInterval, customArgs });
+}
+
+export async function silenceDetect({ filePath, filterOptions, onProgress, onSegments, from, to }) {
   function matchLineTokens(line) {
     const match = line.match(/^[silencedetect\s*@\s*0x[0-9a-f]+] silence_end: ([\d\\.]+)[|\s]+silence_duration: ([\d\\.]+)/);
     if (!match) return {};
@@ -755,34 +866,81 @@ export async function silenceDetect({ filePath, filterOptions, onProgress, from,
     };
   }
   const customArgs = ['-af', `silencedetect=${mapFilterOptions(filterOptions)}`, '-vn'];
-  return detectIntervals({ filePath, onProgress, from, to, matchLineTokens, customArgs });
+  return detectIntervals({ filePath, onProgress, onSegments, from, to, matchLineTokens, customArgs });
+}
+
+// Segments where the EBU R128 short-term loudness is above `threshold` LUFS for at least `minDuration` seconds
+export async function loudnessDetect({ filePath, threshold, minDuration, onProgress, onSegments, from, to }) {
+  const matchLineTokens = createLoudIntervalMatcher({ threshold, minDuration });
+  const customArgs = ['-af', 'ebur128=framelog=info', '-vn'];
+  return detectIntervals({ filePath, onProgress, onSegments, from, to, matchLineTokens, customArgs });
 }
 
-export async function extractWaveform({ filePath, outPath }) {
-  const numSegs = 10;
-  const duration = 60 * 60;
-  const maxLen = 0.1;
-  const segments = Array(numSegs).fill().map((unused, i) => [i * (duration / numSegs), Math.min(duration / numSegs, maxLen)]);
+// Integrated loudness, loudness range and true peak of a part of the file (only reads the file)
+export async function measureLoudness({ filePath, from, to }) {
+  const args = [
+    '-hide_banner',
+    ...getInputSeekArgs({ filePath, from, to }),
+    '-af', 'ebur128=framelog=quiet:peak=true',
+    '-vn',
+    '-f', 'null', '-',
+  ];
+  const { stderr } = await runFfmpeg(args);
+  return parseEbur128Summary(stderr);
+}
 
-  // https://superuser.com/questions/681885/how-can-i-remove-multiple-segments-from-a-video-using-ffmpeg
-  let filter = segments.map(([from, len], i) => `[0:a]atrim=start=${from}:end=${from + len},asetpts=PTS-STARTPTS[a${i}]`).join(';');
-  filter += ';';
-  filter += segments.map((arr, i) => `[a${i}]`).join('');
-  filter += `concat=n=${segments.length}:v=0:a=1[out]`;
+// Peak levels (0-255) for the whole audio stream, one array per channel, with `peaksPerSecond` values per second
+// The raw audio is processed while streaming, so that we don't need to keep it all in memory
+export async function extractWaveformPeaks({ filePath, streamIndex, numChannels = 1, peaksPerSecond = 50, duration, onProgress, abortSignal }) {
+  const sampleRate = 8000;
+  const samplesPerPeak = sampleRate / peaksPerSecond;
+  const bytesPerFrame = 2 * numChannels; // s16le
 
-  console.time('ffmpeg');
-  await runFfmpeg([
-    '-i',
-    filePath,
-    '-filter_complex',
-    filter,
-    '-map',
-    '[out]',
-    '-f', 'wav',
-    '-y',
-    outPath,
-  ]);
-  console.timeEnd('ffmpeg');
+  const args = [
+    '-hide_banner',
+    '-i', filePath,
+    '-map', `0:${streamIndex}`,
+    '-vn',
+    '-ac', numChannels,
+    '-ar', sampleRate,
+    '-f', 's16le',
+    '-',
+  ];
+
+  const channels = Array(numChannels).fill().map(() => []);
+  const currentPeaks = Array(numChannels).fill(0);
+  let numSamplesInPeak = 0;
+  let remainder = Buffer.alloc(0);
+
+  function pushPeaks() {
+    currentPeaks.forEach((peak, channel) => {
+      channels[channel].push(Math.round((peak / 32768) * 255));
+      currentPeaks[channel] = 0;
+    });
+    numSamplesInPeak = 0;
+  }
+
+  const process = runFfmpeg(args, { encoding: null, buffer: false }, { abortSignal });
+  if (duration) handleProgress(process, duration, onProgress);
+
+  process.stdout.on('data', (chunk) => {
+    const data = remainder.length > 0 ? Buffer.concat([remainder, chunk]) : chunk;
+    const numFrames = Math.floor(data.length / bytesPerFrame);
+    for (let frame = 0; frame < numFrames; frame += 1) {
+      for (let channel = 0; channel < numChannels; channel += 1) {
+        const sample = Math.abs(data.readInt16LE((frame * bytesPerFrame) + (channel * 2)));
+        if (sample > currentPeaks[channel]) currentPeaks[channel] = sample;
+      }
+      numSamplesInPeak += 1;
+      if (numSamplesInPeak >= samplesPerPeak) pushPeaks();
+    }
+    remainder = data.subarray(numFrames * bytesPerFrame);
+  });
+
+  await process;
+  if (numSamplesInPeak > 0) pushPeaks();
+
+  return { peaksPerSecond, channels };
 }
 
 function getFffmpegJpegQuality(quality) {
@@ -1053,21 +1211,35 @@ export const getExperimentalArgs = (ffmpegExperimental) => (ffmpegExperimental ?
 export const getVideoTimescaleArgs = (videoTimebase) => (videoTimebase != null ? ['-video_track_timescale', videoTimebase] : []);
 
 // inspired by https://gist.github.com/fernandoherreradelasheras/5eca67f4200f1a7cc8281747da08496e
-export async function cutEncodeSmartPart({ filePath, cutFrom, cutTo, outPath, outFormat, videoCodec, videoBitrate, videoTimebase, allFilesMeta, copyFileStreams, videoStreamIndex, ffmpegExperimental }) {
+// `videoStreams` are the video streams to encode, each with its own codec params (see getSmartCutParams)
+export async function cutEncodeSmartPart({ filePath, cutFrom, cutTo, outPath, outFormat, videoStreams, videoTimebase, allFilesMeta, copyFileStreams, ffmpegExperimental, audioEditSegments = [], reencodeAudio = false, abortSignal }) {
   function getVideoArgs({ streamIndex, outputIndex }) {
-    if (streamIndex !== videoStreamIndex) return undefined;
+    const videoStream = videoStreams.find(({ videoStreamIndex }) => videoStreamIndex === streamIndex);
+    if (!videoStream) return undefined;
+
+    const inputStream = allFilesMeta[filePath].streams.find((stream) => stream.index === streamIndex);
 
     return [
-      `-c:${outputIndex}`, videoCodec,
-      `-b:${outputIndex}`, videoBitrate,
+      `-c:${outputIndex}`, videoStream.videoCodec,
+      `-b:${outputIndex}`, videoStream.videoBitrate,
+      ...(videoStream.videoTimebase != null ? [`-enc_time_base:${outputIndex}`, `1/${videoStream.videoTimebase}`] : []),
+      // Try to match the input as closely as possible, so that the encoded part can be concated with the copied part
+      ...getVideoEncoderParamsArgs({ stream: inputStream, outputIndex }),
     ];
   }
 
+  // We seek before the input, so the output's timestamps start at cutFrom
+  const audioEditRanges = getAudioEditRanges({ audioEditSegments, from: cutFrom, to: cutTo, timeOffset: cutFrom });
+  const getAudioArgs = audioEditRanges.length > 0 || reencodeAudio
+    ? ({ stream, outputIndex }) => getAudioEditArgs({ stream, outputIndex, ranges: audioEditRanges })
+    : undefined;
+
   const mapStreamsArgs = getMapStreamsArgs({
     allFilesMeta,
     copyFileStreams,
     outFormat,
     getVideoArgs,
+    getAudioArgs,
   });
 
   const ffmpegArgs = [
@@ -1095,5 +1267,5 @@ export async function cutEncodeSmartPart({ filePath, cutFrom, cutTo, outPath, ou
   const ffmpegCommandLine = getFfCommandLine('ffmpeg', ffmpegArgs);
   console.log(ffmpegCommandLine);
 
-  await runFfmpeg(ffmpegArgs);
+  await runFfmpeg(ffmpegArgs, undefined, { abortSignal });
 }
@@ -0,0 +1,72 @@
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { v4 as uuidv4 } from 'uuid';
+import i18n from 'i18next';
+
+import { addExportJob, updateExportJob, getNextQueuedExportJob, startExportJob, finishExportJob, cancelQueuedExportJob, retryFailedExportJobs as retryFailedExportJobs2, clearFinishedExportJobs as clearFinishedExportJobs2 } from '../exportQueue';
+
+// Queued exports run one at a time in the background, in the order they were added.
+// Each job has a snapshot of everything needed for the export (see getExportParams in App.jsx), so the user can go on to edit other files.
+// Each job's ffmpeg processes are killed only by its own AbortController, so that aborting other operations doesn't affect the queue (and vice versa).
+// Finished jobs are kept, as a history of the output files
+export default ({ runExport }) => {
+  const [exportJobs, setExportJobs] = useState([]);
+  const [exportQueuePaused, setExportQueuePaused] = useState(false);
+
+  const runningJobRef = useRef();
+
+  const updateJob = useCallback((jobId, change) => setExportJobs((existing) => updateExportJob(existing, jobId, change)), []);
+
+  const enqueueExport = useCallback(({ filePath, params }) => {
+    setExportJobs((existing) => addExportJob(existing, { jobId: uuidv4(), filePath, params }));
+  }, []);
+
+  const cancelExportJob = useCallback((jobId) => {
+    if (runningJobRef.current?.jobId === jobId) {
+      runningJobRef.current.abortController.abort();
+      return;
+    }
+    setExportJobs((existing) => cancelQueuedExportJob(existing, jobId));
+  }, []);
+
+  const retryFailedExportJobs = useCallback(() => setExportJobs(retryFailedExportJobs2), []);
+
+  const clearFinishedExportJobs = useCallback(() => setExportJobs(clearFinishedExportJobs2), []);
+
+  useEffect(() => {
+    if (exportQueuePaused || runningJobRef.current != null) return;
+    const job = getNextQueuedExportJob(exportJobs);
+    if (!job) return;
+
+    const { jobId } = job;
+    const abortController = new AbortController();
+    runningJobRef.current = { jobId, abortController };
+    setExportJobs((existing) => startExportJob(existing, jobId, i18n.t('Exporting')));
+
+    (async () => {
+      let outcome;
+      try {
+        const result = await runExport(job.params, {
+          onProgress: (progress) => updateJob(jobId, { progress }),
+          onStatus: (statusText) => updateJob(jobId, { statusText }),
+          abortSignal: abortController.signal,
+        });
+        outcome = { result };
+      } catch (err) {
+        if (abortController.signal.aborted) {
+          outcome = { canceled: true };
+        } else {
+          console.error('Export job failed', job.filePath, err);
+          outcome = { error: err };
+        }
+      }
+
+      // Must be cleared before the update, which will start the next job
+      runningJobRef.current = undefined;
+      setExportJobs((existing) => finishExportJob(existing, jobId, outcome));
+    })();
+  }, [exportJobs, exportQueuePaused, runExport, updateJob]);
+
+  return {
+    exportJobs, enqueueExport, cancelExportJob, retryFailedExportJobs, clearFinishedExportJobs, exportQueuePaused, setExportQueuePaused,
+  };
+};
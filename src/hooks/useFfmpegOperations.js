@@ -4,11 +4,14 @@ import sum from 'lodash/sum';
 import pMap from 'p-map';
 
 import { getSuffixedOutPath, transferTimestamps, getOutFileExtension, getOutDir, deleteDispositionValue, getHtml5ifiedPath } from '../util';
-import { isCuttingStart, isCuttingEnd, handleProgress, getFfCommandLine, getDuration, runFfmpeg, createChaptersFromSegments, readFileMeta, cutEncodeSmartPart, getExperimentalArgs, html5ify as ffmpegHtml5ify, getVideoTimescaleArgs, RefuseOverwriteError } from '../ffmpeg';
-import { getMapStreamsArgs, getStreamIdsToCopy } from '../util/streams';
-import { getSmartCutParams } from '../smartcut';
-
-const { join, resolve } = window.require('path');
+import { isCuttingStart, isCuttingEnd, handleProgress, getFfCommandLine, getDuration, runFfmpeg, createChaptersFromSegments, readFileMeta, cutEncodeSmartPart, getExperimentalArgs, html5ify as ffmpegHtml5ify, getVideoTimescaleArgs, RefuseOverwriteError, readSubtitlesAsSrt } from '../ffmpeg';
+import { getMapStreamsArgs, getStreamIdsToCopy, getAudioEditArgs, isTextSubtitleStream, getOutputStreamIndex } from '../util/streams';
+import { getAudioEditRanges, getSegmentExportParams } from '../segments';
+import { parseSrt, formatSrt, cutSubtitleCues, concatSubtitleCues } from '../subtitles';
+import { getSmartCutParams, verifySmartCutEncodedParts } from '../smartcut';
+import { formatFfmetadataChapters } from '../edlFormats';
+
+const { join, resolve, parse } = window.require('path');
 const fs = window.require('fs-extra');
 const stringToStream = window.require('string-to-stream');
 
@@ -17,9 +20,7 @@ async function writeChaptersFfmetadata(outDir, chapters) {
 
   const path = join(outDir, `ffmetadata-${new Date().getTime()}.txt`);
 
-  const ffmetadata = chapters.map(({ start, end, name }) => (
-    `[CHAPTER]\nTIMEBASE=1/1000\nSTART=${Math.floor(start * 1000)}\nEND=${Math.floor(end * 1000)}\ntitle=${name || ''}`
-  )).join('\n\n');
+  const ffmetadata = formatFfmetadataChapters(chapters);
   console.log('Writing chapters', ffmetadata);
   await fs.writeFile(path, ffmetadata);
   return path;
@@ -51,6 +52,45 @@ function getMatroskaFlags() {
 
 const getChaptersInputArgs = (ffmetadataPath) => (ffmetadataPath ? ['-f', 'ffmetadata', '-i', ffmetadataPath] : []);
 
+// ffmpeg often gets the timing of text subtitles wrong (or drops them) when cutting and concatenating,
+// so we read all cues up front, and then cut and re-time them ourselves. `cues` is undefined if the track could not be read
+async function readTextSubtitleTracks({ copyFileStreams, allFilesMeta, abortSignal }) {
+  const tracks = flatMap(copyFileStreams, ({ path, streamIds }) => streamIds.map((streamId) => ({ path, stream: allFilesMeta[path].streams.find((stream) => stream.index === streamId) })))
+    .filter(({ stream }) => stream && isTextSubtitleStream(stream));
+
+  return pMap(tracks, async (track) => {
+    try {
+      return { ...track, cues: parseSrt(await readSubtitlesAsSrt({ filePath: track.path, streamIndex: track.stream.index, abortSignal })) };
+    } catch (err) {
+      if (err.killed) throw err;
+      console.warn('Failed to read subtitle track, it will be copied as is', track.stream.index, err);
+      return track;
+    }
+  }, { concurrency: 1 });
+}
+
+// An empty SRT file is not a valid input, so tracks without any cues are left to ffmpeg
+async function writeSubtitleInputs({ outPath, tracks }) {
+  return pMap(tracks, async ({ cues }, i) => {
+    if (!cues || cues.length === 0) return undefined;
+    const path = `${outPath}-subtitle-${i}.srt`;
+    await fs.writeFile(path, formatSrt(cues));
+    return path;
+  }, { concurrency: 1 });
+}
+
+// e.g. video-cut.eng.srt, or video-cut.2.eng.srt if there are multiple tracks
+async function writeSubtitleSidecars({ outPath, tracks }) {
+  const { dir, name } = parse(outPath);
+  await pMap(tracks, async ({ stream, cues }, i) => {
+    if (!cues || cues.length === 0) return;
+    const sidecarName = [name, ...(tracks.length > 1 ? [i + 1] : []), stream.tags?.language].filter((part) => part != null).join('.');
+    await fs.writeFile(join(dir, `${sidecarName}.srt`), formatSrt(cues));
+  }, { concurrency: 1 });
+}
+
+const getSubtitleInputArgs = (subtitleInputPaths) => flatMap(subtitleInputPaths.filter((path) => path != null), (path) => ['-i', path]);
+
 const tryDeleteFiles = async (paths) => pMap(paths, (path) => {
   fs.unlink(path).catch((err) => console.error('Failed to delete', path, err));
 }, { concurrency: 5 });
@@ -60,7 +100,8 @@ function useFfmpegOperations({ filePath, enableTransferTimestamps }) {
     if (enableTransferTimestamps) await transferTimestamps(...args);
   }, [enableTransferTimestamps]);
 
-  const concatFiles = useCallback(async ({ paths, outDir, outPath, metadataFromPath, includeAllStreams, streams, outFormat, ffmpegExperimental, onProgress = () => {}, preserveMovData, movFastStart, chapters, preserveMetadataOnMerge, videoTimebase, appendFfmpegCommandLog }) => {
+  // `subtitleTracks` has the cues of each of the files, for each text subtitle stream, by its index in the files being concatenated (`outputStreamIndex`)
+  const concatFiles = useCallback(async ({ paths, outDir, outPath, metadataFromPath, includeAllStreams, streams, outFormat, ffmpegExperimental, onProgress = () => {}, preserveMovData, movFastStart, chapters, preserveMetadataOnMerge, videoTimebase, appendFfmpegCommandLog, subtitleTracks = [], exportSubtitleSidecars = false, abortSignal }) => {
     console.log('Merging files', { paths }, 'to', outPath);
 
     const durations = await pMap(paths, getDuration, { concurrency: 1 });
@@ -72,6 +113,10 @@ function useFfmpegOperations({ filePath, enableTransferTimestamps }) {
       chaptersPath = await writeChaptersFfmetadata(outDir, chaptersWithNames);
     }
 
+    const concatenatedSubtitleTracks = subtitleTracks.map(({ outputStreamIndex, cuesPerFile }) => ({ stream: streams.find((stream) => stream.index === outputStreamIndex), cues: concatSubtitleCues(cuesPerFile, durations) }))
+      .filter(({ stream }) => stream != null && isTextSubtitleStream(stream));
+    const subtitleInputPaths = await writeSubtitleInputs({ outPath, tracks: concatenatedSubtitleTracks });
+
     try {
       let inputArgs = [];
       let inputIndex = 0;
@@ -104,12 +149,19 @@ function useFfmpegOperations({ filePath, enableTransferTimestamps }) {
         chaptersInputIndex = addInput(getChaptersInputArgs(chaptersPath));
       }
 
+      const subtitleInputIndexes = subtitleInputPaths.map((path) => (path != null ? addInput(['-i', path]) : undefined));
+      const getSubtitleInput = ({ stream }) => {
+        const subtitleInputIndex = subtitleInputIndexes[concatenatedSubtitleTracks.findIndex((track) => track.stream === stream)];
+        return subtitleInputIndex != null ? `${subtitleInputIndex}:0` : undefined;
+      };
+
       const { streamIdsToCopy, excludedStreamIds } = getStreamIdsToCopy({ streams, includeAllStreams });
       const mapStreamsArgs = getMapStreamsArgs({
         allFilesMeta: { [metadataFromPath]: { streams } },
         copyFileStreams: [{ path: metadataFromPath, streamIds: streamIdsToCopy }],
         outFormat,
         manuallyCopyDisposition: true,
+        getSubtitleInput,
       });
 
       // Keep this similar to cutSingle()
@@ -154,7 +206,7 @@ function useFfmpegOperations({ filePath, enableTransferTimestamps }) {
       console.log(fullCommandLine);
       appendFfmpegCommandLog(fullCommandLine);
 
-      const process = runFfmpeg(ffmpegArgs);
+      const process = runFfmpeg(ffmpegArgs, undefined, { abortSignal });
 
       handleProgress(process, totalDuration, onProgress);
 
@@ -165,15 +217,18 @@ function useFfmpegOperations({ filePath, enableTransferTimestamps }) {
 
       await optionalTransferTimestamps(metadataFromPath, outPath);
 
+      if (exportSubtitleSidecars) await writeSubtitleSidecars({ outPath, tracks: concatenatedSubtitleTracks });
+
       return { haveExcludedStreams: excludedStreamIds.length > 0 };
     } finally {
-      if (chaptersPath) await tryDeleteFiles([chaptersPath]);
+      await tryDeleteFiles([...(chaptersPath ? [chaptersPath] : []), ...subtitleInputPaths.filter((path) => path != null)]);
     }
   }, [optionalTransferTimestamps]);
 
   const cutSingle = useCallback(async ({
     keyframeCut: ssBeforeInput, avoidNegativeTs, copyFileStreams, cutFrom, cutTo, chaptersPath, onProgress, outPath,
     videoDuration, rotation, allFilesMeta, outFormat, appendFfmpegCommandLog, shortestFlag, ffmpegExperimental, preserveMovData, movFastStart, customTagsByFile, customTagsByStreamId, dispositionByStreamId, videoTimebase,
+    audioEditSegments = [], reencodeAudio = false, subtitleTracks = [], filePath: mainFilePath = filePath, abortSignal,
   }) => {
     const cuttingStart = isCuttingStart(cutFrom);
     const cuttingEnd = isCuttingEnd(cutTo, videoDuration);
@@ -190,45 +245,51 @@ function useFfmpegOperations({ filePath, enableTransferTimestamps }) {
     // remove -avoid_negative_ts make_zero when not cutting start (no -ss), or else some videos get blank first frame in QuickLook
     const avoidNegativeTsArgs = cuttingStart && avoidNegativeTs ? ['-avoid_negative_ts', avoidNegativeTs] : [];
 
+    // Like the audio edits, when seeking before the input, the output's timestamps start at cutFrom
+    const cutSubtitleTracks = subtitleTracks.map((track) => ({ ...track, cues: track.cues && cutSubtitleCues(track.cues, { from: cutFrom, to: cutTo, timeOffset: ssBeforeInput && cuttingStart ? cutFrom : 0 }) }));
+    const subtitleInputPaths = await writeSubtitleInputs({ outPath, tracks: cutSubtitleTracks });
+
     const inputFilesArgs = flatMap(copyFileStreamsFiltered, ({ path }) => ['-i', path]);
-    const inputFilesArgsWithCuts = ssBeforeInput ? [
+    // Extra inputs must come before the cut args, or else the output options would be applied to them
+    const extraInputArgs = [
+      ...getChaptersInputArgs(chaptersPath),
+      ...getSubtitleInputArgs(subtitleInputPaths),
+    ];
+
+    const inputArgs = ssBeforeInput ? [
       ...cutFromArgs,
       ...inputFilesArgs,
+      ...extraInputArgs,
       ...cutToArgs,
       ...avoidNegativeTsArgs,
     ] : [
       ...inputFilesArgs,
+      ...extraInputArgs,
       ...cutFromArgs,
       ...cutToArgs,
     ];
 
-    const inputArgs = [
-      ...inputFilesArgsWithCuts,
-      ...getChaptersInputArgs(chaptersPath),
-    ];
-
     const chaptersInputIndex = copyFileStreamsFiltered.length;
 
+    // Each text subtitle stream that has cues in this segment is replaced by its own input
+    const subtitleInputIndexes = [];
+    let nextSubtitleInputIndex = chaptersInputIndex + (chaptersPath ? 1 : 0);
+    subtitleInputPaths.forEach((path, i) => {
+      if (path == null) return;
+      subtitleInputIndexes[i] = nextSubtitleInputIndex;
+      nextSubtitleInputIndex += 1;
+    });
+    function getSubtitleInput({ stream, path }) {
+      const inputIndex = subtitleInputIndexes[cutSubtitleTracks.findIndex((track) => track.path === path && track.stream.index === stream.index)];
+      return inputIndex != null ? `${inputIndex}:0` : undefined;
+    }
+
     const rotationArgs = rotation !== undefined ? ['-metadata:s:v:0', `rotate=${360 - rotation}`] : [];
 
     // This function tries to calculate the output stream index needed for -metadata:s:x and -disposition:x arguments
     // It is based on the assumption that copyFileStreamsFiltered contains the order of the input files (and their respective streams orders) sent to ffmpeg, to hopefully calculate the same output stream index values that ffmpeg does internally.
     // It also takes into account previously added files that have been removed and disabled streams.
-    function mapInputStreamIndexToOutputIndex(inputFilePath, inputFileStreamIndex) {
-      let streamCount = 0;
-      // Count copied streams of all files until this input file
-      const foundFile = copyFileStreamsFiltered.find(({ path: path2, streamIds }) => {
-        if (path2 === inputFilePath) return true;
-        streamCount += streamIds.length;
-        return false;
-      });
-      if (!foundFile) return undefined; // Could happen if a tag has been edited on an external file, then the file was removed
-
-      // Then add the index of the current stream index to the count
-      const copiedStreamIndex = foundFile.streamIds.indexOf(inputFileStreamIndex);
-      if (copiedStreamIndex === -1) return undefined; // Could happen if a tag has been edited on a stream, but the stream is disabled
-      return streamCount + copiedStreamIndex;
-    }
+    const mapInputStreamIndexToOutputIndex = (inputFilePath, inputFileStreamIndex) => getOutputStreamIndex(copyFileStreamsFiltered, inputFilePath, inputFileStreamIndex);
 
     function lessDeepMap(root, fn) {
       let ret = [];
@@ -251,7 +312,7 @@ function useFfmpegOperations({ filePath, enableTransferTimestamps }) {
 
     const customTagsArgs = [
       // Main file metadata:
-      ...flatMap(Object.entries(customTagsByFile[filePath] || []), ([key, value]) => ['-metadata', `${key}=${value}`]),
+      ...flatMap(Object.entries(customTagsByFile[mainFilePath] || []), ([key, value]) => ['-metadata', `${key}=${value}`]),
 
       // Example: { 'file.mp4': { 0: { tag_name: 'Tag Value' } } }
       ...deepMap(customTagsByStreamId, (path, streamId, tag, value) => {
@@ -261,7 +322,13 @@ function useFfmpegOperations({ filePath, enableTransferTimestamps }) {
       }),
     ];
 
-    const mapStreamsArgs = getMapStreamsArgs({ copyFileStreams: copyFileStreamsFiltered, allFilesMeta, outFormat });
+    // Audio edits (mute/bleep) only apply to the main file. When seeking before the input, the output's timestamps start at cutFrom
+    const audioEditRanges = getAudioEditRanges({ audioEditSegments, from: cutFrom, to: cutTo, timeOffset: ssBeforeInput && cuttingStart ? cutFrom : 0 });
+    const getAudioArgs = audioEditRanges.length > 0 || reencodeAudio
+      ? ({ stream, path, outputIndex }) => (path === mainFilePath ? getAudioEditArgs({ stream, outputIndex, ranges: audioEditRanges }) : undefined)
+      : undefined;
+
+    const mapStreamsArgs = getMapStreamsArgs({ copyFileStreams: copyFileStreamsFiltered, allFilesMeta, outFormat, getAudioArgs, getSubtitleInput });
 
     // Example: { 'file.mp4': { 0: { attached_pic: 1 } } }
     const customDispositionArgs = lessDeepMap(dispositionByStreamId, (path, streamId, disposition) => {
@@ -312,24 +379,32 @@ function useFfmpegOperations({ filePath, enableTransferTimestamps }) {
     console.log(ffmpegCommandLine);
     appendFfmpegCommandLog(ffmpegCommandLine);
 
-    const process = runFfmpeg(ffmpegArgs);
-    handleProgress(process, cutDuration, onProgress);
-    const result = await process;
-    console.log(result.stdout);
+    try {
+      const process = runFfmpeg(ffmpegArgs, undefined, { abortSignal });
+      handleProgress(process, cutDuration, onProgress);
+      const result = await process;
+      console.log(result.stdout);
+    } finally {
+      await tryDeleteFiles(subtitleInputPaths.filter((path) => path != null));
+    }
 
-    await optionalTransferTimestamps(filePath, outPath, cutFrom);
+    await optionalTransferTimestamps(mainFilePath, outPath, cutFrom);
   }, [filePath, optionalTransferTimestamps]);
 
+  // `filePath` defaults to the currently opened file, but queued exports (see useExportQueue) may be of another file
   const cutMultiple = useCallback(async ({
     outputDir, customOutDir, segments, segmentsFileNames, videoDuration, rotation, detectedFps,
-    onProgress: onTotalProgress, keyframeCut, copyFileStreams, allFilesMeta, outFormat,
+    onProgress: onTotalProgress, keyframeCut: keyframeCutDefault, copyFileStreams: copyFileStreamsDefault, allFilesMeta, outFormat: outFormatDefault,
     appendFfmpegCommandLog, shortestFlag, ffmpegExperimental, preserveMovData, movFastStart, avoidNegativeTs,
-    customTagsByFile, customTagsByStreamId, dispositionByStreamId, chapters, preserveMetadataOnMerge, enableSmartCut,
-    enableOverwriteOutput,
+    customTagsByFile, customTagsByStreamId, dispositionByStreamId, chapters, preserveMetadataOnMerge, enableSmartCut: enableSmartCutDefault,
+    enableOverwriteOutput, audioEditSegments = [], subtitleTracks = [], exportSubtitleSidecars = false, filePath: mainFilePath = filePath, willMerge = false, abortSignal,
   }) => {
     console.log('customTagsByFile', customTagsByFile);
     console.log('customTagsByStreamId', customTagsByStreamId);
 
+    // If the segments are going to be merged, and some of them have audio edits, the audio of *all* segments must be encoded the same way, or else they cannot be concated
+    const reencodeAllAudio = willMerge && segments.some(({ start, end }) => getAudioEditRanges({ audioEditSegments, from: start, to: end }).length > 0);
+
     const singleProgresses = {};
     function onSingleProgress(id, singleProgress) {
       singleProgresses[id] = singleProgress;
@@ -345,9 +420,11 @@ function useFfmpegOperations({ filePath, enableTransferTimestamps }) {
 
     // This function will either call cutSingle (if no smart cut enabled)
     // or if enabled, will first cut&encode the part before the next keyframe, trying to match the input file's codec params
-    // then it will cut the part *from* the keyframe to "end", and concat them together and return the concated file
+    // then it will cut the part *from* the keyframe to the last keyframe before "end", then cut&encode from that keyframe to "end",
+    // and concat them together and return the concated file
     // so that for the calling code it looks as if it's just a normal segment
-    async function maybeSmartCutSegment({ start: desiredCutFrom, end: cutTo }, i) {
+    // Also returns the copyFileStreams that were used, because they determine the order of the streams in the output file
+    async function maybeSmartCutSegment({ start: desiredCutFrom, end: cutTo }, i, { keyframeCut, enableSmartCut, outFormat, copyFileStreams, subtitleTracks: segmentSubtitleTracks }) {
       const getSegmentOutPath = () => join(outputDir, segmentsFileNames[i]);
 
       if (!enableSmartCut) {
@@ -355,68 +432,103 @@ function useFfmpegOperations({ filePath, enableTransferTimestamps }) {
         const outPath = getSegmentOutPath();
         await checkOverwrite(outPath);
         await cutSingle({
-          cutFrom: desiredCutFrom, cutTo, chaptersPath, outPath, copyFileStreams, keyframeCut, avoidNegativeTs, videoDuration, rotation, allFilesMeta, outFormat, appendFfmpegCommandLog, shortestFlag, ffmpegExperimental, preserveMovData, movFastStart, customTagsByFile, customTagsByStreamId, dispositionByStreamId, onProgress: (progress) => onSingleProgress(i, progress),
+          cutFrom: desiredCutFrom, cutTo, chaptersPath, outPath, copyFileStreams, keyframeCut, avoidNegativeTs, videoDuration, rotation, allFilesMeta, outFormat, appendFfmpegCommandLog, shortestFlag, ffmpegExperimental, preserveMovData, movFastStart, customTagsByFile, customTagsByStreamId, dispositionByStreamId, audioEditSegments, reencodeAudio: reencodeAllAudio, subtitleTracks: segmentSubtitleTracks, filePath: mainFilePath, abortSignal, onProgress: (progress) => onSingleProgress(i, progress),
         });
-        return outPath;
+        return { outPath, copyFileStreams };
       }
 
       // smart cut only supports cutting main file (no externally added files)
-      const { streams } = allFilesMeta[filePath];
-      const streamsToCopyFromMainFile = copyFileStreams.find(({ path }) => path === filePath).streamIds
+      const { streams } = allFilesMeta[mainFilePath];
+      const streamsToCopyFromMainFile = copyFileStreams.find(({ path }) => path === mainFilePath).streamIds
         .map((streamId) => streams.find((stream) => stream.index === streamId));
 
-      const { cutFrom: encodeCutTo, needsSmartCut, videoCodec, videoBitrate, videoStreamIndex, videoTimebase } = await getSmartCutParams({ path: filePath, videoDuration, desiredCutFrom, streams: streamsToCopyFromMainFile });
+      const { cutFrom: encodeCutTo, cutTo: encodeEndCutFrom, needsSmartCut, needsSmartCutEnd, videoStreams, videoStreamIndexes, videoTimebase } = await getSmartCutParams({ path: mainFilePath, videoDuration, desiredCutFrom, desiredCutTo: cutTo, streams: streamsToCopyFromMainFile });
 
-      if (needsSmartCut && !detectedFps) throw new Error('Smart cut is not possible when FPS is unknown');
+      if ((needsSmartCut || needsSmartCutEnd) && !detectedFps) throw new Error('Smart cut is not possible when FPS is unknown');
 
-      console.log('Smart cut on video stream', videoStreamIndex);
+      console.log('Smart cut on video streams', videoStreamIndexes);
 
-      const onCutProgress = (progress) => onSingleProgress(i, progress / 2);
-      const onConcatProgress = (progress) => onSingleProgress(i, (1 + progress) / 2);
+      const numParts = 1 + (needsSmartCut ? 1 : 0) + (needsSmartCutEnd ? 1 : 0);
+      let numPartsDone = 0;
+      const onPartProgress = (progress) => onSingleProgress(i, (numPartsDone + progress) / (numParts + 1));
+      const onConcatProgress = (progress) => onSingleProgress(i, (numParts + progress) / (numParts + 1));
 
       const copyFileStreamsFiltered = [{
-        path: filePath,
-        // with smart cut, we only copy/cut *one* video stream, but *all* other streams (main file only)
-        streamIds: streamsToCopyFromMainFile.filter((stream) => !(stream.codec_type === 'video' && stream.index !== videoStreamIndex)).map((stream) => stream.index),
+        path: mainFilePath,
+        // with smart cut, we only copy/cut the real video streams (not e.g. cover art), but *all* other streams (main file only)
+        streamIds: streamsToCopyFromMainFile.filter((stream) => !(stream.codec_type === 'video' && !videoStreamIndexes.includes(stream.index))).map((stream) => stream.index),
       }];
 
+      const mainFileSubtitleTracks = segmentSubtitleTracks.filter(({ path }) => path === mainFilePath);
+
+      // If the segment has audio edits, the audio of *all* parts must be encoded the same way, or else they cannot be concated
+      const reencodeAudio = reencodeAllAudio || getAudioEditRanges({ audioEditSegments, from: desiredCutFrom, to: cutTo }).length > 0;
+
       // eslint-disable-next-line no-shadow
-      const cutEncodeSmartPartWrapper = async ({ cutFrom, cutTo, outPath }) => cutEncodeSmartPart({ filePath, cutFrom, cutTo, outPath, outFormat, videoCodec, videoBitrate, videoStreamIndex, videoTimebase, allFilesMeta, copyFileStreams: copyFileStreamsFiltered, ffmpegExperimental });
+      const cutEncodeSmartPartWrapper = async ({ cutFrom, cutTo, outPath }) => {
+        await cutEncodeSmartPart({ filePath: mainFilePath, cutFrom, cutTo, outPath, outFormat, videoStreams, videoTimebase, allFilesMeta, copyFileStreams: copyFileStreamsFiltered, ffmpegExperimental, audioEditSegments, reencodeAudio, abortSignal });
+        numPartsDone += 1;
+      };
+
+      const frameDuration = 1 / detectedFps;
+
+      // The part that will be copied (keyframe cut)
+      const mainPartCutFrom = encodeCutTo;
+      // Stop half a frame before the encoded end part starts, so that the frame at the boundary doesn't end up in both parts (timestamps are not exact)
+      const mainPartCutTo = needsSmartCutEnd ? encodeEndCutFrom - (frameDuration / 2) : cutTo;
 
       // If we are cutting within two keyframes, just encode the whole part and return that
       // See https://github.com/mifi/lossless-cut/pull/1267#issuecomment-1236381740
-      if (needsSmartCut && encodeCutTo > cutTo) {
+      if ((needsSmartCut || needsSmartCutEnd) && mainPartCutFrom >= mainPartCutTo) {
         const outPath = getSegmentOutPath();
         await checkOverwrite(outPath);
         await cutEncodeSmartPartWrapper({ cutFrom: desiredCutFrom, cutTo, outPath });
-        return outPath;
+        return { outPath, copyFileStreams: copyFileStreamsFiltered };
       }
 
-      const ext = getOutFileExtension({ isCustomFormatSelected: true, outFormat, filePath });
+      const ext = getOutFileExtension({ isCustomFormatSelected: true, outFormat, filePath: mainFilePath });
 
-      const smartCutMainPartOutPath = needsSmartCut
-        ? getSuffixedOutPath({ customOutDir, filePath, nameSuffix: `smartcut-segment-copy-${i}${ext}` })
+      const smartCutMainPartOutPath = needsSmartCut || needsSmartCutEnd
+        ? getSuffixedOutPath({ customOutDir, filePath: mainFilePath, nameSuffix: `smartcut-segment-copy-${i}${ext}` })
         : getSegmentOutPath();
 
-      const smartCutEncodedPartOutPath = getSuffixedOutPath({ customOutDir, filePath, nameSuffix: `smartcut-segment-encode-${i}${ext}` });
+      const smartCutEncodedPartOutPath = getSuffixedOutPath({ customOutDir, filePath: mainFilePath, nameSuffix: `smartcut-segment-encode-${i}${ext}` });
+      const smartCutEncodedEndPartOutPath = getSuffixedOutPath({ customOutDir, filePath: mainFilePath, nameSuffix: `smartcut-segment-encode-end-${i}${ext}` });
 
-      const smartCutSegmentsToConcat = [smartCutEncodedPartOutPath, smartCutMainPartOutPath];
+      const smartCutSegmentsToConcat = [
+        ...(needsSmartCut ? [smartCutEncodedPartOutPath] : []),
+        smartCutMainPartOutPath,
+        ...(needsSmartCutEnd ? [smartCutEncodedEndPartOutPath] : []),
+      ];
 
-      if (!needsSmartCut) await checkOverwrite(smartCutMainPartOutPath);
+      if (!needsSmartCut && !needsSmartCutEnd) await checkOverwrite(smartCutMainPartOutPath);
 
-      // for smart cut we need to use keyframe cut here, and no avoid_negative_ts
-      await cutSingle({
-        cutFrom: encodeCutTo, cutTo, chaptersPath, outPath: smartCutMainPartOutPath, copyFileStreams: copyFileStreamsFiltered, keyframeCut: true, avoidNegativeTs: false, videoDuration, rotation, allFilesMeta, outFormat, appendFfmpegCommandLog, shortestFlag, ffmpegExperimental, preserveMovData, movFastStart, customTagsByFile, customTagsByStreamId, dispositionByStreamId, videoTimebase, onProgress: onCutProgress,
-      });
+      try {
+        // for smart cut we need to use keyframe cut here, and no avoid_negative_ts
+        // if smart cut is needed, the subtitles are instead re-timed when concating the parts
+        const mainPartSubtitleTracks = !needsSmartCut && !needsSmartCutEnd ? mainFileSubtitleTracks : [];
+        await cutSingle({
+          cutFrom: mainPartCutFrom, cutTo: mainPartCutTo, chaptersPath, outPath: smartCutMainPartOutPath, copyFileStreams: copyFileStreamsFiltered, keyframeCut: true, avoidNegativeTs: false, videoDuration, rotation, allFilesMeta, outFormat, appendFfmpegCommandLog, shortestFlag, ffmpegExperimental, preserveMovData, movFastStart, customTagsByFile, customTagsByStreamId, dispositionByStreamId, videoTimebase, audioEditSegments, reencodeAudio, subtitleTracks: mainPartSubtitleTracks, filePath: mainFilePath, abortSignal, onProgress: onPartProgress,
+        });
+        numPartsDone += 1;
 
-      // OK, just return the single cut file (we may need smart cut in other segments though)
-      if (!needsSmartCut) return smartCutMainPartOutPath;
+        // OK, just return the single cut file (we may need smart cut in other segments though)
+        if (!needsSmartCut && !needsSmartCutEnd) return { outPath: smartCutMainPartOutPath, copyFileStreams: copyFileStreamsFiltered };
 
-      try {
-        const frameDuration = 1 / detectedFps;
-        const encodeCutToSafe = Math.max(desiredCutFrom + frameDuration, encodeCutTo - frameDuration); // Subtract one frame so we don't end up with duplicates when concating, and make sure we don't create a 0 length segment
+        if (needsSmartCut) {
+          const encodeCutToSafe = Math.max(desiredCutFrom + frameDuration, encodeCutTo - frameDuration); // Subtract one frame so we don't end up with duplicates when concating, and make sure we don't create a 0 length segment
+          await cutEncodeSmartPartWrapper({ cutFrom: desiredCutFrom, cutTo: encodeCutToSafe, outPath: smartCutEncodedPartOutPath });
+        }
+
+        // The end part starts on a keyframe (or on its leading frames), so it can be encoded right up to the exact end frame
+        if (needsSmartCutEnd) {
+          await cutEncodeSmartPartWrapper({ cutFrom: encodeEndCutFrom, cutTo, outPath: smartCutEncodedEndPartOutPath });
+        }
 
-        await cutEncodeSmartPartWrapper({ cutFrom: desiredCutFrom, cutTo: encodeCutToSafe, outPath: smartCutEncodedPartOutPath });
+        await verifySmartCutEncodedParts({
+          encodedPartPaths: smartCutSegmentsToConcat.filter((path) => path !== smartCutMainPartOutPath),
+          copiedPartPath: smartCutMainPartOutPath,
+        });
 
         // need to re-read streams because indexes may have changed. Using main file as source of streams and metadata
         const { streams: streamsAfterCut } = await readFileMeta(smartCutMainPartOutPath);
@@ -424,33 +536,61 @@ function useFfmpegOperations({ filePath, enableTransferTimestamps }) {
         const outPath = getSegmentOutPath();
         await checkOverwrite(outPath);
 
-        await concatFiles({ paths: smartCutSegmentsToConcat, outDir: outputDir, outPath, metadataFromPath: smartCutMainPartOutPath, outFormat, includeAllStreams: true, streams: streamsAfterCut, ffmpegExperimental, preserveMovData, movFastStart, chapters, preserveMetadataOnMerge, videoTimebase, appendFfmpegCommandLog, onProgress: onConcatProgress });
-        return outPath;
+        // All of the segment's cues are put at the start of the first part, so they span the encoded and copied parts
+        const smartCutSubtitleTracks = mainFileSubtitleTracks.map(({ stream, cues }) => ({
+          outputStreamIndex: getOutputStreamIndex(copyFileStreamsFiltered, mainFilePath, stream.index),
+          cuesPerFile: [cues && cutSubtitleCues(cues, { from: desiredCutFrom, to: cutTo, timeOffset: desiredCutFrom })],
+        }));
+
+        await concatFiles({ paths: smartCutSegmentsToConcat, outDir: outputDir, outPath, metadataFromPath: smartCutMainPartOutPath, outFormat, includeAllStreams: true, streams: streamsAfterCut, ffmpegExperimental, preserveMovData, movFastStart, chapters, preserveMetadataOnMerge, videoTimebase, appendFfmpegCommandLog, subtitleTracks: smartCutSubtitleTracks, abortSignal, onProgress: onConcatProgress });
+        return { outPath, copyFileStreams: copyFileStreamsFiltered };
       } finally {
-        await tryDeleteFiles(smartCutSegmentsToConcat);
+        if (needsSmartCut || needsSmartCutEnd) await tryDeleteFiles(smartCutSegmentsToConcat);
       }
     }
 
+    async function cutSegment(segment, i) {
+      // The segment may override some of the export options
+      const segmentExportParams = getSegmentExportParams({ segment, keyframeCut: keyframeCutDefault, enableSmartCut: enableSmartCutDefault, outFormat: outFormatDefault, copyFileStreams: copyFileStreamsDefault, allFilesMeta });
+      if (segmentExportParams.copyFileStreams.every(({ streamIds }) => streamIds.length === 0)) throw new Error(`No tracks selected for export of segment ${i + 1}`);
+      const segmentSubtitleTracks = subtitleTracks.filter(({ path, stream }) => segmentExportParams.copyFileStreams.some((file) => file.path === path && file.streamIds.includes(stream.index)));
+
+      const result = await maybeSmartCutSegment(segment, i, { ...segmentExportParams, subtitleTracks: segmentSubtitleTracks });
+      if (exportSubtitleSidecars) {
+        await writeSubtitleSidecars({ outPath: result.outPath, tracks: segmentSubtitleTracks.map(({ stream, cues }) => ({ stream, cues: cues && cutSubtitleCues(cues, { from: segment.start, to: segment.end, timeOffset: segment.start }) })) });
+      }
+      return result;
+    }
+
     try {
-      const outFiles = await pMap(segments, maybeSmartCutSegment, { concurrency: 1 });
+      const results = await pMap(segments, cutSegment, { concurrency: 1 });
 
-      return outFiles;
+      return {
+        outFiles: results.map(({ outPath }) => outPath),
+        outFilesCopyFileStreams: results.map(({ copyFileStreams }) => copyFileStreams),
+      };
     } finally {
       if (chaptersPath) await tryDeleteFiles([chaptersPath]);
     }
   }, [concatFiles, cutSingle, filePath]);
 
-  const autoConcatCutSegments = useCallback(async ({ customOutDir, isCustomFormatSelected, outFormat, segmentPaths, ffmpegExperimental, onProgress, preserveMovData, movFastStart, autoDeleteMergedSegments, chapterNames, preserveMetadataOnMerge, appendFfmpegCommandLog }) => {
-    const ext = getOutFileExtension({ isCustomFormatSelected, outFormat, filePath });
-    const outPath = getSuffixedOutPath({ customOutDir, filePath, nameSuffix: `cut-merged-${new Date().getTime()}${ext}` });
-    const outDir = getOutDir(customOutDir, filePath);
+  const autoConcatCutSegments = useCallback(async ({ customOutDir, isCustomFormatSelected, outFormat, segmentPaths, ffmpegExperimental, onProgress, preserveMovData, movFastStart, autoDeleteMergedSegments, chapterNames, preserveMetadataOnMerge, appendFfmpegCommandLog, segments, segmentsCopyFileStreams, subtitleTracks = [], exportSubtitleSidecars, filePath: mainFilePath = filePath, abortSignal }) => {
+    const ext = getOutFileExtension({ isCustomFormatSelected, outFormat, filePath: mainFilePath });
+    const outPath = getSuffixedOutPath({ customOutDir, filePath: mainFilePath, nameSuffix: `cut-merged-${new Date().getTime()}${ext}` });
+    const outDir = getOutDir(customOutDir, mainFilePath);
 
     const chapters = await createChaptersFromSegments({ segmentPaths, chapterNames });
 
     const metadataFromPath = segmentPaths[0];
     // need to re-read streams because may have changed
     const { streams } = await readFileMeta(metadataFromPath);
-    await concatFiles({ paths: segmentPaths, outDir, outPath, metadataFromPath, outFormat, includeAllStreams: true, streams, ffmpegExperimental, onProgress, preserveMovData, movFastStart, chapters, preserveMetadataOnMerge, appendFfmpegCommandLog });
+    // The cues of each segment are re-timed to where the segment ends up in the merged file
+    // `segmentsCopyFileStreams` are the streams that the cut segments were created from, so we know where each subtitle stream ended up
+    const mergedSubtitleTracks = subtitleTracks.map(({ path, stream, cues }) => ({
+      outputStreamIndex: getOutputStreamIndex(segmentsCopyFileStreams[0], path, stream.index),
+      cuesPerFile: segments.map(({ start, end }) => cues && cutSubtitleCues(cues, { from: start, to: end, timeOffset: start })),
+    }));
+    await concatFiles({ paths: segmentPaths, outDir, outPath, metadataFromPath, outFormat, includeAllStreams: true, streams, ffmpegExperimental, onProgress, preserveMovData, movFastStart, chapters, preserveMetadataOnMerge, appendFfmpegCommandLog, subtitleTracks: mergedSubtitleTracks, exportSubtitleSidecars, abortSignal });
     if (autoDeleteMergedSegments) await tryDeleteFiles(segmentPaths);
 
     return outPath;
@@ -517,8 +657,46 @@ function useFfmpegOperations({ filePath, enableTransferTimestamps }) {
     return outPath;
   }, [filePath, optionalTransferTimestamps]);
 
+  // Replaces all chapters of the file (or removes them, if there are none) without touching the streams
+  const remuxWithChapters = useCallback(async ({ chapters, fileFormat, customOutDir, appendFfmpegCommandLog }) => {
+    const ext = getOutFileExtension({ outFormat: fileFormat, filePath });
+    const outPath = getSuffixedOutPath({ customOutDir, filePath, nameSuffix: `chapters${ext}` });
+    const chaptersPath = await writeChaptersFfmetadata(getOutDir(customOutDir, filePath), chapters);
+
+    try {
+      const ffmpegArgs = [
+        '-hide_banner',
+
+        '-i', filePath,
+        ...getChaptersInputArgs(chaptersPath),
+
+        '-map_metadata', '0',
+        '-map', '0',
+        '-map_chapters', chaptersPath ? '1' : '-1',
+        '-ignore_unknown',
+
+        '-c', 'copy',
+        ...(fileFormat ? ['-f', fileFormat] : []),
+        '-y', outPath,
+      ];
+
+      const ffmpegCommandLine = getFfCommandLine('ffmpeg', ffmpegArgs);
+      console.log(ffmpegCommandLine);
+      appendFfmpegCommandLog(ffmpegCommandLine);
+
+      const { stdout } = await runFfmpeg(ffmpegArgs);
+      console.log(stdout);
+    } finally {
+      if (chaptersPath) await tryDeleteFiles([chaptersPath]);
+    }
+
+    await optionalTransferTimestamps(filePath, outPath);
+
+    return outPath;
+  }, [filePath, optionalTransferTimestamps]);
+
   return {
-    cutMultiple, concatFiles, html5ify, html5ifyDummy, fixInvalidDuration, autoConcatCutSegments,
+    cutMultiple, concatFiles, html5ify, html5ifyDummy, fixInvalidDuration, autoConcatCutSegments, readTextSubtitleTracks, remuxWithChapters,
   };
 }
 
@@ -2,7 +2,7 @@ import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import sortBy from 'lodash/sortBy';
 import useDebounceOld from 'react-use/lib/useDebounce'; // Want to phase out this
 
-import { readFramesAroundTime, findNearestKeyFrameTime as ffmpegFindNearestKeyFrameTime } from '../ffmpeg';
+import { readFramesAroundTime, findNearestKeyFrameTime as ffmpegFindNearestKeyFrameTime, createKeyframeIndex } from '../ffmpeg';
 
 const maxKeyframes = 1000;
 // const maxKeyframes = 100;
@@ -10,19 +10,49 @@ const maxKeyframes = 1000;
 export default ({ keyframesEnabled, filePath, commandedTime, mainVideoStream, detectedFps, ffmpegExtractWindow }) => {
   const readingKeyframesPromise = useRef();
   const [neighbouringKeyFramesMap, setNeighbouringKeyFrames] = useState({});
-  const neighbouringKeyFrames = useMemo(() => Object.values(neighbouringKeyFramesMap), [neighbouringKeyFramesMap]);
+  const [keyframeIndex, setKeyframeIndex] = useState();
 
-  const findNearestKeyFrameTime = useCallback(({ time, direction }) => ffmpegFindNearestKeyFrameTime({ frames: neighbouringKeyFrames, time, direction, fps: detectedFps }), [neighbouringKeyFrames, detectedFps]);
+  const neighbouringKeyFrames = useMemo(() => {
+    if (keyframeIndex && commandedTime != null) {
+      return keyframeIndex.filter((keyframe) => Math.abs(keyframe.time - commandedTime) <= ffmpegExtractWindow / 2);
+    }
+    return Object.values(neighbouringKeyFramesMap);
+  }, [commandedTime, ffmpegExtractWindow, keyframeIndex, neighbouringKeyFramesMap]);
+
+  const findNearestKeyFrameTime = useCallback(({ time, direction }) => ffmpegFindNearestKeyFrameTime({ frames: keyframeIndex || neighbouringKeyFrames, time, direction, fps: detectedFps }), [keyframeIndex, neighbouringKeyFrames, detectedFps]);
 
   useEffect(() => setNeighbouringKeyFrames({}), [filePath]);
 
+  // Index all keyframes of the file in the background (or load the index from disk cache)
+  useEffect(() => {
+    setKeyframeIndex();
+    if (!keyframesEnabled || !filePath || !mainVideoStream) return undefined;
+
+    // Stop scanning the file when another file is opened
+    const abortController = new AbortController();
+
+    (async () => {
+      try {
+        const newKeyframeIndex = await createKeyframeIndex({ filePath, streamIndex: mainVideoStream.index, abortSignal: abortController.signal });
+        if (abortController.signal.aborted) return;
+        console.log('Keyframe index ready', newKeyframeIndex.length);
+        setKeyframeIndex(newKeyframeIndex);
+      } catch (err) {
+        if (abortController.signal.aborted) return;
+        console.error('Failed to create keyframe index', err);
+      }
+    })();
+
+    return () => abortController.abort();
+  }, [keyframesEnabled, filePath, mainVideoStream]);
+
   useDebounceOld(() => {
     let aborted = false;
 
     (async () => {
       // See getIntervalAroundTime
       // We still want to calculate keyframes even if not shouldShowKeyframes because maybe we want to be able to step to the closest keyframe
-      const shouldRun = keyframesEnabled && filePath && mainVideoStream && commandedTime != null && !readingKeyframesPromise.current;
+      const shouldRun = keyframesEnabled && !keyframeIndex && filePath && mainVideoStream && commandedTime != null && !readingKeyframesPromise.current;
       if (!shouldRun) return;
 
       try {
@@ -53,7 +83,7 @@ export default ({ keyframesEnabled, filePath, commandedTime, mainVideoStream, de
     return () => {
       aborted = true;
     };
-  }, 500, [keyframesEnabled, filePath, commandedTime, mainVideoStream, ffmpegExtractWindow]);
+  }, 500, [keyframesEnabled, keyframeIndex, filePath, commandedTime, mainVideoStream, ffmpegExtractWindow]);
 
   return {
     neighbouringKeyFrames, findNearestKeyFrameTime,
@@ -6,17 +6,20 @@ import pMap from 'p-map';
 
 import sortBy from 'lodash/sortBy';
 
-import { blackDetect, silenceDetect, detectSceneChanges as ffmpegDetectSceneChanges, readFrames, mapTimesToSegments, findKeyframeNearTime } from '../ffmpeg';
+import { readKeyframes, mapTimesToSegments, findKeyframeNearTime, readSubtitlesAsSrt } from '../ffmpeg';
 import { errorToast, handleError, shuffleArray } from '../util';
 import { showParametersDialog } from '../dialogs/parameters';
-import { createNumSegments as createNumSegmentsDialog, createFixedDurationSegments as createFixedDurationSegmentsDialog, createRandomSegments as createRandomSegmentsDialog, labelSegmentDialog, showEditableJsonDialog, askForShiftSegments, askForAlignSegments, selectSegmentsByLabelDialog } from '../dialogs';
-import { createSegment, findSegmentsAtCursor, sortSegments, invertSegments, getSegmentTags, combineOverlappingSegments as combineOverlappingSegments2, isDurationValid, getSegApparentStart, getSegApparentEnd as getSegApparentEnd2 } from '../segments';
+import { createNumSegments as createNumSegmentsDialog, createFixedDurationSegments as createFixedDurationSegmentsDialog, createRandomSegments as createRandomSegmentsDialog, labelSegmentDialog, showEditableJsonDialog, askForShiftSegments, askForAlignSegments, selectSegmentsByLabelDialog, askForLayerName, selectLayerDialog, confirmRemoveLayer, askForSubtitleSource, askForSegmentExportOptions } from '../dialogs';
+import { createSegment, findSegmentsAtCursor, sortSegments, invertSegments, getSegmentTags, combineOverlappingSegments as combineOverlappingSegments2, isDurationValid, getSegApparentStart, getSegApparentEnd as getSegApparentEnd2, getApparentSegments, isAudioEditSegment, defaultLayerName, getSegmentLayerName, createLayer, createInitialLayers, addMissingLayers, mergeLayers, isSegmentInExportedLayers, invertSegmentsWithinRange, replaceSegmentsWithinRange, getSegmentExportOptions, sanitizeSegmentExportOptions } from '../segments';
+import { getSegColor, getNewLayerColor } from '../util/colors';
+import { parseSrt, mapSubtitleCuesToSegments } from '../subtitles';
 import * as ffmpegParameters from '../ffmpeg-parameters';
+import detectors, { askForDetectorParameters } from '../detectors';
 import { maxSegmentsAllowed } from '../util/constants';
 
 
 export default ({
-  filePath, workingRef, setWorking, setCutProgress, mainVideoStream,
+  filePath, workingRef, setWorking, setCutProgress, mainVideoStream, mainStreams,
   duration, getCurrentTime, maxLabelLength, checkFileOpened,
 }) => {
   // Segment related state
@@ -40,6 +43,23 @@ export default ({
 
   const isSegmentSelected = useCallback(({ segId }) => !deselectedSegmentIds[segId], [deselectedSegmentIds]);
 
+  // Each segment belongs to a named layer (e.g. "keep", "ads", "review"). New segments are added to the current layer
+  const [layers, setLayers] = useState(createInitialLayers());
+  const [currentLayerName, setCurrentLayerName] = useState(defaultLayerName);
+  // undefined means export all layers that have export enabled
+  const [exportLayerName, setExportLayerName] = useState();
+
+  const clearLayers = useCallback(() => {
+    setLayers(createInitialLayers());
+    setCurrentLayerName(defaultLayerName);
+    setExportLayerName();
+  }, []);
+
+  const getSegmentLayer = useCallback((seg) => layers.find((layer) => layer.name === getSegmentLayerName(seg)), [layers]);
+  const getSegmentColor = useCallback((seg) => getSegColor(seg, seg && getSegmentLayer(seg)), [getSegmentLayer]);
+
+  const withCurrentLayer = useCallback((segments) => segments.map((segment) => ({ ...segment, layer: currentLayerName })), [currentLayerName]);
+
 
   const clearSegCounter = useCallback(() => {
     // eslint-disable-next-line no-param-reassign
@@ -53,7 +73,8 @@ export default ({
 
   const shuffleSegments = useCallback(() => setCutSegments((oldSegments) => shuffleArray(oldSegments)), [setCutSegments]);
 
-  const loadCutSegments = useCallback((edl, append = false) => {
+  // `layerDefinitions` (colour, export enabled) are only available when loading a project file
+  const loadCutSegments = useCallback((edl, append = false, layerDefinitions = []) => {
     const validEdl = edl.filter((row) => (
       (row.start === undefined || row.end === undefined || row.start < row.end)
       && (row.start === undefined || row.start >= 0)
@@ -74,9 +95,13 @@ export default ({
       if (needToAppend) newSegments = [...existingSegments, ...newSegments];
       return newSegments;
     });
+
+    const validLayerDefinitions = layerDefinitions.filter((layer) => layer != null && typeof layer.name === 'string' && layer.name.length > 0)
+      .map(({ name, color, exportEnabled }) => createLayer({ name, color: typeof color === 'string' ? color : undefined, exportEnabled: exportEnabled !== false }));
+    setLayers((existingLayers) => addMissingLayers(mergeLayers(existingLayers, validLayerDefinitions), validEdl, getNewLayerColor));
   }, [clearSegCounter, createIndexedSegment, setCutSegments]);
 
-  const detectSegments = useCallback(async ({ name, workingText, errorText, fn }) => {
+  const detectSegments = useCallback(async ({ name, workingText, errorText, fn, onDetected = (newSegments) => loadCutSegments(withCurrentLayer(newSegments), true) }) => {
     if (!filePath) return;
     if (workingRef.current) return;
     try {
@@ -85,22 +110,18 @@ export default ({
 
       const newSegments = await fn();
       console.log(name, newSegments);
-      loadCutSegments(newSegments, true);
+      onDetected(newSegments);
     } catch (err) {
       handleError(errorText, err);
     } finally {
       setWorking();
       setCutProgress();
     }
-  }, [filePath, workingRef, setWorking, setCutProgress, loadCutSegments]);
+  }, [filePath, workingRef, setWorking, setCutProgress, loadCutSegments, withCurrentLayer]);
 
   const getSegApparentEnd = useCallback((seg) => getSegApparentEnd2(seg, duration), [duration]);
 
-  const getApparentCutSegments = useCallback((segments) => segments.map((cutSegment) => ({
-    ...cutSegment,
-    start: getSegApparentStart(cutSegment),
-    end: getSegApparentEnd(cutSegment),
-  })), [getSegApparentEnd]);
+  const getApparentCutSegments = useCallback((segments) => getApparentSegments(segments, duration), [duration]);
 
   // These are segments guaranteed to have a start and end time
   const apparentCutSegments = useMemo(() => getApparentCutSegments(cutSegments), [cutSegments, getApparentCutSegments]);
@@ -111,32 +132,102 @@ export default ({
   const currentCutSeg = useMemo(() => cutSegments[currentSegIndexSafe], [currentSegIndexSafe, cutSegments]);
   const currentApparentCutSeg = useMemo(() => apparentCutSegments[currentSegIndexSafe], [apparentCutSegments, currentSegIndexSafe]);
 
-  const selectedSegmentsRaw = useMemo(() => apparentCutSegments.filter(isSegmentSelected), [apparentCutSegments, isSegmentSelected]);
-
-  const detectBlackScenes = useCallback(async () => {
-    const filterOptions = await showParametersDialog({ title: i18n.t('Enter parameters'), parameters: ffmpegParameters.blackdetect(), docUrl: 'https://ffmpeg.org/ffmpeg-filters.html#blackdetect' });
-    if (filterOptions == null) return;
-    await detectSegments({ name: 'blackScenes', workingText: i18n.t('Detecting black scenes'), errorText: i18n.t('Failed to detect black scenes'), fn: async () => blackDetect({ filePath, filterOptions, onProgress: setCutProgress, from: currentApparentCutSeg.start, to: currentApparentCutSeg.end }) });
+  // Segments of the layers that are going to be exported
+  const exportedLayersAllSegments = useMemo(() => apparentCutSegments.filter((segment) => isSegmentInExportedLayers({ segment, layers, exportLayerName })), [apparentCutSegments, exportLayerName, layers]);
+  const exportedLayersSegments = useMemo(() => exportedLayersAllSegments.filter((segment) => !isAudioEditSegment(segment)), [exportedLayersAllSegments]);
+  // These are not cut, but applied to the audio of the exported segments
+  const audioEditSegments = useMemo(() => exportedLayersAllSegments.filter((segment) => isAudioEditSegment(segment)), [exportedLayersAllSegments]);
+
+  const selectedSegmentsRaw = useMemo(() => exportedLayersSegments.filter(isSegmentSelected), [exportedLayersSegments, isSegmentSelected]);
+
+  // Detected segments are first shown as a preview on the timeline, and only loaded when the user accepts them
+  const [detectorPreview, setDetectorPreview] = useState();
+
+  const runDetector = useCallback(async (detectorName, parametersContext, { from = currentApparentCutSeg.start, to = currentApparentCutSeg.end, previousParameters } = {}) => {
+    const detector = detectors[detectorName];
+    const parameters = await askForDetectorParameters(detectorName, { context: parametersContext, previousValues: previousParameters });
+    if (parameters == null) return;
+    const preview = { detectorName, parametersContext, parameters, from, to };
+    await detectSegments({
+      name: detectorName,
+      workingText: detector.getWorkingText(),
+      errorText: detector.getErrorText(),
+      // Detectors that support it show their segments while they are running
+      fn: async () => detector.detect({ filePath, parameters, onProgress: setCutProgress, onSegments: (segments) => setDetectorPreview({ ...preview, segments, running: true }), from, to }),
+      onDetected: (newSegments) => setDetectorPreview({ ...preview, segments: newSegments }),
+    });
+    // Failed or aborted
+    setDetectorPreview((existing) => (existing?.running ? undefined : existing));
   }, [currentApparentCutSeg.end, currentApparentCutSeg.start, detectSegments, filePath, setCutProgress]);
 
-  const detectSilentScenes = useCallback(async () => {
-    const filterOptions = await showParametersDialog({ title: i18n.t('Enter parameters'), parameters: ffmpegParameters.silencedetect(), docUrl: 'https://ffmpeg.org/ffmpeg-filters.html#silencedetect' });
-    if (filterOptions == null) return;
-    await detectSegments({ name: 'silentScenes', workingText: i18n.t('Detecting silent scenes'), errorText: i18n.t('Failed to detect silent scenes'), fn: async () => silenceDetect({ filePath, filterOptions, onProgress: setCutProgress, from: currentApparentCutSeg.start, to: currentApparentCutSeg.end }) });
-  }, [currentApparentCutSeg.end, currentApparentCutSeg.start, detectSegments, filePath, setCutProgress]);
+  // Lets the user tweak the parameters of the previewed detector, and run it again (e.g. on only the zoomed part of the timeline)
+  const rerunDetectorPreview = useCallback(async ({ from, to } = {}) => {
+    if (!detectorPreview) return;
+    const { detectorName, parametersContext, parameters } = detectorPreview;
+    await runDetector(detectorName, parametersContext, { from: from ?? detectorPreview.from, to: to ?? detectorPreview.to, previousParameters: parameters });
+  }, [detectorPreview, runDetector]);
 
-  const detectSceneChanges = useCallback(async () => {
-    const filterOptions = await showParametersDialog({ title: i18n.t('Enter parameters'), parameters: ffmpegParameters.sceneChange() });
-    if (filterOptions == null) return;
-    await detectSegments({ name: 'sceneChanges', workingText: i18n.t('Detecting scene changes'), errorText: i18n.t('Failed to detect scene changes'), fn: async () => ffmpegDetectSceneChanges({ filePath, minChange: filterOptions.minChange, onProgress: setCutProgress, from: currentApparentCutSeg.start, to: currentApparentCutSeg.end }) });
-  }, [currentApparentCutSeg.end, currentApparentCutSeg.start, detectSegments, filePath, setCutProgress]);
+  const discardDetectorPreview = useCallback(() => setDetectorPreview(), []);
+
+  const acceptDetectorPreview = useCallback((mode) => {
+    if (!detectorPreview) return;
+    const { segments, from, to } = detectorPreview;
+    try {
+      if (mode === 'replace') {
+        if (segments.length > maxSegmentsAllowed) throw new Error(i18n.t('Tried to create too many segments (max {{maxSegmentsAllowed}}.)', { maxSegmentsAllowed }));
+        // Only the current layer's segments within the detected range are replaced
+        const newSegments = withCurrentLayer(segments).map((segment) => createIndexedSegment({ segment, incrementCount: true }));
+        setCutSegments((existingSegments) => replaceSegmentsWithinRange({ segments: existingSegments, newSegments, from, to, layerName: currentLayerName, duration }));
+      } else if (mode === 'append') {
+        loadCutSegments(withCurrentLayer(segments), true);
+      } else if (mode === 'invertAndAppend') {
+        loadCutSegments(withCurrentLayer(invertSegmentsWithinRange(segments, from, to)), true);
+      } else {
+        throw new Error(`Invalid mode ${mode}`);
+      }
+      setDetectorPreview();
+    } catch (err) {
+      // Keep the preview, so the user can try another mode
+      handleError(err);
+    }
+  }, [createIndexedSegment, currentLayerName, detectorPreview, duration, loadCutSegments, setCutSegments, withCurrentLayer]);
+
+  const detectBlackScenes = useCallback(() => runDetector('blackScenes'), [runDetector]);
+  const detectFrozenVideo = useCallback(() => runDetector('frozenVideo'), [runDetector]);
+  const detectSilentScenes = useCallback(() => runDetector('silentScenes'), [runDetector]);
+  const detectLoudScenes = useCallback(() => runDetector('loudScenes'), [runDetector]);
+  const detectSceneChanges = useCallback(() => runDetector('sceneChanges'), [runDetector]);
+  const detectCommercialBreaks = useCallback(() => runDetector('commercialBreaks'), [runDetector]);
+
+  const createSegmentsFromSubtitles = useCallback(async () => {
+    const subtitleSource = await askForSubtitleSource({ subtitleStreams: mainStreams.filter((stream) => stream.codec_type === 'subtitle') });
+    if (!subtitleSource) return;
+    const parameters = await showParametersDialog({ title: i18n.t('Enter parameters'), parameters: ffmpegParameters.subtitleSegments() });
+    if (parameters == null) return;
+    const mergeGap = parseFloat(parameters.mergeGap);
+    const padding = parseFloat(parameters.padding);
+    if ([mergeGap, padding].some((value) => Number.isNaN(value) || value < 0)) {
+      errorToast(i18n.t('Invalid number entered'));
+      return;
+    }
+    await detectSegments({
+      name: 'subtitles',
+      workingText: i18n.t('Loading subtitle'),
+      errorText: i18n.t('Failed to create segments from subtitles'),
+      fn: async () => {
+        const cues = parseSrt(await readSubtitlesAsSrt({ filePath: subtitleSource.filePath ?? filePath, streamIndex: subtitleSource.streamIndex }));
+        if (cues.length === 0) throw new Error(i18n.t('No subtitle cues found'));
+        return mapSubtitleCuesToSegments(cues, { mergeGap, padding, duration: isDurationValid(duration) ? duration : undefined });
+      },
+    });
+  }, [detectSegments, duration, filePath, mainStreams]);
 
   const createSegmentsFromKeyframes = useCallback(async () => {
     if (!mainVideoStream) return;
-    const keyframes = (await readFrames({ filePath, from: currentApparentCutSeg.start, to: currentApparentCutSeg.end, streamIndex: mainVideoStream.index })).filter((frame) => frame.keyframe);
+    const keyframes = await readKeyframes({ filePath, from: currentApparentCutSeg.start, to: currentApparentCutSeg.end, streamIndex: mainVideoStream.index });
     const newSegments = mapTimesToSegments(keyframes.map((keyframe) => keyframe.time));
-    loadCutSegments(newSegments, true);
-  }, [currentApparentCutSeg.end, currentApparentCutSeg.start, filePath, loadCutSegments, mainVideoStream]);
+    loadCutSegments(withCurrentLayer(newSegments), true);
+  }, [currentApparentCutSeg.end, currentApparentCutSeg.start, filePath, loadCutSegments, mainVideoStream, withCurrentLayer]);
 
   const removeSegments = useCallback((removeSegmentIds) => {
     if (cutSegments.length === 1 && cutSegments[0].start == null && cutSegments[0].end == null) return; // We are at initial segment, nothing more we can do (it cannot be removed)
@@ -154,29 +245,38 @@ export default ({
     removeSegments([cutSegments[index].segId]);
   }, [cutSegments, removeSegments]);
 
-  const inverseCutSegments = useMemo(() => {
-    const inverted = !haveInvalidSegs && isDurationValid(duration) ? invertSegments(sortSegments(apparentCutSegments), true, true, duration) : undefined;
+  const getInverseCutSegments = useCallback((segments) => {
+    const inverted = !haveInvalidSegs && isDurationValid(duration) ? invertSegments(sortSegments(segments), true, true, duration) : undefined;
     return (inverted || []).map((seg) => ({ ...seg, segId: `${seg.start}-${seg.end}` }));
-  }, [apparentCutSegments, duration, haveInvalidSegs]);
+  }, [duration, haveInvalidSegs]);
+
+  // Used for exporting in "invert segments" mode, so only the exported layers count
+  const inverseCutSegments = useMemo(() => getInverseCutSegments(exportedLayersSegments), [exportedLayersSegments, getInverseCutSegments]);
+
+  // Invert and fill gaps only work on the current layer, and audio edit segments are not cut, so they are left alone
+  const isCurrentLayerCutSegment = useCallback((segment) => getSegmentLayerName(segment) === currentLayerName && !isAudioEditSegment(segment), [currentLayerName]);
+  const currentLayerCutSegments = useMemo(() => apparentCutSegments.filter(isCurrentLayerCutSegment), [apparentCutSegments, isCurrentLayerCutSegment]);
 
   const invertAllSegments = useCallback(() => {
-    if (inverseCutSegments.length < 1) {
+    const allInverseCutSegments = getInverseCutSegments(currentLayerCutSegments);
+    if (allInverseCutSegments.length < 1) {
       errorToast(i18n.t('Make sure you have no overlapping segments.'));
       return;
     }
     // don't reset segColorIndex (which represent colors) when inverting
-    const newInverseCutSegments = inverseCutSegments.map((inverseSegment, index) => createSegment({ ...inverseSegment, segColorIndex: index }));
-    setCutSegments(newInverseCutSegments);
-  }, [inverseCutSegments, setCutSegments]);
+    const newInverseCutSegments = allInverseCutSegments.map((inverseSegment, index) => createSegment({ ...inverseSegment, layer: currentLayerName, segColorIndex: index }));
+    setCutSegments((existing) => [...existing.filter((segment) => !isCurrentLayerCutSegment(segment)), ...newInverseCutSegments]);
+  }, [currentLayerCutSegments, currentLayerName, getInverseCutSegments, isCurrentLayerCutSegment, setCutSegments]);
 
   const fillSegmentsGaps = useCallback(() => {
-    if (inverseCutSegments.length < 1) {
+    const allInverseCutSegments = getInverseCutSegments(currentLayerCutSegments);
+    if (allInverseCutSegments.length < 1) {
       errorToast(i18n.t('Make sure you have no overlapping segments.'));
       return;
     }
-    const newInverseCutSegments = inverseCutSegments.map((inverseSegment) => createIndexedSegment({ segment: inverseSegment, incrementCount: true }));
+    const newInverseCutSegments = allInverseCutSegments.map((inverseSegment) => createIndexedSegment({ segment: { ...inverseSegment, layer: currentLayerName }, incrementCount: true }));
     setCutSegments((existing) => ([...existing, ...newInverseCutSegments]));
-  }, [createIndexedSegment, inverseCutSegments, setCutSegments]);
+  }, [createIndexedSegment, currentLayerCutSegments, currentLayerName, getInverseCutSegments, setCutSegments]);
 
   const combineOverlappingSegments = useCallback(() => {
     setCutSegments((existingSegments) => combineOverlappingSegments2(existingSegments, getSegApparentEnd));
@@ -274,6 +374,11 @@ export default ({
     if (newTagsStr != null) updateSegAtIndex(index, { tags: JSON5.parse(newTagsStr) });
   }, [cutSegments, updateSegAtIndex]);
 
+  const onEditSegmentExportOptions = useCallback(async (index) => {
+    const newExportOptions = await askForSegmentExportOptions(getSegmentExportOptions(cutSegments[index]));
+    if (newExportOptions != null) updateSegAtIndex(index, { exportOptions: sanitizeSegmentExportOptions(newExportOptions) });
+  }, [cutSegments, updateSegAtIndex]);
+
   const updateSegOrder = useCallback((index, newOrder) => {
     if (newOrder > cutSegments.length - 1 || newOrder < 0) return;
     const newSegments = [...cutSegments];
@@ -309,7 +414,7 @@ export default ({
 
       const cutSegmentsNew = [
         ...cutSegments,
-        createIndexedSegment({ segment: { start: suggestedStart }, incrementCount: true }),
+        createIndexedSegment({ segment: { start: suggestedStart, layer: currentLayerName }, incrementCount: true }),
       ];
 
       setCutSegments(cutSegmentsNew);
@@ -317,7 +422,7 @@ export default ({
     } catch (err) {
       console.error(err);
     }
-  }, [currentCutSeg.start, currentCutSeg.end, getCurrentTime, duration, cutSegments, createIndexedSegment, setCutSegments, setCurrentSegIndex]);
+  }, [currentCutSeg.start, currentCutSeg.end, getCurrentTime, duration, cutSegments, createIndexedSegment, currentLayerName, setCutSegments, setCurrentSegIndex]);
 
   const setCutStart = useCallback(() => {
     if (!checkFileOpened()) return;
@@ -358,6 +463,8 @@ export default ({
     }
   }, [checkFileOpened, getCurrentTime, setCutTime]);
 
+  const setSegmentType = useCallback((index, type) => updateSegAtIndex(index, { type }), [updateSegAtIndex]);
+
   const onLabelSegment = useCallback(async (index) => {
     const { name } = cutSegments[index];
     const value = await labelSegmentDialog({ currentName: name, maxLength: maxLabelLength });
@@ -378,8 +485,8 @@ export default ({
 
     const getNewName = (oldName, suffix) => oldName && `${segment.name} ${suffix}`;
 
-    const firstPart = createIndexedSegment({ segment: { name: getNewName(segment.name, '1'), start: segment.start, end: currentTime }, incrementCount: false });
-    const secondPart = createIndexedSegment({ segment: { name: getNewName(segment.name, '2'), start: currentTime, end: segment.end }, incrementCount: true });
+    const firstPart = createIndexedSegment({ segment: { name: getNewName(segment.name, '1'), start: segment.start, end: currentTime, layer: segment.layer }, incrementCount: false });
+    const secondPart = createIndexedSegment({ segment: { name: getNewName(segment.name, '2'), start: currentTime, end: segment.end, layer: segment.layer }, incrementCount: true });
 
     const newSegments = [...cutSegments];
     newSegments.splice(firstSegmentAtCursorIndex, 1, firstPart, secondPart);
@@ -389,20 +496,20 @@ export default ({
   const createNumSegments = useCallback(async () => {
     if (!checkFileOpened() || !isDurationValid(duration)) return;
     const segments = await createNumSegmentsDialog(duration);
-    if (segments) loadCutSegments(segments);
-  }, [checkFileOpened, duration, loadCutSegments]);
+    if (segments) loadCutSegments(withCurrentLayer(segments));
+  }, [checkFileOpened, duration, loadCutSegments, withCurrentLayer]);
 
   const createFixedDurationSegments = useCallback(async () => {
     if (!checkFileOpened() || !isDurationValid(duration)) return;
     const segments = await createFixedDurationSegmentsDialog(duration);
-    if (segments) loadCutSegments(segments);
-  }, [checkFileOpened, duration, loadCutSegments]);
+    if (segments) loadCutSegments(withCurrentLayer(segments));
+  }, [checkFileOpened, duration, loadCutSegments, withCurrentLayer]);
 
   const createRandomSegments = useCallback(async () => {
     if (!checkFileOpened() || !isDurationValid(duration)) return;
     const segments = await createRandomSegmentsDialog(duration);
-    if (segments) loadCutSegments(segments);
-  }, [checkFileOpened, duration, loadCutSegments]);
+    if (segments) loadCutSegments(withCurrentLayer(segments));
+  }, [checkFileOpened, duration, loadCutSegments, withCurrentLayer]);
 
   const onSelectSegmentsByLabel = useCallback(async () => {
     const { name } = currentCutSeg;
@@ -437,12 +544,63 @@ export default ({
   const selectOnlyCurrentSegment = useCallback(() => selectOnlySegment(currentCutSeg), [currentCutSeg, selectOnlySegment]);
   const toggleCurrentSegmentSelected = useCallback(() => toggleSegmentSelected(currentCutSeg), [currentCutSeg, toggleSegmentSelected]);
 
+  const addLayer = useCallback(async () => {
+    const name = await askForLayerName({ title: i18n.t('Add layer'), existingNames: layers.map((layer) => layer.name) });
+    if (name == null) return;
+    setLayers((existingLayers) => [...existingLayers, createLayer({ name, color: getNewLayerColor(existingLayers.length) })]);
+    setCurrentLayerName(name);
+  }, [layers]);
+
+  const renameLayer = useCallback(async (oldName) => {
+    if (oldName === defaultLayerName) return;
+    const newName = await askForLayerName({ title: i18n.t('Rename layer'), currentName: oldName, existingNames: layers.map((layer) => layer.name) });
+    if (newName == null || newName === oldName) return;
+    setLayers((existingLayers) => existingLayers.map((layer) => (layer.name === oldName ? { ...layer, name: newName } : layer)));
+    setCutSegments((existingSegments) => existingSegments.map((segment) => (getSegmentLayerName(segment) === oldName ? { ...segment, layer: newName } : segment)));
+    if (currentLayerName === oldName) setCurrentLayerName(newName);
+    if (exportLayerName === oldName) setExportLayerName(newName);
+  }, [currentLayerName, exportLayerName, layers, setCutSegments]);
+
+  const removeLayer = useCallback(async (name) => {
+    if (name === defaultLayerName) return;
+    const layerSegments = cutSegments.filter((segment) => getSegmentLayerName(segment) === name);
+    if (layerSegments.length > 0 && !(await confirmRemoveLayer({ name, numSegments: layerSegments.length }))) return;
+    const newSegments = cutSegments.filter((segment) => getSegmentLayerName(segment) !== name);
+    if (newSegments.length !== cutSegments.length) setCutSegments(newSegments.length > 0 ? newSegments : createInitialCutSegments());
+    setLayers((existingLayers) => existingLayers.filter((layer) => layer.name !== name));
+    if (currentLayerName === name) setCurrentLayerName(defaultLayerName);
+    if (exportLayerName === name) setExportLayerName();
+  }, [createInitialCutSegments, currentLayerName, cutSegments, exportLayerName, setCutSegments]);
+
+  const toggleLayerExportEnabled = useCallback((name) => {
+    setLayers((existingLayers) => existingLayers.map((layer) => (layer.name === name ? { ...layer, exportEnabled: !layer.exportEnabled } : layer)));
+  }, []);
+
+  const moveSelectedSegmentsToLayer = useCallback(async () => {
+    const segmentsToMove = cutSegments.filter(isSegmentSelected);
+    if (segmentsToMove.length < 1) return;
+    const name = await selectLayerDialog({ title: i18n.t('Move selected segments to layer'), layerNames: layers.map((layer) => layer.name), currentName: currentLayerName });
+    if (name == null) return;
+    setCutSegments((existingSegments) => existingSegments.map((segment) => (
+      segmentsToMove.some((seg) => seg.segId === segment.segId) ? { ...segment, layer: name !== defaultLayerName ? name : undefined } : segment
+    )));
+  }, [currentLayerName, cutSegments, isSegmentSelected, layers, setCutSegments]);
+
   return {
     cutSegments,
     cutSegmentsHistory,
     createSegmentsFromKeyframes,
+    createSegmentsFromSubtitles,
     shuffleSegments,
     detectBlackScenes,
+    detectFrozenVideo,
+    detectCommercialBreaks,
+    detectLoudScenes,
+    runDetector,
+    detectorPreview,
+    rerunDetectorPreview,
+    acceptDetectorPreview,
+    discardDetectorPreview,
     detectSilentScenes,
     detectSceneChanges,
     removeCutSegment,
@@ -452,6 +610,7 @@ export default ({
     shiftAllSegmentTimes,
     alignSegmentTimesToKeyframes,
     onViewSegmentTags,
+    onEditSegmentExportOptions,
     updateSegOrder,
     updateSegOrders,
     reorderSegsByStartTime,
@@ -472,6 +631,9 @@ export default ({
     clearSegments,
     loadCutSegments,
     selectedSegmentsRaw,
+    exportedLayersSegments,
+    audioEditSegments,
+    setSegmentType,
     setCutTime,
     getSegApparentEnd,
     setCurrentSegIndex,
@@ -486,5 +648,18 @@ export default ({
     onSelectSegmentsByLabel,
     toggleSegmentSelected,
     selectOnlySegment,
+
+    layers,
+    clearLayers,
+    currentLayerName,
+    setCurrentLayerName,
+    exportLayerName,
+    setExportLayerName,
+    getSegmentColor,
+    addLayer,
+    renameLayer,
+    removeLayer,
+    toggleLayerExportEnabled,
+    moveSelectedSegmentsToLayer,
   };
 };
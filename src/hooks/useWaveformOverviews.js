@@ -0,0 +1,104 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+
+import { extractWaveformPeaks } from '../ffmpeg';
+
+const fs = window.require('fs-extra');
+
+const cacheVersion = 1;
+
+// The cache file is stored next to the project file, and holds the peaks of all audio streams that have been extracted
+// It is invalidated if the media file's size or mtime changes
+async function readWaveformCache({ cachePath, filePath }) {
+  try {
+    const { size, mtimeMs } = await fs.stat(filePath);
+    const cache = await fs.readJson(cachePath);
+    if (cache.version === cacheVersion && cache.size === size && cache.mtimeMs === mtimeMs) return cache;
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('Failed to read waveform cache', err);
+  }
+  return undefined;
+}
+
+// Writes to the same cache file are done one after the other, because each of them reads the file and adds one stream to it
+const pendingCacheWrites = new Map();
+
+async function writeWaveformCache({ cachePath, filePath, streamIndex, waveform }) {
+  const write = async () => {
+    try {
+      const { size, mtimeMs } = await fs.stat(filePath);
+      const existingCache = await readWaveformCache({ cachePath, filePath });
+      await fs.writeJson(cachePath, {
+        version: cacheVersion,
+        size,
+        mtimeMs,
+        streams: { ...existingCache?.streams, [streamIndex]: waveform },
+      });
+    } catch (err) {
+      console.warn('Failed to write waveform cache', err);
+    }
+  };
+
+  const promise = (pendingCacheWrites.get(cachePath) ?? Promise.resolve()).then(write);
+  pendingCacheWrites.set(cachePath, promise);
+  try {
+    await promise;
+  } finally {
+    if (pendingCacheWrites.get(cachePath) === promise) pendingCacheWrites.delete(cachePath);
+  }
+}
+
+async function getWaveform({ filePath, audioStream, cachePath, writeCache, abortSignal }) {
+  const cache = cachePath ? await readWaveformCache({ cachePath, filePath }) : undefined;
+  const cachedWaveform = cache?.streams?.[audioStream.index];
+  if (cachedWaveform) return cachedWaveform;
+
+  console.log('Extracting waveform peaks', audioStream.index);
+  const waveform = await extractWaveformPeaks({ filePath, streamIndex: audioStream.index, numChannels: Math.min(audioStream.channels || 1, 2), abortSignal });
+  if (cachePath && writeCache) await writeWaveformCache({ cachePath, filePath, streamIndex: audioStream.index, waveform });
+  return waveform;
+}
+
+// Peaks for the whole of each of the audio streams, so we can show waveforms at any zoom level
+// The streams are decoded one at a time, and the decoding is stopped when another file is opened
+export default ({ filePath, audioStreams, waveformEnabled, cachePath, writeCache }) => {
+  const [waveformsByStreamIndex, setWaveformsByStreamIndex] = useState({});
+  // Stream indexes of the current file that have been extracted (the state may not yet have been updated when the effect below runs)
+  const extractedStreamIndexesRef = useRef(new Set());
+
+  useEffect(() => {
+    extractedStreamIndexesRef.current = new Set();
+    setWaveformsByStreamIndex({});
+  }, [filePath]);
+
+  useEffect(() => {
+    if (!filePath || !waveformEnabled) return undefined;
+
+    const abortController = new AbortController();
+    const extractedStreamIndexes = extractedStreamIndexesRef.current;
+    const streamsToExtract = audioStreams.filter((audioStream) => !extractedStreamIndexes.has(audioStream.index));
+
+    (async () => {
+      // eslint-disable-next-line no-restricted-syntax
+      for (const audioStream of streamsToExtract) {
+        try {
+          // eslint-disable-next-line no-await-in-loop
+          const waveform = await getWaveform({ filePath, audioStream, cachePath, writeCache, abortSignal: abortController.signal });
+          if (abortController.signal.aborted) return;
+          extractedStreamIndexes.add(audioStream.index);
+          setWaveformsByStreamIndex((existing) => ({ ...existing, [audioStream.index]: waveform }));
+        } catch (err) {
+          if (abortController.signal.aborted) return;
+          console.error('Failed to extract waveform peaks', err);
+        }
+      }
+    })();
+
+    return () => abortController.abort();
+  }, [audioStreams, cachePath, filePath, waveformEnabled, writeCache]);
+
+  const waveformOverviews = useMemo(() => (waveformEnabled ? audioStreams : [])
+    .filter((audioStream) => waveformsByStreamIndex[audioStream.index] != null)
+    .map((audioStream) => ({ ...waveformsByStreamIndex[audioStream.index], streamIndex: audioStream.index })), [audioStreams, waveformEnabled, waveformsByStreamIndex]);
+
+  return { waveformOverviews };
+};
@@ -0,0 +1,60 @@
+// Parsing of the output of ffmpeg's detection filters, see detectIntervals in ffmpeg.js
+// Times in the output are relative to where the detection started (`from`)
+
+const getSegmentOffset = (from) => (from != null ? from : 0);
+
+export function adjustSegmentsWithOffset({ segments, from }) {
+  const offset = getSegmentOffset(from);
+  return segments.map(({ start, end }) => ({ start: start + offset, end: end != null ? end + offset : end }));
+}
+
+// Collects the intervals that `matchLineTokens` finds in the lines of ffmpeg's output (`{ start, end }`, as strings or numbers).
+// `getUnfinishedInterval(duration)` can return an interval that was started but never ended (e.g. lasting until the end of the file)
+// `addLine` returns whether a new interval was found. `getSegments` returns the intervals so far, offset by `from`
+export function createIntervalCollector({ from, to, matchLineTokens, getUnfinishedInterval }) {
+  const segments = [];
+
+  function addLine(line) {
+    const { start: startStr, end: endStr } = matchLineTokens(line);
+    const start = parseFloat(startStr);
+    const end = parseFloat(endStr);
+    if (Number.isNaN(start) || Number.isNaN(end)) return false;
+    segments.push({ start, end });
+    return true;
+  }
+
+  const getSegments = () => adjustSegmentsWithOffset({ segments, from });
+
+  // To be called when ffmpeg is done
+  function finish() {
+    const unfinishedInterval = getUnfinishedInterval && getUnfinishedInterval(to - from);
+    if (unfinishedInterval) segments.push(unfinishedInterval);
+    return getSegments();
+  }
+
+  return { addLine, getSegments, finish };
+}
+
+// freezedetect prints the start and the end of a freeze on separate lines.
+// `getUnfinishedInterval` returns the freeze that was started but never ended, which means that the video is frozen until the end (`duration`)
+export function createFreezeIntervalMatcher() {
+  let freezeStart;
+
+  function matchLineTokens(line) {
+    const match = line.match(/^\[freezedetect\s*@\s*0x[0-9a-f]+\] lavfi\.freezedetect\.freeze_(start|end): ([\d.]+)/);
+    if (!match) return {};
+    const [, type, time] = match;
+    if (type === 'start') {
+      freezeStart = time;
+      return {};
+    }
+    if (freezeStart == null) return {};
+    const start = freezeStart;
+    freezeStart = undefined;
+    return { start, end: time };
+  }
+
+  const getUnfinishedInterval = (duration) => (freezeStart != null ? { start: parseFloat(freezeStart), end: duration } : undefined);
+
+  return { matchLineTokens, getUnfinishedInterval };
+}
@@ -0,0 +1,47 @@
+import { adjustSegmentsWithOffset, createIntervalCollector, createFreezeIntervalMatcher } from './intervalDetection';
+
+const freezeLine = (type, time) => `[freezedetect @ 0x7f8b5c004d40] lavfi.freezedetect.freeze_${type}: ${time}`;
+const durationLine = (duration) => `[freezedetect @ 0x7f8b5c004d40] lavfi.freezedetect.freeze_duration: ${duration}`;
+
+// What freezeDetect does with ffmpeg's output
+function detectFreezes(lines, { from, to }) {
+  const collector = createIntervalCollector({ from, to, ...createFreezeIntervalMatcher() });
+  lines.forEach((line) => collector.addLine(line));
+  return collector.finish();
+}
+
+it('detects complete freezes', () => {
+  const lines = [
+    'frame=  100 fps=0.0 q=-0.0 size=N/A time=00:00:04.00 bitrate=N/A speed=8x',
+    freezeLine('start', 2.5), durationLine(1.5), freezeLine('end', 4),
+    freezeLine('start', 7), durationLine(2), freezeLine('end', 9),
+  ];
+  expect(detectFreezes(lines, { from: 0, to: 20 })).toEqual([{ start: 2.5, end: 4 }, { start: 7, end: 9 }]);
+});
+
+it('detects a freeze that lasts until the end', () => {
+  const lines = [freezeLine('start', 2.5), durationLine(1.5), freezeLine('end', 4), freezeLine('start', 15.2)];
+  expect(detectFreezes(lines, { from: 0, to: 20 })).toEqual([{ start: 2.5, end: 4 }, { start: 15.2, end: 20 }]);
+});
+
+it('ignores a freeze end without a start', () => {
+  expect(detectFreezes([freezeLine('end', 4)], { from: 0, to: 20 })).toEqual([]);
+});
+
+it('offsets freezes when detecting from the middle of the file', () => {
+  // ffmpeg's times are relative to `from`
+  const lines = [freezeLine('start', 1), freezeLine('end', 3), freezeLine('start', 8)];
+  expect(detectFreezes(lines, { from: 100, to: 110 })).toEqual([{ start: 101, end: 103 }, { start: 108, end: 110 }]);
+});
+
+it('collects the intervals detected so far', () => {
+  const collector = createIntervalCollector({ from: 100, to: 110, ...createFreezeIntervalMatcher() });
+  expect(collector.addLine(freezeLine('start', 1))).toBe(false);
+  expect(collector.addLine(freezeLine('end', 3))).toBe(true);
+  expect(collector.getSegments()).toEqual([{ start: 101, end: 103 }]);
+});
+
+it('adjusts segments with offset', () => {
+  expect(adjustSegmentsWithOffset({ segments: [{ start: 1, end: 2 }, { start: 3 }], from: 10 })).toEqual([{ start: 11, end: 12 }, { start: 13, end: undefined }]);
+  expect(adjustSegmentsWithOffset({ segments: [{ start: 1, end: 2 }] })).toEqual([{ start: 1, end: 2 }]);
+});
@@ -0,0 +1,93 @@
+import { getKeyframeIndexCacheKey, keyframeIndexCacheVersion, createLruCache, getCacheFilesToPrune } from './util/keyframeIndexCache';
+
+const { join } = window.require('path');
+const { createHash } = window.require('crypto');
+const fs = window.require('fs-extra');
+const remote = window.require('@electron/remote');
+
+// A keyframe index is the list of all keyframes of one of a file's video streams (sorted by time)
+// It is expensive to create, so we cache it on disk, keyed by file path, size and mtime (so that it gets invalidated if the file changes)
+
+// Indexes can be big (one entry per keyframe), so we only keep the last few in memory, and the last few hundred on disk
+const maxMemoryCacheEntries = 5;
+const maxDiskCacheFiles = 200;
+
+const memoryCache = createLruCache(maxMemoryCacheEntries);
+// Scans that are running. They are removed when done (or aborted)
+const pendingIndexes = new Map();
+
+const getCacheDir = () => join(remote.app.getPath('userData'), 'keyframe-index');
+
+const getCacheKey = ({ filePath, streamIndex, stat: { size, mtimeMs } }) => getKeyframeIndexCacheKey({ filePath, streamIndex, size, mtimeMs });
+
+const getCacheFileName = (cacheKey) => `${createHash('sha1').update(cacheKey).digest('hex')}.json`;
+
+const mapTimesToKeyframes = (times) => times.map((time) => ({ time, keyframe: true }));
+
+// Synchronous lookup, returns undefined if the index is not yet loaded (or created), or if the file has changed since
+export function getKeyframeIndex({ filePath, streamIndex }) {
+  try {
+    return memoryCache.get(getCacheKey({ filePath, streamIndex, stat: fs.statSync(filePath) }));
+  } catch (err) {
+    return undefined;
+  }
+}
+
+async function readCachedIndex({ cacheKey }) {
+  try {
+    const { keyframeTimes } = await fs.readJson(join(getCacheDir(), getCacheFileName(cacheKey)));
+    return keyframeTimes;
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.warn('Failed to read keyframe index cache', err);
+    return undefined;
+  }
+}
+
+async function pruneCacheDir() {
+  const cacheDir = getCacheDir();
+  const names = (await fs.readdir(cacheDir)).filter((name) => name.endsWith('.json'));
+  if (names.length <= maxDiskCacheFiles) return;
+  const files = await Promise.all(names.map(async (name) => ({ name, mtimeMs: (await fs.stat(join(cacheDir, name))).mtimeMs })));
+  await Promise.all(getCacheFilesToPrune(files, maxDiskCacheFiles).map((name) => fs.unlink(join(cacheDir, name))));
+}
+
+async function writeCachedIndex({ cacheKey, filePath, streamIndex, keyframeTimes }) {
+  try {
+    await fs.mkdirp(getCacheDir());
+    await fs.writeJson(join(getCacheDir(), getCacheFileName(cacheKey)), { version: keyframeIndexCacheVersion, filePath, streamIndex, keyframeTimes });
+    await pruneCacheDir();
+  } catch (err) {
+    console.warn('Failed to write keyframe index cache', err);
+  }
+}
+
+// `readKeyframeTimes` does the actual (slow) scan of the file if there is no cached index. It should be aborted if the index is no longer needed (e.g. another file was opened)
+export async function getOrCreateKeyframeIndex({ filePath, streamIndex, readKeyframeTimes }) {
+  const cacheKey = getCacheKey({ filePath, streamIndex, stat: await fs.stat(filePath) });
+
+  const cached = memoryCache.get(cacheKey);
+  if (cached) return cached;
+
+  // Don't scan the same file twice at the same time
+  const pending = pendingIndexes.get(cacheKey);
+  if (pending) return pending;
+
+  const promise = (async () => {
+    let keyframeTimes = await readCachedIndex({ cacheKey });
+    if (keyframeTimes == null) {
+      console.log('Creating keyframe index', filePath, streamIndex);
+      keyframeTimes = await readKeyframeTimes();
+      await writeCachedIndex({ cacheKey, filePath, streamIndex, keyframeTimes });
+    }
+    const keyframes = mapTimesToKeyframes(keyframeTimes);
+    memoryCache.set(cacheKey, keyframes);
+    return keyframes;
+  })();
+
+  pendingIndexes.set(cacheKey, promise);
+  try {
+    return await promise;
+  } finally {
+    pendingIndexes.delete(cacheKey);
+  }
+}
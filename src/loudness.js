@@ -0,0 +1,59 @@
+// Parsing of the output of ffmpeg's ebur128 filter. Loudness is in LUFS, loudness range in LU and true peak in dBFS
+
+const parseLoudnessValue = (str) => (/^-inf$/i.test(str) ? -Infinity : parseFloat(str));
+
+const loudnessValueRegex = '(-?[\\d.]+|-inf)';
+
+// e.g. "[Parsed_ebur128_0 @ 0x7f8b5c] t: 1.2   TARGET:-23 LUFS    M: -25.3 S: -26.1     I: -25.3 LUFS       LRA:   0.0 LU"
+export function parseEbur128FrameLine(line) {
+  const match = line.match(new RegExp(`\\bt:\\s*([\\d.]+)\\s+TARGET:.*\\bS:\\s*${loudnessValueRegex}`));
+  if (!match) return undefined;
+  const time = parseFloat(match[1]);
+  if (Number.isNaN(time)) return undefined;
+  return { time, shortTerm: parseLoudnessValue(match[2]) };
+}
+
+const isEbur128SummaryLine = (line) => /\bSummary:\s*$/.test(line);
+
+// Returns a line matcher for `detectIntervals`, which returns an interval each time the short-term loudness has been above `threshold` for at least `minDuration` seconds.
+// Loudness that lasts until the end of the file is returned when the summary is printed
+export function createLoudIntervalMatcher({ threshold, minDuration }) {
+  let loudStart;
+  let lastTime;
+
+  function endInterval() {
+    const interval = loudStart != null && lastTime - loudStart >= minDuration ? { start: loudStart, end: lastTime } : {};
+    loudStart = undefined;
+    return interval;
+  }
+
+  return (line) => {
+    if (isEbur128SummaryLine(line)) return endInterval();
+
+    const frame = parseEbur128FrameLine(line);
+    if (!frame) return {};
+    lastTime = frame.time;
+
+    if (frame.shortTerm > threshold) {
+      if (loudStart == null) loudStart = frame.time;
+      return {};
+    }
+    return endInterval();
+  };
+}
+
+export function parseEbur128Summary(text) {
+  const summaryIndex = text.search(/\bSummary:/);
+  const getValue = (regex) => {
+    const match = summaryIndex >= 0 && text.slice(summaryIndex).match(regex);
+    return match ? parseLoudnessValue(match[1]) : undefined;
+  };
+
+  return {
+    integrated: getValue(new RegExp(`Integrated loudness:\\s+I:\\s+${loudnessValueRegex}\\s+LUFS`)),
+    lra: getValue(new RegExp(`Loudness range:\\s+LRA:\\s+${loudnessValueRegex}\\s+LU`)),
+    truePeak: getValue(new RegExp(`True peak:\\s+Peak:\\s+${loudnessValueRegex}\\s+dBFS`)),
+  };
+}
+
+export const formatLoudness = (value) => (Number.isFinite(value) ? value.toFixed(1) : '-∞');
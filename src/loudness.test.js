@@ -0,0 +1,46 @@
+import { parseEbur128FrameLine, createLoudIntervalMatcher, parseEbur128Summary, formatLoudness } from './loudness';
+
+const frameLine = (time, shortTerm) => `[Parsed_ebur128_0 @ 0x7f8b5c004d40] t: ${time}      TARGET:-23 LUFS    M: -20.0 S: ${shortTerm}     I: -25.3 LUFS       LRA:   0.0 LU`;
+
+const summary = `[Parsed_ebur128_0 @ 0x7f8b5c004d40] Summary:
+
+  Integrated loudness:
+    I:         -19.6 LUFS
+    Threshold: -29.8 LUFS
+
+  Loudness range:
+    LRA:         6.3 LU
+    Threshold:  -39.7 LUFS
+    LRA low:    -24.3 LUFS
+    LRA high:   -18.0 LUFS
+
+  True peak:
+    Peak:        -0.5 dBFS
+`;
+
+it('parses ebur128 frame lines', () => {
+  expect(parseEbur128FrameLine(frameLine(1.2, -26.1))).toEqual({ time: 1.2, shortTerm: -26.1 });
+  expect(parseEbur128FrameLine(frameLine(0.1, '-inf'))).toEqual({ time: 0.1, shortTerm: -Infinity });
+  expect(parseEbur128FrameLine('size=N/A time=00:00:01.00 bitrate=N/A speed= 100x')).toBeUndefined();
+});
+
+it('finds intervals where loudness is above the threshold', () => {
+  const matchLine = createLoudIntervalMatcher({ threshold: -15, minDuration: 2 });
+  const lines = [
+    frameLine(1, -20), frameLine(2, -10), frameLine(3, -10), frameLine(4, -10), frameLine(5, -20),
+    frameLine(6, -10), frameLine(7, -20),
+    frameLine(8, -10), frameLine(9, '-inf'), frameLine(10, -10), frameLine(11, -10), frameLine(12, -10),
+    '[Parsed_ebur128_0 @ 0x7f8b5c004d40] Summary:',
+  ];
+  expect(lines.map(matchLine).filter(({ start }) => start != null)).toEqual([{ start: 2, end: 5 }, { start: 10, end: 12 }]);
+});
+
+it('parses ebur128 summary', () => {
+  expect(parseEbur128Summary(`${frameLine(10, -20)}\n${summary}`)).toEqual({ integrated: -19.6, lra: 6.3, truePeak: -0.5 });
+  expect(parseEbur128Summary(summary.replace('-19.6', '-inf'))).toMatchObject({ integrated: -Infinity });
+});
+
+it('formats loudness', () => {
+  expect(formatLoudness(-19.64)).toBe('-19.6');
+  expect(formatLoudness(-Infinity)).toBe('-∞');
+});
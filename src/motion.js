@@ -0,0 +1,71 @@
+import { combineOverlappingSegments } from './segments';
+
+// Motion is detected from the average luma difference (0-255) between consecutive frames. Sensitivity is 0-100
+export const getMotionThreshold = (sensitivity) => (100 - sensitivity) / 10;
+
+// Motion often pauses for a moment, so motion less than this many seconds apart is considered one event
+const maxMotionGap = 1;
+
+// `samples` are `{ time, value }` where `value` is the frame difference. `duration` limits the padded segments
+export function getMotionSegments(samples, { threshold, minDuration, prePadding, postPadding, duration }) {
+  const events = [];
+  let event;
+  samples.forEach(({ time, value }) => {
+    if (!(value > threshold)) return;
+    if (event && time - event.end <= maxMotionGap) {
+      event.end = time;
+      return;
+    }
+    event = { start: time, end: time };
+    events.push(event);
+  });
+
+  const segments = events
+    .filter(({ start, end }) => end - start >= minDuration)
+    .map(({ start, end }) => ({ start: Math.max(0, start - prePadding), end: duration != null ? Math.min(duration, end + postPadding) : end + postPadding }));
+
+  // Padding can make events overlap
+  return combineOverlappingSegments(segments, (seg) => seg.end);
+}
+
+// ffmpeg crop filter syntax: width:height:x:y
+export const formatCropRegion = ({ x, y, width, height }) => `${width}:${height}:${x}:${y}`;
+
+export const isValidCropRegion = (str) => /^\d+:\d+:\d+:\d+$/.test(str);
+
+// The small tolerance is for floating point errors when mapping from screen pixels (e.g. 1919.9999 must become 1920)
+const roundDownToEven = (n) => Math.floor(n / 2 + 1e-6) * 2;
+
+// Maps a rectangle drawn on top of the player (which uses `object-fit: contain`) to a region in video pixels.
+// The player shows the video rotated and stretched by its sample aspect ratio (`sampleAspectRatio` as reported by ffprobe, e.g. "64:45").
+// ffmpeg also rotates the frames before cropping them (autorotate), but it does not scale them, so the region is in rotated, non-stretched pixels.
+// Sizes are rounded to even numbers, because of chroma subsampling
+export function mapRectToVideoRegion({ rect, containerWidth, containerHeight, videoWidth, videoHeight, rotation = 0, sampleAspectRatio }) {
+  const [sarNum, sarDen] = (sampleAspectRatio || '').split(':').map((str) => parseInt(str, 10));
+  const sar = sarNum > 0 && sarDen > 0 ? sarNum / sarDen : 1;
+  const isRotated = [90, 270].includes(((rotation % 360) + 360) % 360);
+
+  const frameWidth = isRotated ? videoHeight : videoWidth;
+  const frameHeight = isRotated ? videoWidth : videoHeight;
+  const displayWidth = isRotated ? videoHeight : videoWidth * sar;
+  const displayHeight = isRotated ? videoWidth * sar : videoHeight;
+
+  const scale = Math.min(containerWidth / displayWidth, containerHeight / displayHeight);
+  const offsetX = (containerWidth - displayWidth * scale) / 2;
+  const offsetY = (containerHeight - displayHeight * scale) / 2;
+  const scaleX = (scale * displayWidth) / frameWidth;
+  const scaleY = (scale * displayHeight) / frameHeight;
+
+  const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+  const x1 = clamp((Math.min(rect.x1, rect.x2) - offsetX) / scaleX, frameWidth);
+  const x2 = clamp((Math.max(rect.x1, rect.x2) - offsetX) / scaleX, frameWidth);
+  const y1 = clamp((Math.min(rect.y1, rect.y2) - offsetY) / scaleY, frameHeight);
+  const y2 = clamp((Math.max(rect.y1, rect.y2) - offsetY) / scaleY, frameHeight);
+
+  const x = roundDownToEven(x1);
+  const y = roundDownToEven(y1);
+  const width = roundDownToEven(x2 - x);
+  const height = roundDownToEven(y2 - y);
+  if (width < 2 || height < 2) return undefined;
+  return { x, y, width, height };
+}
@@ -0,0 +1,43 @@
+import { getMotionThreshold, getMotionSegments, formatCropRegion, isValidCropRegion, mapRectToVideoRegion } from './motion';
+
+it('creates padded segments from motion', () => {
+  const samples = [0, 0.5, 1, 1.5, 2, 2.5, 3, 10, 10.5, 20, 20.5, 21, 21.5, 22].map((time) => ({ time, value: [0.5, 1, 1.5, 2, 10, 10.5, 20, 20.5, 21, 21.5].includes(time) ? 8 : 1 }));
+  const options = { threshold: getMotionThreshold(50), minDuration: 0.5, prePadding: 1, postPadding: 2, duration: 22 };
+  expect(getMotionSegments(samples, options)).toEqual([{ start: 0, end: 4 }, { start: 9, end: 12.5 }, { start: 19, end: 22 }]);
+  expect(getMotionSegments(samples, { ...options, minDuration: 1 })).toEqual([{ start: 0, end: 4 }, { start: 19, end: 22 }]);
+  expect(getMotionSegments(samples, { ...options, prePadding: 0, postPadding: 0 })).toEqual([{ start: 0.5, end: 2 }, { start: 10, end: 10.5 }, { start: 20, end: 21.5 }]);
+});
+
+it('merges overlapping padded segments', () => {
+  const samples = [{ time: 1, value: 10 }, { time: 2, value: 10 }, { time: 5, value: 10 }, { time: 6, value: 10 }];
+  expect(getMotionSegments(samples, { threshold: 5, minDuration: 0, prePadding: 2, postPadding: 2 })).toEqual([{ start: 0, end: 8 }]);
+});
+
+it('formats and validates crop regions', () => {
+  expect(formatCropRegion({ x: 10, y: 20, width: 300, height: 200 })).toBe('300:200:10:20');
+  expect(isValidCropRegion('300:200:10:20')).toBe(true);
+  expect(isValidCropRegion('300:200')).toBe(false);
+});
+
+it('maps a drawn rectangle to video pixels', () => {
+  // 1920x1080 video in a 960x1000 container: scale 0.5, letterboxed with 230px above and below
+  const base = { containerWidth: 960, containerHeight: 1000, videoWidth: 1920, videoHeight: 1080 };
+  expect(mapRectToVideoRegion({ ...base, rect: { x1: 480, y1: 500, x2: 100, y2: 230 } })).toEqual({ x: 200, y: 0, width: 760, height: 540 });
+  expect(mapRectToVideoRegion({ ...base, rect: { x1: 0, y1: 0, x2: 960, y2: 1000 } })).toEqual({ x: 0, y: 0, width: 1920, height: 1080 });
+  expect(mapRectToVideoRegion({ ...base, rect: { x1: 10, y1: 10, x2: 20, y2: 20 } })).toBeUndefined();
+});
+
+it('maps a drawn rectangle to pixels of a rotated video', () => {
+  // 1920x1080 video rotated by 90 degrees is shown as 1080x1920. In a 1000x960 container: scale 0.5, pillarboxed with 230px left and right
+  const base = { containerWidth: 1000, containerHeight: 960, videoWidth: 1920, videoHeight: 1080 };
+  expect(mapRectToVideoRegion({ ...base, rotation: 90, rect: { x1: 0, y1: 0, x2: 1000, y2: 960 } })).toEqual({ x: 0, y: 0, width: 1080, height: 1920 });
+  expect(mapRectToVideoRegion({ ...base, rotation: -90, rect: { x1: 230, y1: 0, x2: 500, y2: 480 } })).toEqual({ x: 0, y: 0, width: 540, height: 960 });
+  expect(mapRectToVideoRegion({ ...base, rotation: 180, rect: { x1: 0, y1: 0, x2: 1000, y2: 960 } })).toEqual({ x: 0, y: 0, width: 1920, height: 1080 });
+});
+
+it('maps a drawn rectangle to pixels of a video with non-square pixels', () => {
+  // 720x576 with a sample aspect ratio of 64:45 is shown as 1024x576
+  const base = { containerWidth: 1024, containerHeight: 576, videoWidth: 720, videoHeight: 576, sampleAspectRatio: '64:45' };
+  expect(mapRectToVideoRegion({ ...base, rect: { x1: 512, y1: 0, x2: 1024, y2: 288 } })).toEqual({ x: 360, y: 0, width: 360, height: 288 });
+  expect(mapRectToVideoRegion({ ...base, sampleAspectRatio: '0:1', rect: { x1: 0, y1: 0, x2: 1024, y2: 576 } })).toEqual({ x: 0, y: 0, width: 720, height: 576 });
+});
@@ -1,21 +1,49 @@
 import { v4 as uuidv4 } from 'uuid';
 import sortBy from 'lodash/sortBy';
+import groupBy from 'lodash/groupBy';
+import i18n from 'i18next';
 
 
 export const isDurationValid = (duration) => Number.isFinite(duration) && duration > 0;
 
-export const createSegment = ({ start, end, name, tags, segColorIndex } = {}) => ({
+// Segments without a `layer` belong to the default layer
+export const defaultLayerName = 'default';
+
+// Audio edit segments are not cut out, instead their audio is muted (or bleeped) when exporting, while the video is still copied
+export const audioEditSegmentTypes = ['mute', 'bleep'];
+
+export const isAudioEditSegment = (segment) => audioEditSegmentTypes.includes(segment.type);
+
+// Per-segment overrides of the export options (all optional):
+// `keyframeCut` (boolean), `enableSmartCut` (boolean), `streamTypes` (codec types of the tracks to keep, e.g. ['audio']) and `outFormat` (ffmpeg format)
+export function sanitizeSegmentExportOptions(exportOptions) {
+  if (exportOptions == null || typeof exportOptions !== 'object') return undefined;
+  const { keyframeCut, enableSmartCut, streamTypes, outFormat } = exportOptions;
+  const ret = {
+    ...(typeof keyframeCut === 'boolean' && { keyframeCut }),
+    ...(typeof enableSmartCut === 'boolean' && { enableSmartCut }),
+    ...(Array.isArray(streamTypes) && streamTypes.length > 0 && { streamTypes: streamTypes.map(String) }),
+    ...(typeof outFormat === 'string' && outFormat !== '' && { outFormat }),
+  };
+  return Object.keys(ret).length > 0 ? ret : undefined;
+}
+
+export const createSegment = ({ start, end, name, tags, segColorIndex, layer, type, exportOptions } = {}) => ({
   start,
   end,
   name: name || '',
   segId: uuidv4(),
   segColorIndex,
+  layer: layer != null && layer !== defaultLayerName ? String(layer) : undefined,
+  type: audioEditSegmentTypes.includes(type) ? type : undefined,
 
   // `tags` is an optional object (key-value). Values must always be string
   // See https://github.com/mifi/lossless-cut/issues/879
   tags: tags != null && typeof tags === 'object'
     ? Object.fromEntries(Object.entries(tags).map(([key, value]) => [key, String(value)]))
     : undefined,
+
+  exportOptions: sanitizeSegmentExportOptions(exportOptions),
 });
 
 // Because segments could have undefined start / end
@@ -32,13 +60,60 @@ export function getSegApparentEnd(seg, duration) {
   return 0; // Haven't gotten duration yet - what do to ¯\_(ツ)_/¯
 }
 
+// Segments with their start and end filled in, for when undefined start / end cannot be represented
+export const getApparentSegments = (segments, duration) => segments.map((seg) => ({
+  ...seg,
+  start: getSegApparentStart(seg),
+  end: getSegApparentEnd(seg, duration),
+}));
+
 export const getCleanCutSegments = (cs) => cs.map((seg) => ({
   start: seg.start,
   end: seg.end,
   name: seg.name,
   tags: seg.tags,
+  layer: seg.layer,
+  type: seg.type,
+  exportOptions: seg.exportOptions,
 }));
 
+// The ranges of `audioEditSegments` that overlap with from-to. Times are relative to `timeOffset` (where the output's timestamps start)
+export const getAudioEditRanges = ({ audioEditSegments, from, to, timeOffset = 0 }) => audioEditSegments
+  .filter((segment) => segment.start < to && segment.end > from)
+  .map((segment) => ({ type: segment.type, start: Math.max(segment.start, from) - timeOffset, end: Math.min(segment.end, to) - timeOffset }));
+
+export const getSegmentLayerName = (segment) => (segment.layer != null ? String(segment.layer) : defaultLayerName);
+
+export const createLayer = ({ name, color, exportEnabled = true }) => ({ name, color, exportEnabled });
+
+export const createInitialLayers = () => [createLayer({ name: defaultLayerName })];
+
+export const getLayerLabel = (name) => (name === defaultLayerName ? i18n.t('Default layer') : name);
+
+// Layers from a project file override the existing layers with the same name
+export const mergeLayers = (layers, newLayers) => [
+  ...layers.map((layer) => newLayers.find((newLayer) => newLayer.name === layer.name) || layer),
+  ...newLayers.filter((newLayer) => !layers.some((layer) => layer.name === newLayer.name)),
+];
+
+// Makes sure that all layers used by `segments` exist, keeping the existing layers' properties
+export function addMissingLayers(layers, segments, getNewLayerColor = () => undefined) {
+  const newLayers = [...layers];
+  segments.forEach((segment) => {
+    const name = getSegmentLayerName(segment);
+    if (!newLayers.some((layer) => layer.name === name)) newLayers.push(createLayer({ name, color: getNewLayerColor(newLayers.length) }));
+  });
+  return newLayers;
+}
+
+// If `exportLayerName` is set, only that layer is exported, else all layers that have export enabled
+export function isSegmentInExportedLayers({ segment, layers, exportLayerName }) {
+  const name = getSegmentLayerName(segment);
+  if (exportLayerName != null) return name === exportLayerName;
+  const layer = layers.find((l) => l.name === name);
+  return layer == null || layer.exportEnabled;
+}
+
 export function findSegmentsAtCursor(apparentSegments, currentTime) {
   const indexes = [];
   apparentSegments.forEach((segment, index) => {
@@ -49,6 +124,40 @@ export function findSegmentsAtCursor(apparentSegments, currentTime) {
 
 export const getSegmentTags = (segment) => (segment.tags || {});
 
+export const getSegmentExportOptions = (segment) => (segment.exportOptions || {});
+
+// The export options of one segment, with its overrides (if any) applied on top of the global ones
+export function getSegmentExportParams({ segment, keyframeCut, enableSmartCut, outFormat, copyFileStreams, allFilesMeta }) {
+  const exportOptions = getSegmentExportOptions(segment);
+  const { streamTypes } = exportOptions;
+
+  const getStream = (path, streamId) => allFilesMeta[path].streams.find(({ index }) => index === streamId);
+
+  const segmentCopyFileStreams = streamTypes == null ? copyFileStreams : copyFileStreams.map(({ path, streamIds }) => ({
+    path,
+    streamIds: streamIds.filter((streamId) => {
+      const stream = getStream(path, streamId);
+      return stream != null && streamTypes.includes(stream.codec_type);
+    }),
+  }));
+
+  // Smart cut only works on videos, so e.g. an "audio only" segment is always cut normally
+  const haveVideo = segmentCopyFileStreams.some(({ path, streamIds }) => streamIds.some((streamId) => getStream(path, streamId)?.codec_type === 'video'));
+
+  return {
+    keyframeCut: exportOptions.keyframeCut ?? keyframeCut,
+    enableSmartCut: haveVideo && (exportOptions.enableSmartCut ?? enableSmartCut),
+    outFormat: exportOptions.outFormat ?? outFormat,
+    copyFileStreams: segmentCopyFileStreams,
+  };
+}
+
+// Segments with a different output format or tracks than the others cannot be merged into one file
+export const haveUnmergeableSegmentExportOptions = (segments) => segments.some((segment) => {
+  const { streamTypes, outFormat } = getSegmentExportOptions(segment);
+  return streamTypes != null || outFormat != null;
+});
+
 export const sortSegments = (segments) => sortBy(segments, 'start');
 
 // https://stackoverflow.com/a/30472982/6519037
@@ -79,8 +188,10 @@ export function partitionIntoOverlappingRanges(array, getSegmentStart = (seg) =>
   return ret.filter((group) => group.length > 1).map((group) => sortBy(group, (seg) => getSegmentStart(seg)));
 }
 
+// Layers are independent, so only segments of the same layer (and type, e.g. "mute") are combined
 export function combineOverlappingSegments(existingSegments, getSegApparentEnd2) {
-  const partitionedSegments = partitionIntoOverlappingRanges(existingSegments, getSegApparentStart, getSegApparentEnd2);
+  const groups = Object.values(groupBy(existingSegments, (segment) => JSON.stringify([getSegmentLayerName(segment), segment.type ?? null])));
+  const partitionedSegments = groups.flatMap((group) => partitionIntoOverlappingRanges(group, getSegApparentStart, getSegApparentEnd2));
 
   return existingSegments.map((existingSegment) => {
     const partOfPartition = partitionedSegments.find((partition) => partition.includes(existingSegment));
@@ -145,6 +256,67 @@ export function invertSegments(sortedCutSegments, includeFirstSegment, includeLa
   return ret.filter(({ start, end }) => end == null || start == null || end > start);
 }
 
+// The parts between the segments, from `from` to `to`. Overlapping segments are combined first
+export function invertSegmentsWithinRange(segments, from, to) {
+  const combined = combineOverlappingSegments(sortSegments(segments), (seg) => seg.end);
+  return invertSegments([{ start: from, end: from }, ...combined, { start: to, end: to }], false, false);
+}
+
+// Replaces the segments of layer `layerName` that are within `from` - `to` by `newSegments`. Other segments are kept
+export function replaceSegmentsWithinRange({ segments, newSegments, from, to, layerName, duration }) {
+  const isReplaced = (segment) => getSegmentLayerName(segment) === layerName && getSegApparentStart(segment) >= from && getSegApparentEnd(segment, duration) <= to;
+  return [...segments.filter((segment) => !isReplaced(segment)), ...newSegments];
+}
+
+// Intervals of `a` and `b` that coincide, allowing a gap of up to `tolerance` seconds between them.
+// The result is their overlap, or the gap between them if they don't overlap
+export function intersectIntervals(a, b, tolerance = 0) {
+  const ret = [];
+  a.forEach((intervalA) => {
+    b.forEach((intervalB) => {
+      if (intervalB.start - intervalA.end > tolerance || intervalA.start - intervalB.end > tolerance) return;
+      const start = Math.max(intervalA.start, intervalB.start);
+      const end = Math.min(intervalA.end, intervalB.end);
+      ret.push({ start: Math.min(start, end), end: Math.max(start, end) });
+    });
+  });
+  return combineOverlappingSegments(sortSegments(ret), (seg) => seg.end);
+}
+
+// A commercial break consists of ads, each one starting and ending with a marker (e.g. black frames with silence).
+// Markers that are between `minAdDuration` and `maxAdDuration` seconds apart are joined into one break. Markers closer than that are merged.
+// Markers that are not part of a break are left out
+export function getAdBlocks(markers, { minAdDuration, maxAdDuration }) {
+  const blocks = [];
+  let block;
+  sortSegments(markers).forEach((marker) => {
+    if (block) {
+      const adDuration = marker.start - block.end;
+      if (adDuration < minAdDuration) {
+        block.end = Math.max(block.end, marker.end);
+        return;
+      }
+      if (adDuration <= maxAdDuration) {
+        block.end = marker.end;
+        block.numAds += 1;
+        return;
+      }
+    }
+    block = { start: marker.start, end: marker.end, numAds: 0 };
+    blocks.push(block);
+  });
+  return blocks.filter(({ numAds }) => numAds > 0).map(({ start, end }) => ({ start, end }));
+}
+
+// Commercial breaks are where black frames coincide with silence. If `maxAdDuration` is 0, all such markers are returned.
+// With `invert`, the parts between the breaks (within `from` and `to`) are returned instead, for keeping the program
+export function getCommercialBreaks({ blackIntervals, silenceIntervals, tolerance, minAdDuration, maxAdDuration, invert, from, to }) {
+  const markers = intersectIntervals(blackIntervals, silenceIntervals, tolerance);
+  const breaks = maxAdDuration > 0 ? getAdBlocks(markers, { minAdDuration, maxAdDuration }) : markers;
+  if (!invert) return breaks;
+  return invertSegmentsWithinRange(breaks, from, to);
+}
+
 // because chapters need to be contiguous, we need to insert gaps in-between
 export function convertSegmentsToChapters(sortedSegments) {
   if (sortedSegments.length < 1) return [];
@@ -156,3 +328,49 @@ export function convertSegmentsToChapters(sortedSegments) {
   // inverted segments will be "gap" segments. Merge together with normal segments
   return sortSegments([...sortedSegments, ...invertedSegments]);
 }
+
+export const createChapter = ({ start, name }) => ({ start, name: name || '', chapterId: uuidv4() });
+
+// In the chapter editor only the start times are edited, so each chapter ends where the next one starts (or at the end of the file)
+export function getChaptersWithEnds(chapters, duration) {
+  const sortedChapters = sortSegments(chapters);
+  return sortedChapters
+    .map(({ start, name }, i) => ({ start, end: i < sortedChapters.length - 1 ? sortedChapters[i + 1].start : duration, name }))
+    .filter(({ start, end }) => end > start);
+}
+
+// A segment template can be applied to files of different durations (see "Apply to all batch files"). Types:
+// `absolute`: the same times in every file
+// `relativeToEnd`: times are counted backwards from the end of the file (undefined start/end still means start/end of the file)
+// `trim`: one segment without the first `trimStart` and the last `trimEnd` seconds
+export function createSegmentTemplate({ type, segments, duration }) {
+  if (type !== 'relativeToEnd') return { type, segments };
+  return {
+    type,
+    segments: segments.map((segment) => ({
+      ...segment,
+      start: segment.start != null ? duration - segment.start : undefined,
+      end: segment.end != null ? duration - segment.end : undefined,
+    })),
+  };
+}
+
+export function getSegmentsFromTemplate(template, duration) {
+  let segments;
+  if (template.type === 'trim') {
+    segments = [{ start: template.trimStart, end: duration - template.trimEnd }];
+  } else if (template.type === 'relativeToEnd') {
+    segments = template.segments.map((segment) => ({
+      ...segment,
+      start: segment.start != null ? duration - segment.start : undefined,
+      end: segment.end != null ? duration - segment.end : undefined,
+    }));
+  } else {
+    segments = template.segments;
+  }
+
+  // Segments that are (partly) outside of the file are cut down to the file's duration
+  return segments
+    .map((segment) => ({ ...segment, start: Math.max(segment.start ?? 0, 0), end: Math.min(segment.end ?? duration, duration) }))
+    .filter(({ start, end }) => start < end);
+}
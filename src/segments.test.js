@@ -1,4 +1,4 @@
-import { convertSegmentsToChapters, partitionIntoOverlappingRanges, getSegApparentStart, getSegApparentEnd } from './segments';
+import { convertSegmentsToChapters, partitionIntoOverlappingRanges, getSegApparentStart, getSegApparentEnd, createInitialLayers, createLayer, addMissingLayers, mergeLayers, isSegmentInExportedLayers, getAudioEditRanges, getChaptersWithEnds, createSegmentTemplate, getSegmentsFromTemplate, intersectIntervals, getAdBlocks, getCommercialBreaks, invertSegmentsWithinRange, replaceSegmentsWithinRange, defaultLayerName, sanitizeSegmentExportOptions, getSegmentExportParams, haveUnmergeableSegmentExportOptions, combineOverlappingSegments } from './segments';
 
 it('converts segments to chapters with gaps', () => {
   expect(convertSegmentsToChapters([
@@ -107,3 +107,165 @@ it('detects overlapping segments, undefined end', () => {
     [{ start: 1, end: undefined }, { start: 1.5, end: undefined }],
   ]);
 });
+
+it('combines overlapping segments only within the same layer and type', () => {
+  const segments = [
+    { start: 0, end: 5 },
+    { start: 2, end: 8, layer: 'ads' },
+    { start: 4, end: 10 },
+    { start: 6, end: 9, layer: 'ads' },
+    { start: 3, end: 4, type: 'mute' },
+  ];
+  expect(combineOverlappingSegments(segments, (seg) => seg.end)).toEqual([
+    { start: 0, end: 10 },
+    { start: 2, end: 9, layer: 'ads' },
+    { start: 3, end: 4, type: 'mute' },
+  ]);
+});
+
+it('adds missing layers from segments', () => {
+  const layers = mergeLayers(createInitialLayers(), [createLayer({ name: 'ads', color: '#ff0000', exportEnabled: false })]);
+  expect(addMissingLayers(layers, [{ start: 1 }, { start: 2, layer: 'ads' }, { start: 3, layer: 'review' }], () => '#00ff00')).toEqual([
+    { name: 'default', color: undefined, exportEnabled: true },
+    { name: 'ads', color: '#ff0000', exportEnabled: false },
+    { name: 'review', color: '#00ff00', exportEnabled: true },
+  ]);
+});
+
+it('filters segments by exported layers', () => {
+  const layers = [createLayer({ name: 'default' }), createLayer({ name: 'ads', exportEnabled: false }), createLayer({ name: 'review' })];
+  const segments = [{ start: 1 }, { start: 2, layer: 'ads' }, { start: 3, layer: 'review' }];
+  expect(segments.filter((segment) => isSegmentInExportedLayers({ segment, layers }))).toEqual([{ start: 1 }, { start: 3, layer: 'review' }]);
+  expect(segments.filter((segment) => isSegmentInExportedLayers({ segment, layers, exportLayerName: 'ads' }))).toEqual([{ start: 2, layer: 'ads' }]);
+  expect(segments.filter((segment) => isSegmentInExportedLayers({ segment, layers, exportLayerName: 'default' }))).toEqual([{ start: 1 }]);
+});
+
+it('gets audio edit ranges relative to the cut', () => {
+  const audioEditSegments = [{ start: 1, end: 3, type: 'mute' }, { start: 5, end: 6, type: 'bleep' }, { start: 9, end: 12, type: 'mute' }];
+  expect(getAudioEditRanges({ audioEditSegments, from: 2, to: 10, timeOffset: 2 })).toEqual([
+    { start: 0, end: 1, type: 'mute' },
+    { start: 3, end: 4, type: 'bleep' },
+    { start: 7, end: 8, type: 'mute' },
+  ]);
+  expect(getAudioEditRanges({ audioEditSegments, from: 3, to: 5 })).toEqual([]);
+});
+
+it('gets chapter ends from the next chapter start', () => {
+  expect(getChaptersWithEnds([
+    { start: 30, name: 'Second', chapterId: 'b' },
+    { start: 0, name: 'First', chapterId: 'a' },
+    { start: 30, name: 'Duplicate', chapterId: 'c' },
+    { start: 50, name: 'Last', chapterId: 'd' },
+  ], 100)).toEqual([
+    { start: 0, end: 30, name: 'First' },
+    { start: 30, end: 50, name: 'Duplicate' },
+    { start: 50, end: 100, name: 'Last' },
+  ]);
+});
+
+it('applies segment templates to files of different durations', () => {
+  const segments = [{ start: 0, end: 10, name: 'Intro' }, { start: 80, end: undefined, name: 'Outro' }];
+
+  const absolute = createSegmentTemplate({ type: 'absolute', segments, duration: 100 });
+  expect(getSegmentsFromTemplate(absolute, 50)).toEqual([{ start: 0, end: 10, name: 'Intro' }]);
+
+  const relativeToEnd = createSegmentTemplate({ type: 'relativeToEnd', segments, duration: 100 });
+  expect(getSegmentsFromTemplate(relativeToEnd, 200)).toEqual([{ start: 100, end: 110, name: 'Intro' }, { start: 180, end: 200, name: 'Outro' }]);
+  expect(getSegmentsFromTemplate(relativeToEnd, 50)).toEqual([{ start: 30, end: 50, name: 'Outro' }]);
+
+  expect(getSegmentsFromTemplate({ type: 'trim', trimStart: 5, trimEnd: 10 }, 60)).toEqual([{ start: 5, end: 50 }]);
+  expect(getSegmentsFromTemplate({ type: 'trim', trimStart: 30, trimEnd: 30 }, 60)).toEqual([]);
+});
+
+it('intersects black and silence intervals with tolerance', () => {
+  const black = [{ start: 10, end: 11 }, { start: 50, end: 50.5 }, { start: 100, end: 101 }];
+  const silence = [{ start: 10.5, end: 12 }, { start: 50.8, end: 51 }, { start: 200, end: 201 }];
+  expect(intersectIntervals(black, silence)).toEqual([{ start: 10.5, end: 11 }]);
+  expect(intersectIntervals(black, silence, 0.5)).toEqual([{ start: 10.5, end: 11 }, { start: 50.5, end: 50.8 }]);
+});
+
+it('joins markers into commercial breaks of typical ad length', () => {
+  const markers = [
+    { start: 100, end: 100.5 },
+    { start: 130, end: 130.5 },
+    { start: 131, end: 131.2 },
+    { start: 160, end: 160.5 },
+    { start: 600, end: 600.5 },
+    { start: 1000, end: 1000.5 },
+    { start: 1015, end: 1015.5 },
+  ];
+  expect(getAdBlocks(markers, { minAdDuration: 10, maxAdDuration: 60 })).toEqual([{ start: 100, end: 160.5 }, { start: 1000, end: 1015.5 }]);
+});
+
+it('gets commercial breaks, or the program between them', () => {
+  const blackIntervals = [{ start: 100, end: 101 }, { start: 130, end: 131 }, { start: 500, end: 501 }];
+  const silenceIntervals = [{ start: 100.2, end: 101 }, { start: 130, end: 130.5 }, { start: 500, end: 501 }];
+  const options = { blackIntervals, silenceIntervals, tolerance: 0, minAdDuration: 10, maxAdDuration: 60, from: 0, to: 600 };
+  expect(getCommercialBreaks(options)).toEqual([{ start: 100.2, end: 130.5 }]);
+  expect(getCommercialBreaks({ ...options, maxAdDuration: 0 })).toEqual([{ start: 100.2, end: 101 }, { start: 130, end: 130.5 }, { start: 500, end: 501 }]);
+  expect(getCommercialBreaks({ ...options, invert: true })).toEqual([{ start: 0, end: 100.2 }, { start: 130.5, end: 600 }]);
+});
+
+it('inverts segments within a range', () => {
+  expect(invertSegmentsWithinRange([{ start: 30, end: 40 }, { start: 12, end: 20 }, { start: 15, end: 25 }], 10, 50)).toEqual([{ start: 10, end: 12 }, { start: 25, end: 30 }, { start: 40, end: 50 }]);
+  expect(invertSegmentsWithinRange([{ start: 10, end: 50 }], 10, 50)).toEqual([]);
+  expect(invertSegmentsWithinRange([], 10, 50)).toEqual([{ start: 10, end: 50 }]);
+});
+
+it('replaces segments of a layer within a range', () => {
+  const segments = [
+    { start: 0, end: 5 },
+    { start: 12, end: 15 },
+    { start: 18, end: 25 },
+    { start: 12, end: 15, layer: 'other' },
+    { start: 30 },
+  ];
+  const newSegments = [{ start: 11, end: 13 }];
+  expect(replaceSegmentsWithinRange({ segments, newSegments, from: 10, to: 20, layerName: defaultLayerName, duration: 40 })).toEqual([
+    { start: 0, end: 5 },
+    { start: 18, end: 25 },
+    { start: 12, end: 15, layer: 'other' },
+    { start: 30 },
+    { start: 11, end: 13 },
+  ]);
+  // open-ended segments extend to the end of the file
+  expect(replaceSegmentsWithinRange({ segments: [{ start: 30 }], newSegments, from: 20, to: 40, layerName: defaultLayerName, duration: 40 })).toEqual(newSegments);
+});
+
+it('sanitizes segment export options', () => {
+  expect(sanitizeSegmentExportOptions(undefined)).toBeUndefined();
+  expect(sanitizeSegmentExportOptions({})).toBeUndefined();
+  expect(sanitizeSegmentExportOptions({ keyframeCut: 'yes', streamTypes: [], outFormat: '' })).toBeUndefined();
+  expect(sanitizeSegmentExportOptions({ keyframeCut: false, enableSmartCut: true, streamTypes: ['audio'], outFormat: 'mp4', other: 1 })).toEqual({ keyframeCut: false, enableSmartCut: true, streamTypes: ['audio'], outFormat: 'mp4' });
+});
+
+it('gets segment export params with overrides', () => {
+  const allFilesMeta = {
+    'a.mp4': { streams: [{ index: 0, codec_type: 'video' }, { index: 1, codec_type: 'audio' }, { index: 2, codec_type: 'subtitle' }] },
+    'b.m4a': { streams: [{ index: 0, codec_type: 'audio' }] },
+  };
+  const copyFileStreams = [{ path: 'a.mp4', streamIds: [0, 1, 2] }, { path: 'b.m4a', streamIds: [0] }];
+  const defaults = { keyframeCut: true, enableSmartCut: false, outFormat: 'mov', copyFileStreams, allFilesMeta };
+
+  expect(getSegmentExportParams({ ...defaults, segment: { start: 0, end: 1 } })).toEqual({ keyframeCut: true, enableSmartCut: false, outFormat: 'mov', copyFileStreams });
+  expect(getSegmentExportParams({ ...defaults, segment: { start: 0, end: 1, exportOptions: { keyframeCut: false, enableSmartCut: true, streamTypes: ['audio'], outFormat: 'ipod' } } })).toEqual({
+    keyframeCut: false, enableSmartCut: false, outFormat: 'ipod', copyFileStreams: [{ path: 'a.mp4', streamIds: [1] }, { path: 'b.m4a', streamIds: [0] }],
+  });
+});
+
+it('disables smart cut for segments without video', () => {
+  const allFilesMeta = {
+    'a.mp4': { streams: [{ index: 0, codec_type: 'video' }, { index: 1, codec_type: 'audio' }] },
+  };
+  const defaults = { keyframeCut: true, enableSmartCut: true, outFormat: 'mp4', copyFileStreams: [{ path: 'a.mp4', streamIds: [0, 1] }], allFilesMeta };
+
+  expect(getSegmentExportParams({ ...defaults, segment: { start: 0, end: 1 } }).enableSmartCut).toBe(true);
+  expect(getSegmentExportParams({ ...defaults, segment: { start: 0, end: 1, exportOptions: { streamTypes: ['video'] } } }).enableSmartCut).toBe(true);
+  expect(getSegmentExportParams({ ...defaults, segment: { start: 0, end: 1, exportOptions: { streamTypes: ['audio'] } } }).enableSmartCut).toBe(false);
+  expect(getSegmentExportParams({ ...defaults, segment: { start: 0, end: 1, exportOptions: { enableSmartCut: true, streamTypes: ['audio'] } } }).enableSmartCut).toBe(false);
+});
+
+it('checks whether segments with export options can be merged', () => {
+  expect(haveUnmergeableSegmentExportOptions([{ start: 0, end: 1 }, { start: 1, end: 2, exportOptions: { keyframeCut: false } }])).toBe(false);
+  expect(haveUnmergeableSegmentExportOptions([{ start: 0, end: 1 }, { start: 1, end: 2, exportOptions: { outFormat: 'mp4' } }])).toBe(true);
+});
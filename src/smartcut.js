@@ -1,62 +1,140 @@
-import { getRealVideoStreams, getVideoTimebase } from './util/streams';
+import pMap from 'p-map';
 
-import { readKeyframesAroundTime, findNextKeyframe, findKeyframeAtExactTime } from './ffmpeg';
+import { getRealVideoStreams, getVideoTimebase, getStreamParamsMismatches } from './util/streams';
+
+import { readKeyframesAroundTime, findNextKeyframe, findPreviousKeyframe, findKeyframeAtExactTime, readFileMeta, readPacketsInDecodeOrder } from './ffmpeg';
+import { keyframeTimeTolerance, getCopyEndBeforeKeyframe } from './util/keyframes';
 
 const { stat } = window.require('fs-extra');
 
-// eslint-disable-next-line import/prefer-default-export
-export async function getSmartCutParams({ path, videoDuration, desiredCutFrom, streams }) {
+// When there are multiple video streams, the copied part must start (and end) at a keyframe that exists in *all* of them
+export function getCommonKeyframes(keyframesByStream) {
+  const [firstStreamKeyframes, ...otherStreamsKeyframes] = keyframesByStream;
+  return firstStreamKeyframes.filter((keyframe) => otherStreamsKeyframes.every((keyframes) => keyframes.some((keyframe2) => Math.abs(keyframe2.time - keyframe.time) < keyframeTimeTolerance)));
+}
+
+async function findKeyframeForSmartCut({ path, streamIndexes, time, findKeyframe }) {
+  const readKeyframes = async (window) => getCommonKeyframes(await Promise.all(streamIndexes.map(async (streamIndex) => readKeyframesAroundTime({ filePath: path, streamIndex, aroundTime: time, window }))));
+
+  let keyframes = await readKeyframes(10);
+
+  const keyframeAtExactTime = findKeyframeAtExactTime(keyframes, time);
+  if (keyframeAtExactTime) return { keyframe: keyframeAtExactTime, isExact: true };
+
+  let keyframe = findKeyframe(keyframes, time);
+
+  if (keyframe == null) {
+    // try again with a larger window
+    keyframes = await readKeyframes(60);
+    keyframe = findKeyframe(keyframes, time);
+  }
+
+  return { keyframe, isExact: false };
+}
+
+// The copied part must end before the leading frames of the end keyframe (if any), in all of the video streams, see getCopyEndBeforeKeyframe
+async function getSmartCutCopyEnd({ path, streamIndexes, keyframeTime }) {
+  const copyEnds = await Promise.all(streamIndexes.map(async (streamIndex) => {
+    // the leading frames are stored right after the keyframe
+    const packets = await readPacketsInDecodeOrder({ filePath: path, streamIndex, from: Math.max(keyframeTime - 1, 0), to: keyframeTime + 5 });
+    return getCopyEndBeforeKeyframe(packets, keyframeTime);
+  }));
+  return Math.min(...copyEnds);
+}
+
+export async function getSmartCutParams({ path, videoDuration, desiredCutFrom, desiredCutTo, streams }) {
   const videoStreams = getRealVideoStreams(streams);
   if (videoStreams.length === 0) throw new Error('Smart cut only works on videos');
-  if (videoStreams.length > 1) throw new Error('Can only smart cut video with exactly one video stream');
 
-  const videoStream = videoStreams[0];
+  const streamIndexes = videoStreams.map((videoStream) => videoStream.index);
+  const keyframeDescription = videoStreams.length > 1 ? 'keyframe common to all video streams' : 'keyframe';
 
-  const readKeyframes = async (window) => readKeyframesAroundTime({ filePath: path, streamIndex: videoStream.index, aroundTime: desiredCutFrom, window });
+  // Start: encode from the desired start up to the next keyframe
+  const { keyframe: startKeyframe, isExact: isStartExact } = await findKeyframeForSmartCut({ path, streamIndexes, time: desiredCutFrom, findKeyframe: findNextKeyframe });
+  if (startKeyframe == null) throw new Error(`Cannot find any ${keyframeDescription} after the desired start cut point`);
+  if (isStartExact) console.log('Start cut is already on exact keyframe', startKeyframe.time);
+  else console.log('Smart cut from keyframe', { keyframe: startKeyframe.time, desiredCutFrom });
 
-  let keyframes = await readKeyframes(10);
+  // End: encode from the last keyframe before the desired end, up to the desired end
+  // No need if we are cutting all the way to the end of the file
+  let endKeyframe;
+  let isEndExact = true;
+  if (desiredCutTo != null && !(videoDuration != null && desiredCutTo >= videoDuration)) {
+    ({ keyframe: endKeyframe, isExact: isEndExact } = await findKeyframeForSmartCut({ path, streamIndexes, time: desiredCutTo, findKeyframe: findPreviousKeyframe }));
+    if (endKeyframe == null) throw new Error(`Cannot find any ${keyframeDescription} before the desired end cut point`);
+    if (isEndExact) console.log('End cut is already on exact keyframe', endKeyframe.time);
+    else console.log('Smart cut to keyframe', { keyframe: endKeyframe.time, desiredCutTo });
+  }
 
-  const keyframeAtExactTime = findKeyframeAtExactTime(keyframes, desiredCutFrom);
-  if (keyframeAtExactTime) {
-    console.log('Start cut is already on exact keyframe', keyframeAtExactTime.time);
+  const needsSmartCut = !isStartExact;
+  const needsSmartCutEnd = !isEndExact;
 
+  if (!needsSmartCut && !needsSmartCutEnd) {
     return {
-      cutFrom: keyframeAtExactTime.time,
-      videoStreamIndex: videoStream.index,
+      cutFrom: startKeyframe.time,
+      videoStreamIndexes: streamIndexes,
       needsSmartCut: false,
+      needsSmartCutEnd: false,
     };
   }
 
-  let nextKeyframe = findNextKeyframe(keyframes, desiredCutFrom);
+  // Each video stream is encoded with its own parameters
+  const smartCutVideoStreams = await Promise.all(videoStreams.map(async (videoStream) => {
+    let videoBitrate = parseInt(videoStream.bit_rate, 10);
+    if (Number.isNaN(videoBitrate)) {
+      console.warn('Unable to detect input bitrate for stream', videoStream.index);
+      const stats = await stat(path);
+      videoBitrate = stats.size / videoDuration / videoStreams.length;
+    }
 
-  if (nextKeyframe == null) {
-    // try again with a larger window
-    keyframes = await readKeyframes(60);
-    nextKeyframe = findNextKeyframe(keyframes, desiredCutFrom);
-  }
-  if (nextKeyframe == null) throw new Error('Cannot find any keyframe after the desired start cut point');
+    const { codec_name: videoCodec } = videoStream;
+    if (videoCodec == null) throw new Error(`Unable to determine codec for smart cut of stream ${videoStream.index}`);
 
-  console.log('Smart cut from keyframe', { keyframe: nextKeyframe.time, desiredCutFrom });
+    const timebase = getVideoTimebase(videoStream);
+    if (timebase == null) console.warn('Unable to determine timebase', videoStream.index, videoStream.time_base);
 
-  let videoBitrate = parseInt(videoStream.bit_rate, 10);
-  if (Number.isNaN(videoBitrate)) {
-    console.warn('Unable to detect input bitrate');
-    const stats = await stat(path);
-    videoBitrate = stats.size / videoDuration;
-  }
+    return {
+      videoStreamIndex: videoStream.index,
+      videoCodec,
+      videoBitrate: Math.floor(videoBitrate),
+      videoTimebase: timebase,
+    };
+  }));
 
-  const { codec_name: videoCodec } = videoStream;
-  if (videoCodec == null) throw new Error('Unable to determine codec for smart cut');
+  // The muxer's timescale applies to all video tracks, so we can only set it if they agree
+  const timebases = [...new Set(smartCutVideoStreams.map(({ videoTimebase }) => videoTimebase))];
 
-  const timebase = getVideoTimebase(videoStream);
-  if (timebase == null) console.warn('Unable to determine timebase', videoStream.time_base);
+  let copyEnd;
+  if (needsSmartCutEnd) {
+    copyEnd = await getSmartCutCopyEnd({ path, streamIndexes, keyframeTime: endKeyframe.time });
+    if (copyEnd < endKeyframe.time) console.log('End keyframe has leading frames (open GOP), they will be encoded too', { keyframe: endKeyframe.time, copyEnd });
+  }
 
   return {
-    cutFrom: nextKeyframe.time,
-    videoStreamIndex: videoStream.index,
-    needsSmartCut: true,
-    videoCodec,
-    videoBitrate: Math.floor(videoBitrate),
-    videoTimebase: timebase,
+    cutFrom: startKeyframe.time,
+    // when needsSmartCutEnd, the copied part ends (and the encoded end part starts) here:
+    cutTo: copyEnd,
+    videoStreamIndexes: streamIndexes,
+    needsSmartCut,
+    needsSmartCutEnd,
+    videoStreams: smartCutVideoStreams,
+    videoTimebase: timebases.length === 1 ? timebases[0] : undefined,
   };
 }
+
+// Make sure that the encoded part(s) can be concated with the copied part, or else the result will be broken
+export async function verifySmartCutEncodedParts({ encodedPartPaths, copiedPartPath }) {
+  const copiedVideoStreams = getRealVideoStreams((await readFileMeta(copiedPartPath)).streams);
+
+  await pMap(encodedPartPaths, async (encodedPartPath) => {
+    const encodedVideoStreams = getRealVideoStreams((await readFileMeta(encodedPartPath)).streams);
+    if (encodedVideoStreams.length !== copiedVideoStreams.length) throw new Error(`Smart cut failed: The encoded part has ${encodedVideoStreams.length} video streams, but the copied part has ${copiedVideoStreams.length}`);
+
+    const mismatches = copiedVideoStreams.flatMap((copiedVideoStream, i) => getStreamParamsMismatches(encodedVideoStreams[i], copiedVideoStream)
+      .map(({ key, value, expected }) => `stream ${copiedVideoStream.index} ${key}: ${value} (expected ${expected})`));
+
+    if (mismatches.length > 0) {
+      throw new Error(`Smart cut failed: The encoder was unable to match the parameters of the original video, so the output would not be playable. Try to disable smart cut. Mismatches: ${mismatches.join(', ')}`);
+    }
+  }, { concurrency: 1 });
+}
@@ -0,0 +1,73 @@
+// All subtitle formats (embedded, .srt, .vtt, .ass) are converted to SRT by ffmpeg, so we only need to deal with SRT here
+
+const srtTimeRegex = '(\\d+):(\\d{2}):(\\d{2})[,.](\\d{1,3})';
+
+function parseSrtTime([hours, minutes, seconds, ms]) {
+  return ((parseInt(hours, 10) * 60) + parseInt(minutes, 10)) * 60 + parseInt(seconds, 10) + parseInt(ms.padEnd(3, '0'), 10) / 1000;
+}
+
+// Strip formatting like <i>, <font color="..."> and ASS override tags like {\an8}
+export const getCuePlainText = (text) => text.replace(/<[^>]+>/g, '').replace(/\{\\[^}]*\}/g, '').replace(/\s*\n\s*/g, ' ').trim();
+
+export function parseSrt(text) {
+  const timingRegex = new RegExp(`^\\s*${srtTimeRegex}\\s*-->\\s*${srtTimeRegex}`);
+
+  return text.replace(/\r/g, '').split(/\n\s*\n/).map((block) => {
+    const lines = block.split('\n').filter((line) => line.trim() !== '');
+    const timingIndex = lines.findIndex((line) => timingRegex.test(line));
+    if (timingIndex < 0) return undefined;
+    const match = lines[timingIndex].match(timingRegex);
+    const start = parseSrtTime(match.slice(1, 5));
+    const end = parseSrtTime(match.slice(5, 9));
+    if (end < start) return undefined;
+    return { start, end, text: lines.slice(timingIndex + 1).join('\n') };
+  }).filter((cue) => cue);
+}
+
+function formatSrtTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const pad = (n, len = 2) => String(n).padStart(len, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor((ms % 3600000) / 60000))}:${pad(Math.floor((ms % 60000) / 1000))},${pad(ms % 1000, 3)}`;
+}
+
+export function formatSrt(cues) {
+  return cues.map(({ start, end, text }, i) => `${i + 1}\n${formatSrtTime(start)} --> ${formatSrtTime(end)}\n${text}\n`).join('\n');
+}
+
+// Only keep the cues (or the parts of cues) that are within the range. `timeOffset` is subtracted from the resulting times
+export function cutSubtitleCues(cues, { from, to, timeOffset = 0 }) {
+  return cues
+    .filter((cue) => cue.end > from && (to == null || cue.start < to))
+    .map((cue) => ({ ...cue, start: Math.max(cue.start, from) - timeOffset, end: (to != null ? Math.min(cue.end, to) : cue.end) - timeOffset }));
+}
+
+// When files are concatenated, each file's cues are offset by the total duration of the files before it
+export function concatSubtitleCues(cuesPerFile, durations) {
+  let offset = 0;
+  return cuesPerFile.flatMap((cues, i) => {
+    const fileOffset = offset;
+    offset += durations[i];
+    return (cues || []).map((cue) => ({ ...cue, start: cue.start + fileOffset, end: cue.end + fileOffset }));
+  });
+}
+
+// Cues closer than `mergeGap` seconds (or overlapping) become one segment. `padding` seconds are added to each side of each segment
+export function mapSubtitleCuesToSegments(cues, { mergeGap = 0, padding = 0, duration } = {}) {
+  const merged = [];
+  [...cues].sort((a, b) => a.start - b.start).forEach((cue) => {
+    const name = getCuePlainText(cue.text);
+    const last = merged[merged.length - 1];
+    if (last && cue.start - last.end < mergeGap) {
+      last.end = Math.max(last.end, cue.end);
+      if (name) last.names.push(name);
+      return;
+    }
+    merged.push({ start: cue.start, end: cue.end, names: name ? [name] : [] });
+  });
+
+  return merged.map(({ start, end, names }) => ({
+    start: Math.max(0, start - padding),
+    end: duration != null ? Math.min(duration, end + padding) : end + padding,
+    name: names.join(' '),
+  }));
+}
@@ -0,0 +1,69 @@
+import { parseSrt, formatSrt, mapSubtitleCuesToSegments, getCuePlainText, cutSubtitleCues, concatSubtitleCues } from './subtitles';
+
+const srt = `1
+00:00:01,000 --> 00:00:02,500
+<i>Hello</i>
+
+2
+00:00:02,700 --> 00:00:04,000
+{\\an8}How are
+you?
+
+3
+00:00:10,000 --> 00:00:12,250
+Fine
+`;
+
+it('parses srt', () => {
+  expect(parseSrt(srt.replace(/\n/g, '\r\n'))).toEqual([
+    { start: 1, end: 2.5, text: '<i>Hello</i>' },
+    { start: 2.7, end: 4, text: '{\\an8}How are\nyou?' },
+    { start: 10, end: 12.25, text: 'Fine' },
+  ]);
+});
+
+it('formats srt', () => {
+  expect(formatSrt(parseSrt(srt))).toEqual(srt);
+  expect(formatSrt([{ start: 3661.5, end: 3662, text: 'a' }])).toEqual('1\n01:01:01,500 --> 01:01:02,000\na\n');
+});
+
+it('gets cue plain text', () => {
+  expect(getCuePlainText('{\\an8}<font color="#ff0000">How are</font>\nyou?')).toEqual('How are you?');
+});
+
+it('maps subtitle cues to segments', () => {
+  const cues = parseSrt(srt);
+  expect(mapSubtitleCuesToSegments(cues)).toEqual([
+    { start: 1, end: 2.5, name: 'Hello' },
+    { start: 2.7, end: 4, name: 'How are you?' },
+    { start: 10, end: 12.25, name: 'Fine' },
+  ]);
+  expect(mapSubtitleCuesToSegments(cues, { mergeGap: 0.5, padding: 1, duration: 13 })).toEqual([
+    { start: 0, end: 5, name: 'Hello How are you?' },
+    { start: 9, end: 13, name: 'Fine' },
+  ]);
+});
+
+it('cuts subtitle cues', () => {
+  const cues = parseSrt(srt);
+  expect(cutSubtitleCues(cues, { from: 0.5, to: 11, timeOffset: 0.5 })).toEqual([
+    { start: 0.5, end: 2, text: '<i>Hello</i>' },
+    { start: 2.2, end: 3.5, text: '{\\an8}How are\nyou?' },
+    { start: 9.5, end: 10.5, text: 'Fine' },
+  ]);
+  expect(cutSubtitleCues(cues, { from: 2, to: 3, timeOffset: 2 }).map(({ text }) => text)).toEqual(['<i>Hello</i>', '{\\an8}How are\nyou?']);
+  expect(cutSubtitleCues(cues, { from: 5, to: 9 })).toEqual([]);
+  expect(cutSubtitleCues(cues, { from: 10, timeOffset: 10 })).toEqual([{ start: 0, end: 2.25, text: 'Fine' }]);
+  expect(cutSubtitleCues(cues, { from: 11 })).toEqual([{ start: 11, end: 12.25, text: 'Fine' }]);
+});
+
+it('concats subtitle cues', () => {
+  expect(concatSubtitleCues([
+    [{ start: 0, end: 1, text: 'a' }],
+    [],
+    [{ start: 0.5, end: 1, text: 'b' }],
+  ], [2, 3, 4])).toEqual([
+    { start: 0, end: 1, text: 'a' },
+    { start: 5.5, end: 6, text: 'b' },
+  ]);
+});
@@ -8,8 +8,11 @@ function getColor(n) {
   return colors[n % colors.length];
 }
 
-// eslint-disable-next-line import/prefer-default-export
-export function getSegColor(seg) {
+// Named layers have one colour for all their segments
+export const getNewLayerColor = (n) => colorStrings[(n * 5) % colorStrings.length];
+
+export function getSegColor(seg, layer) {
+  if (layer?.color) return color(layer.color);
   if (!seg) {
     return color({
       h: 0,
@@ -0,0 +1,32 @@
+import sortBy from 'lodash/sortBy';
+
+// Bump this if the format of the cached keyframe indexes changes
+export const keyframeIndexCacheVersion = 2;
+
+// The file's size and mtime are part of the key, so that a changed (e.g. re-encoded or overwritten) file gets a new index
+export const getKeyframeIndexCacheKey = ({ filePath, streamIndex, size, mtimeMs }) => JSON.stringify([keyframeIndexCacheVersion, filePath, size, mtimeMs, streamIndex]);
+
+// A Map that only keeps the `maxSize` most recently used entries
+export function createLruCache(maxSize) {
+  const map = new Map();
+
+  return {
+    get: (key) => {
+      if (!map.has(key)) return undefined;
+      const value = map.get(key);
+      // move it to the end (most recently used)
+      map.delete(key);
+      map.set(key, value);
+      return value;
+    },
+    set: (key, value) => {
+      map.delete(key);
+      map.set(key, value);
+      while (map.size > maxSize) map.delete(map.keys().next().value);
+    },
+    get size() { return map.size; },
+  };
+}
+
+// `files` are { name, mtimeMs }. Returns the names of the least recently written files, so that at most `maxFiles` are kept
+export const getCacheFilesToPrune = (files, maxFiles) => sortBy(files, ({ mtimeMs }) => -mtimeMs).slice(maxFiles).map(({ name }) => name);
@@ -0,0 +1,29 @@
+import { getKeyframeIndexCacheKey, createLruCache, getCacheFilesToPrune } from './keyframeIndexCache';
+
+test('getKeyframeIndexCacheKey is invalidated when the file changes', () => {
+  const file = { filePath: '/video.mp4', streamIndex: 0, size: 1000, mtimeMs: 1700000000000 };
+  const key = getKeyframeIndexCacheKey(file);
+  expect(getKeyframeIndexCacheKey({ ...file })).toBe(key);
+  expect(getKeyframeIndexCacheKey({ ...file, size: 1001 })).not.toBe(key);
+  expect(getKeyframeIndexCacheKey({ ...file, mtimeMs: 1700000000001 })).not.toBe(key);
+  expect(getKeyframeIndexCacheKey({ ...file, streamIndex: 1 })).not.toBe(key);
+  expect(getKeyframeIndexCacheKey({ ...file, filePath: '/video2.mp4' })).not.toBe(key);
+});
+
+test('createLruCache evicts the least recently used entries', () => {
+  const cache = createLruCache(2);
+  cache.set('a', 1);
+  cache.set('b', 2);
+  expect(cache.get('a')).toBe(1);
+  cache.set('c', 3);
+  expect(cache.size).toBe(2);
+  expect(cache.get('b')).toBeUndefined();
+  expect(cache.get('a')).toBe(1);
+  expect(cache.get('c')).toBe(3);
+});
+
+test('getCacheFilesToPrune', () => {
+  const files = [{ name: 'old.json', mtimeMs: 1 }, { name: 'new.json', mtimeMs: 3 }, { name: 'middle.json', mtimeMs: 2 }];
+  expect(getCacheFilesToPrune(files, 1)).toEqual(['middle.json', 'old.json']);
+  expect(getCacheFilesToPrune(files, 3)).toEqual([]);
+});
@@ -0,0 +1,17 @@
+// Keyframe times of different streams are rarely exactly equal, because they may have different timebases
+export const keyframeTimeTolerance = 0.001;
+
+// With open GOPs, the frames that are decoded right after a keyframe may be shown *before* it (leading B-frames), and they cannot be decoded without it.
+// If we stream copy a part that ends at the keyframe, these frames would be included (because they are shown before the keyframe), but not the keyframe, so they would be broken.
+// `packets` ({ time, keyframe }) must be in decode order (as stored in the file).
+// Returns the time where a stream copied part must end (exclusive), so that it only contains frames that can be decoded: The earliest leading frame, or the keyframe itself if there are none
+export function getCopyEndBeforeKeyframe(packets, keyframeTime) {
+  const keyframeIndex = packets.findIndex((packet) => packet.keyframe && Math.abs(packet.time - keyframeTime) < keyframeTimeTolerance);
+  if (keyframeIndex === -1) return keyframeTime;
+
+  let copyEnd = keyframeTime;
+  for (let i = keyframeIndex + 1; i < packets.length && !packets[i].keyframe; i += 1) {
+    if (packets[i].time < copyEnd) copyEnd = packets[i].time;
+  }
+  return copyEnd;
+}
@@ -0,0 +1,22 @@
+import { getCopyEndBeforeKeyframe } from './keyframes';
+
+// 25 fps, frames at 0.04 s intervals
+const packet = (time, keyframe = false) => ({ time, keyframe });
+
+test('getCopyEndBeforeKeyframe, closed GOP', () => {
+  // decode order: I P B B | I P B B
+  const packets = [packet(0, true), packet(0.12), packet(0.04), packet(0.08), packet(0.16, true), packet(0.28), packet(0.2), packet(0.24)];
+  expect(getCopyEndBeforeKeyframe(packets, 0.16)).toBe(0.16);
+});
+
+test('getCopyEndBeforeKeyframe, open GOP with leading frames', () => {
+  // decode order: I P B B | I B B P - the two B-frames after the second I are shown before it
+  const packets = [packet(0, true), packet(0.12), packet(0.04), packet(0.08), packet(0.24, true), packet(0.16), packet(0.2), packet(0.36), packet(0.28), packet(0.32)];
+  expect(getCopyEndBeforeKeyframe(packets, 0.24)).toBe(0.16);
+  // only looks at the frames until the next keyframe
+  expect(getCopyEndBeforeKeyframe([packet(0.24, true), packet(0.36), packet(0.4, true), packet(0.2)], 0.24)).toBe(0.24);
+});
+
+test('getCopyEndBeforeKeyframe, keyframe not found', () => {
+  expect(getCopyEndBeforeKeyframe([packet(0, true), packet(0.04)], 1)).toBe(1);
+});
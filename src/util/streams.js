@@ -108,7 +108,22 @@ export function getActiveDisposition(disposition) {
 
 export const isMov = (format) => ['ismv', 'ipod', 'mp4', 'mov'].includes(format);
 
-function getPerStreamFlags({ stream, outputIndex, outFormat, manuallyCopyDisposition = false, getVideoArgs = () => {} }) {
+// Only plain text subtitles are re-timed (converted to SRT). ASS/SSA are copied as-is, so that their styling and positioning is kept
+const textSubtitleCodecs = ['subrip', 'srt', 'webvtt', 'mov_text', 'text'];
+
+export const isTextSubtitleStream = (stream) => stream.codec_type === 'subtitle' && textSubtitleCodecs.includes(stream.codec_name);
+
+// Re-timed text subtitles are always input as SRT, so they need to be converted to what the output format supports
+export function getTextSubtitleCodec(outFormat) {
+  if (isMov(outFormat)) return 'mov_text';
+  if (outFormat === 'webm') return 'webvtt';
+  return 'srt';
+}
+
+// We cannot use -map_metadata for only one stream, because it would disable the copying of all other streams' metadata
+const retimedSubtitleTags = ['language', 'title', 'handler_name'];
+
+function getPerStreamFlags({ stream, path, outputIndex, outFormat, manuallyCopyDisposition = false, getVideoArgs = () => {}, getAudioArgs = () => {} }) {
   let args = [];
 
   function addArgs(...newArgs) {
@@ -135,12 +150,15 @@ function getPerStreamFlags({ stream, outputIndex, outFormat, manuallyCopyDisposi
       addCodecArgs('copy');
     }
   } else if (stream.codec_type === 'audio') {
-    // pcm_bluray should only ever be put in Blu-ray-style m2ts files, Matroska has no format mapping for it anyway.
-    // Use normal PCM (ie. pcm_s16le or pcm_s24le depending on bitdepth).
-    // https://forum.doom9.org/showthread.php?t=174718
-    // https://github.com/mifi/lossless-cut/issues/476
-    // ffmpeg cannot encode pcm_bluray
-    if (outFormat !== 'mpegts' && stream.codec_name === 'pcm_bluray') {
+    const audioArgs = getAudioArgs({ stream, path, outputIndex });
+    if (audioArgs) {
+      args = [...audioArgs];
+    } else if (outFormat !== 'mpegts' && stream.codec_name === 'pcm_bluray') {
+      // pcm_bluray should only ever be put in Blu-ray-style m2ts files, Matroska has no format mapping for it anyway.
+      // Use normal PCM (ie. pcm_s16le or pcm_s24le depending on bitdepth).
+      // https://forum.doom9.org/showthread.php?t=174718
+      // https://github.com/mifi/lossless-cut/issues/476
+      // ffmpeg cannot encode pcm_bluray
       addCodecArgs('pcm_s24le');
     } else if (outFormat === 'dv' && stream.codec_name === 'pcm_s16le' && stream.sample_rate !== '48000') {
       // DV seems to require 48kHz output
@@ -182,7 +200,25 @@ function getPerStreamFlags({ stream, outputIndex, outFormat, manuallyCopyDisposi
   return args;
 }
 
-export function getMapStreamsArgs({ startIndex = 0, outFormat, allFilesMeta, copyFileStreams, manuallyCopyDisposition, getVideoArgs }) {
+// Calculates the output stream index that ffmpeg will give a copied stream, based on the order of the files (and their respective streams) in copyFileStreams
+export function getOutputStreamIndex(copyFileStreams, path, streamIndex) {
+  let streamCount = 0;
+  // Count copied streams of all files until this input file
+  const foundFile = copyFileStreams.find(({ path: path2, streamIds }) => {
+    if (path2 === path) return true;
+    streamCount += streamIds.length;
+    return false;
+  });
+  if (!foundFile) return undefined; // Could happen if a tag has been edited on an external file, then the file was removed
+
+  // Then add the index of the current stream index to the count
+  const copiedStreamIndex = foundFile.streamIds.indexOf(streamIndex);
+  if (copiedStreamIndex === -1) return undefined; // Could happen if a tag has been edited on a stream, but the stream is disabled
+  return streamCount + copiedStreamIndex;
+}
+
+// `getSubtitleInput` may return another input (e.g. `3:0`) that replaces a text subtitle stream, keeping the original stream's position, tags and disposition
+export function getMapStreamsArgs({ startIndex = 0, outFormat, allFilesMeta, copyFileStreams, manuallyCopyDisposition, getVideoArgs, getAudioArgs, getSubtitleInput = () => undefined }) {
   let args = [];
   let outputIndex = startIndex;
 
@@ -190,11 +226,23 @@ export function getMapStreamsArgs({ startIndex = 0, outFormat, allFilesMeta, cop
     streamIds.forEach((streamId) => {
       const { streams } = allFilesMeta[path];
       const stream = streams.find((s) => s.index === streamId);
-      args = [
-        ...args,
-        '-map', `${fileIndex}:${streamId}`,
-        ...getPerStreamFlags({ stream, outputIndex, outFormat, manuallyCopyDisposition, getVideoArgs }),
-      ];
+      const subtitleInput = stream.codec_type === 'subtitle' ? getSubtitleInput({ stream, path }) : undefined;
+      if (subtitleInput != null) {
+        const activeDisposition = getActiveDisposition(stream.disposition);
+        args = [
+          ...args,
+          '-map', subtitleInput,
+          `-c:${outputIndex}`, getTextSubtitleCodec(outFormat),
+          ...Object.entries(stream.tags || {}).filter(([key]) => retimedSubtitleTags.includes(key)).flatMap(([key, value]) => [`-metadata:s:${outputIndex}`, `${key}=${value}`]),
+          ...(activeDisposition != null ? [`-disposition:${outputIndex}`, activeDisposition] : []),
+        ];
+      } else {
+        args = [
+          ...args,
+          '-map', `${fileIndex}:${streamId}`,
+          ...getPerStreamFlags({ stream, path, outputIndex, outFormat, manuallyCopyDisposition, getVideoArgs, getAudioArgs }),
+        ];
+      }
       outputIndex += 1;
     });
   });
@@ -293,3 +341,110 @@ export function getVideoTimebase(videoStream) {
   }
   return undefined;
 }
+
+// ffprobe profile names -> encoder profile names
+const h264EncoderProfiles = {
+  Baseline: 'baseline',
+  'Constrained Baseline': 'baseline',
+  Main: 'main',
+  High: 'high',
+  'High 10': 'high10',
+  'High 4:2:2': 'high422',
+  'High 4:4:4 Predictive': 'high444',
+};
+const hevcEncoderProfiles = {
+  Main: 'main',
+  'Main 10': 'main10',
+  'Main Still Picture': 'mainstillpicture',
+};
+
+const isKnownStreamParam = (value) => value != null && !['unknown', 'N/A', '0:1'].includes(value);
+
+// These parameters must be equal in a smart cut's encoded part and copied part, or they will not concat cleanly
+export const smartCutMatchedParams = ['codec_name', 'profile', 'level', 'pix_fmt', 'color_range', 'color_space', 'color_transfer', 'color_primaries', 'field_order', 'sample_aspect_ratio', 'width', 'height'];
+
+// Encoder args that try to reproduce the parameters of the input video stream
+export function getVideoEncoderParamsArgs({ stream, outputIndex }) {
+  const args = [];
+  function addArgs(...newArgs) {
+    args.push(...newArgs);
+  }
+
+  const { codec_name: codecName, profile, level } = stream;
+  if (codecName === 'h264') {
+    if (h264EncoderProfiles[profile]) addArgs(`-profile:${outputIndex}`, h264EncoderProfiles[profile]);
+    if (level > 0) addArgs(`-level:${outputIndex}`, (level / 10).toFixed(1));
+  } else if (codecName === 'hevc') {
+    if (hevcEncoderProfiles[profile]) addArgs(`-profile:${outputIndex}`, hevcEncoderProfiles[profile]);
+    if (level > 0) addArgs(`-x265-params:${outputIndex}`, `level-idc=${(level / 30).toFixed(1)}`);
+  }
+
+  if (isKnownStreamParam(stream.pix_fmt)) addArgs(`-pix_fmt:${outputIndex}`, stream.pix_fmt);
+  if (isKnownStreamParam(stream.color_range)) addArgs(`-color_range:${outputIndex}`, stream.color_range);
+  if (isKnownStreamParam(stream.color_space)) addArgs(`-colorspace:${outputIndex}`, stream.color_space);
+  if (isKnownStreamParam(stream.color_transfer)) addArgs(`-color_trc:${outputIndex}`, stream.color_transfer);
+  if (isKnownStreamParam(stream.color_primaries)) addArgs(`-color_primaries:${outputIndex}`, stream.color_primaries);
+
+  if (isKnownStreamParam(stream.field_order) && stream.field_order !== 'progressive') {
+    addArgs(`-flags:${outputIndex}`, '+ilme+ildct', `-field_order:${outputIndex}`, stream.field_order);
+  }
+
+  if (isKnownStreamParam(stream.sample_aspect_ratio)) addArgs(`-filter:${outputIndex}`, `setsar=${stream.sample_aspect_ratio.replace(':', '/')}`);
+
+  return args;
+}
+
+export function getStreamParamsMismatches(stream, referenceStream) {
+  return smartCutMatchedParams
+    .filter((key) => isKnownStreamParam(referenceStream[key]) && stream[key] !== referenceStream[key])
+    .map((key) => ({ key, value: stream[key], expected: referenceStream[key] }));
+}
+
+const audioEncoders = {
+  aac: 'aac',
+  mp3: 'libmp3lame',
+  mp2: 'mp2',
+  opus: 'libopus',
+  vorbis: 'libvorbis',
+  ac3: 'ac3',
+  eac3: 'eac3',
+  flac: 'flac',
+  alac: 'alac',
+};
+
+const losslessAudioEncoders = ['flac', 'alac'];
+
+function getAudioEncoder(codecName) {
+  if (codecName.startsWith('pcm_') && codecName !== 'pcm_bluray') return codecName;
+  if (codecName === 'pcm_bluray') return 'pcm_s24le';
+  return audioEncoders[codecName];
+}
+
+const bleepFrequency = 1000;
+const bleepVolume = 0.3;
+
+// Replaces the audio with silence (mute) or a sine tone (bleep) within the ranges. `t` is the timestamp of the sample, so `ranges` must be relative to the start of the output
+export function getAudioEditFilter(ranges) {
+  if (ranges.length === 0) return undefined;
+  const expr = ranges.reduceRight((acc, { type, start, end }) => {
+    const replacement = type === 'bleep' ? `${bleepVolume}*sin(2*PI*${bleepFrequency}*t)` : '0';
+    return `if(between(t,${start.toFixed(5)},${end.toFixed(5)}),${replacement},${acc})`;
+  }, 'val(ch)');
+  return `aeval=exprs='${expr}':c=same`;
+}
+
+// Audio edits require the audio stream to be re-encoded (with the same codec), while the other streams can still be copied
+export function getAudioEditArgs({ stream, outputIndex, ranges }) {
+  const encoder = getAudioEncoder(stream.codec_name);
+  if (encoder == null) throw new Error(`Cannot mute audio of track ${stream.index + 1}, because re-encoding its codec (${stream.codec_name}) is not supported`);
+
+  const args = [`-c:${outputIndex}`, encoder];
+
+  const bitrate = parseInt(stream.bit_rate, 10);
+  if (!encoder.startsWith('pcm_') && !losslessAudioEncoders.includes(encoder) && !Number.isNaN(bitrate)) args.push(`-b:${outputIndex}`, String(bitrate));
+
+  const filter = getAudioEditFilter(ranges);
+  if (filter) args.push(`-filter:${outputIndex}`, filter);
+
+  return args;
+}
@@ -1,4 +1,4 @@
-import { getMapStreamsArgs, getStreamIdsToCopy } from './streams';
+import { getMapStreamsArgs, getStreamIdsToCopy, getVideoEncoderParamsArgs, getStreamParamsMismatches, getAudioEditArgs, isTextSubtitleStream, getOutputStreamIndex } from './streams';
 
 const streams1 = [
   { index: 0, codec_type: 'video', codec_tag: '0x0000', codec_name: 'mjpeg', disposition: { attached_pic: 1 } },
@@ -103,8 +103,97 @@ test('getMapStreamsArgs, smart cut', () => {
   ]);
 });
 
+test('getMapStreamsArgs, re-timed subtitles', () => {
+  const streams = [
+    { index: 0, codec_type: 'video', codec_tag: '0x31637661', codec_name: 'h264' },
+    { index: 1, codec_type: 'subtitle', codec_tag: '0x0000', codec_name: 'subrip', tags: { language: 'eng', DURATION: '00:01:00.000' }, disposition: { default: 1, forced: 0 } },
+    { index: 2, codec_type: 'subtitle', codec_tag: '0x0000', codec_name: 'hdmv_pgs_subtitle' },
+    { index: 3, codec_type: 'subtitle', codec_tag: '0x0000', codec_name: 'ass' },
+  ];
+
+  expect(getMapStreamsArgs({
+    allFilesMeta: { [path]: { streams } },
+    copyFileStreams: [{ path, streamIds: streams.map((stream) => stream.index) }],
+    outFormat: 'matroska',
+    getSubtitleInput: ({ stream }) => (isTextSubtitleStream(stream) ? '2:0' : undefined),
+  })).toEqual([
+    '-map', '0:0', '-c:0', 'copy',
+    '-map', '2:0', '-c:1', 'srt', '-metadata:s:1', 'language=eng', '-disposition:1', 'default',
+    '-map', '0:2', '-c:2', 'copy',
+    '-map', '0:3', '-c:3', 'copy',
+  ]);
+});
+
+test('getOutputStreamIndex', () => {
+  const copyFileStreams = [{ path: '/file1.mp4', streamIds: [0, 2, 3] }, { path: '/file2.srt', streamIds: [0] }];
+  expect(getOutputStreamIndex(copyFileStreams, '/file1.mp4', 3)).toBe(2);
+  expect(getOutputStreamIndex(copyFileStreams, '/file2.srt', 0)).toBe(3);
+  expect(getOutputStreamIndex(copyFileStreams, '/file1.mp4', 1)).toBeUndefined();
+  expect(getOutputStreamIndex(copyFileStreams, '/file3.mp4', 0)).toBeUndefined();
+});
+
 test('getStreamIdsToCopy, includeAllStreams false', () => {
   const { streamIdsToCopy, excludedStreamIds } = getStreamIdsToCopy({ streams: streams1, includeAllStreams: false });
   expect(streamIdsToCopy).toEqual([2, 1, 7]);
   expect(excludedStreamIds).toEqual([0, 3, 4, 5, 6]);
 });
+
+const h264Stream = {
+  index: 0,
+  codec_type: 'video',
+  codec_name: 'h264',
+  profile: 'High',
+  level: 41,
+  pix_fmt: 'yuv420p',
+  color_range: 'tv',
+  color_space: 'bt709',
+  color_transfer: 'bt709',
+  color_primaries: 'unknown',
+  field_order: 'tt',
+  sample_aspect_ratio: '4:3',
+  width: 1440,
+  height: 1080,
+};
+
+test('getVideoEncoderParamsArgs h264', () => {
+  expect(getVideoEncoderParamsArgs({ stream: h264Stream, outputIndex: 1 })).toEqual([
+    '-profile:1', 'high',
+    '-level:1', '4.1',
+    '-pix_fmt:1', 'yuv420p',
+    '-color_range:1', 'tv',
+    '-colorspace:1', 'bt709',
+    '-color_trc:1', 'bt709',
+    '-flags:1', '+ilme+ildct', '-field_order:1', 'tt',
+    '-filter:1', 'setsar=4/3',
+  ]);
+});
+
+test('getVideoEncoderParamsArgs hevc', () => {
+  expect(getVideoEncoderParamsArgs({ stream: { codec_name: 'hevc', profile: 'Main 10', level: 123, pix_fmt: 'yuv420p10le', field_order: 'progressive', sample_aspect_ratio: '0:1' }, outputIndex: 0 })).toEqual([
+    '-profile:0', 'main10',
+    '-x265-params:0', 'level-idc=4.1',
+    '-pix_fmt:0', 'yuv420p10le',
+  ]);
+});
+
+test('getStreamParamsMismatches', () => {
+  expect(getStreamParamsMismatches(h264Stream, h264Stream)).toEqual([]);
+  // unknown params in the reference are ignored
+  expect(getStreamParamsMismatches({ ...h264Stream, color_primaries: 'bt709' }, h264Stream)).toEqual([]);
+  expect(getStreamParamsMismatches({ ...h264Stream, pix_fmt: 'yuv420p10le', level: 40 }, h264Stream)).toEqual([
+    { key: 'level', value: 40, expected: 41 },
+    { key: 'pix_fmt', value: 'yuv420p10le', expected: 'yuv420p' },
+  ]);
+});
+
+test('getAudioEditArgs', () => {
+  const ranges = [{ type: 'mute', start: 1, end: 2.5 }, { type: 'bleep', start: 3, end: 4 }];
+  expect(getAudioEditArgs({ stream: { index: 1, codec_name: 'aac', bit_rate: '128000' }, outputIndex: 1, ranges })).toEqual([
+    '-c:1', 'aac',
+    '-b:1', '128000',
+    '-filter:1', "aeval=exprs='if(between(t,1.00000,2.50000),0,if(between(t,3.00000,4.00000),0.3*sin(2*PI*1000*t),val(ch)))':c=same",
+  ]);
+  // lossless codecs need no bitrate, and without ranges the audio is only re-encoded
+  expect(getAudioEditArgs({ stream: { index: 1, codec_name: 'pcm_s16le', bit_rate: '1536000' }, outputIndex: 2, ranges: [] })).toEqual(['-c:2', 'pcm_s16le']);
+  expect(() => getAudioEditArgs({ stream: { index: 1, codec_name: 'dts' }, outputIndex: 1, ranges })).toThrow('re-encoding its codec (dts) is not supported');
+});